@@ -1,146 +1,256 @@
+const http = require('http');
+const https = require('https');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const config = require('../config.json');
-const logger = require('../lib/logger');
+const { config: sharedConfig } = require('../lib/config');
+const sharedLogger = require('../lib/logger');
+const { metrics: sharedMetrics } = require('../lib/metrics');
 const { withRetry } = require('../lib/utils');
+const { createCircuitBreaker } = require('../lib/retry');
+const { createCookieJar } = require('../lib/cookies');
+const { toApiError } = require('./errors');
 
 /**
- * Create a configured Axios instance with common settings
- * @param {Object} [options={}] - Additional Axios options
- * @param {Object} [walletData=null] - Wallet data including proxy
- * @returns {Object} Configured Axios instance
+ * Create an API client bound to a config and logger
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Bot config, defaults to the shared config
+ * @param {Object} [deps.logger] - Logger, defaults to the shared logger
+ * @param {Object} [deps.metrics] - Metrics registry, defaults to the shared one
+ * @param {Object} [deps.breaker] - Circuit breaker, defaults to a new one for this client
+ * @returns {Object} Client with get, post and createSession methods
  */
-function createApiClient(options = {}, walletData = null) {
-  const baseURL = config.harpie.baseUrl;
-  const timeout = config.harpie.requestTimeout;
+function createClient({ config = sharedConfig, logger = sharedLogger, metrics = sharedMetrics, breaker } = {}) {
+  breaker = breaker || createCircuitBreaker({ config });
+
+  /**
+   * Create a configured Axios instance with common settings
+   * @param {Object} [options={}] - Additional Axios options
+   * @param {Object} [walletData=null] - Wallet data including proxy
+   * @param {Object} [jar=null] - Cookie jar to send and store cookies with
+   * @returns {Object} Configured Axios instance
+   */
+  function createApiClient(options = {}, walletData = null, jar = null) {
+    const baseURL = config.harpie.baseUrl;
+    const timeout = config.harpie.requestTimeout;
   
-  // Default headers
-  const headers = {
-    ...config.harpie.headers,
-    'Cache-Control': 'no-cache',
-    'Pragma': 'no-cache'
-  };
+    // Default headers
+    const headers = {
+      ...config.harpie.headers,
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    };
   
-  // Generate a unique request ID for tracing
-  const requestId = uuidv4();
+    // Generate a unique ID for tracing; a session keeps one for all its requests
+    const sessionId = uuidv4();
   
-  const axiosConfig = {
-    baseURL,
-    timeout,
-    headers,
-    ...options
-  };
+    const axiosConfig = {
+      baseURL,
+      timeout,
+      headers,
+      ...options
+    };
   
-  // Add proxy if available and enabled
-  if (config.general.useProxy && walletData?.proxy) {
-    axiosConfig.httpAgent = walletData.proxy;
-    axiosConfig.httpsAgent = walletData.proxy;
-  }
+    // Add proxy if available and enabled
+    if (config.general.useProxy && walletData?.proxy) {
+      axiosConfig.httpAgent = walletData.proxy;
+      axiosConfig.httpsAgent = walletData.proxy;
+    }
   
-  const client = axios.create(axiosConfig);
+    const client = axios.create(axiosConfig);
   
-  // Add request interceptor for logging
-  client.interceptors.request.use(
-    (config) => {
-      config.metadata = { startTime: new Date() };
-      return config;
-    },
-    (error) => {
-      return Promise.reject(error);
-    }
-  );
+    /**
+     * Keep the cookies a response sets, when the client has a jar
+     * @param {Object} response - Axios response
+     */
+    const storeCookies = (response) => {
+      if (jar) jar.setCookies(response.headers['set-cookie'], new URL(response.config.url, response.config.baseURL).href);
+    };
   
-  // Add response interceptor for logging
-  client.interceptors.response.use(
-    (response) => {
-      const duration = new Date() - response.config.metadata.startTime;
-      
-      // We're removing the URL logging as requested
-      if (duration > 3000) { // Only log very slow requests (over 3 seconds)
-        logger.info(`Request took ${duration}ms`, walletData?.address);
+    // Add request interceptor for logging
+    client.interceptors.request.use(
+      (config) => {
+        config.metadata = { startTime: new Date() };
+        if (jar) {
+          const cookie = jar.getCookieHeader(new URL(config.url, config.baseURL).href);
+          if (cookie) config.headers.Cookie = cookie;
+        }
+        return config;
+      },
+      (error) => {
+        return Promise.reject(error);
       }
-      return response;
-    },
-    (error) => {
-      // Log error details without revealing API endpoints
-      if (error.response) {
-        // The request was made and the server responded with a non-2xx status
-        const status = error.response.status;
-        
-        if (status === 429) {
-          logger.warning(`Rate limited (429)`, walletData?.address);
-        } else if (status >= 500) {
-          logger.error(`Server error (${status})`, walletData?.address);
+    );
+  
+    // Add response interceptor for logging
+    client.interceptors.response.use(
+      (response) => {
+        const duration = new Date() - response.config.metadata.startTime;
+        const fields = { step: 'http', endpoint: response.config.url, status: response.status, durationMs: duration, sessionId };
+        storeCookies(response);
+        metrics.observeRequest(response.config.url, response.status, duration);
+      
+        // We're removing the URL logging as requested; the endpoint only goes to the structured fields
+        if (duration > 3000) { // Only log very slow requests (over 3 seconds)
+          logger.info(`Request took ${duration}ms`, walletData?.address, fields);
         } else {
-          logger.error(`Request failed (${status})`, walletData?.address);
+          logger.trace(`Request completed (${response.status})`, walletData?.address, fields);
+        }
+        return response;
+      },
+      (error) => {
+        const fields = {
+          step: 'http',
+          endpoint: error.config?.url,
+          durationMs: error.config?.metadata ? new Date() - error.config.metadata.startTime : undefined,
+          errorCode: error.response ? `HTTP_${error.response.status}` : error.code,
+          sessionId
+        };
+        if (error.response) storeCookies(error.response);
+        if (fields.durationMs !== undefined) {
+          metrics.observeRequest(fields.endpoint, error.response ? error.response.status : error.code, fields.durationMs);
         }
-      } else if (error.request) {
-        // The request was made but no response was received
-        if (error.code === 'ECONNABORTED') {
-          logger.error(`Request timeout`, walletData?.address);
-        } else if (error.code === 'ECONNREFUSED') {
-          logger.error(`Connection refused`, walletData?.address);
-        } else if (error.code === 'ECONNRESET') {
-          logger.error(`Connection reset - possible proxy issue`, walletData?.address);
+        
+        // Log error details without revealing API endpoints
+        if (error.response) {
+          // The request was made and the server responded with a non-2xx status
+          const status = error.response.status;
+        
+          if (status === 429) {
+            logger.warning(`Rate limited (429)`, walletData?.address, fields);
+          } else if (status >= 500) {
+            logger.error(`Server error (${status})`, walletData?.address, fields);
+          } else {
+            logger.error(`Request failed (${status})`, walletData?.address, fields);
+          }
+        } else if (error.request) {
+          // The request was made but no response was received
+          if (error.code === 'ECONNABORTED') {
+            logger.error(`Request timeout`, walletData?.address, fields);
+          } else if (error.code === 'ECONNREFUSED') {
+            logger.error(`Connection refused`, walletData?.address, fields);
+          } else if (error.code === 'ECONNRESET') {
+            logger.error(`Connection reset - possible proxy issue`, walletData?.address, fields);
+          } else {
+            logger.error(`Network error: ${error.message}`, walletData?.address, fields);
+          }
         } else {
-          logger.error(`Network error: ${error.message}`, walletData?.address);
+          // Something happened in setting up the request
+          logger.error(`Request setup error: ${error.message}`, walletData?.address, fields);
         }
-      } else {
-        // Something happened in setting up the request
-        logger.error(`Request setup error: ${error.message}`, walletData?.address);
-      }
       
-      return Promise.reject(error);
-    }
-  );
+        return Promise.reject(error);
+      }
+    );
   
-  return client;
-}
+    return client;
+  }
 
-/**
- * Make a GET request with retry logic
- * @param {string} url - The URL to request
- * @param {Object} [options={}] - Axios request options
- * @param {Object} [walletData=null] - Wallet data including proxy
- * @returns {Promise<Object>} The response data
- */
-async function get(url, options = {}, walletData = null) {
-  const client = createApiClient(options, walletData);
+  /**
+   * Send a request with retry logic, turning failures into typed API errors.
+   * The wallet's `signal`, if it has one, cancels the request and its retries;
+   * the request then fails with the signal's reason, e.g. a DeadlineError.
+   * @param {string} url - The URL to request
+   * @param {Object} walletData - Wallet data including proxy and optional signal, or null
+   * @param {Function} call - Sends the request once with the given signal and returns the Axios response
+   * @returns {Promise<Object>} The response data
+   */
+  function request(url, walletData, call) {
+    const viaProxy = Boolean(config.general.useProxy && walletData?.proxy);
+    const signal = walletData?.signal || null;
+    let attempt = 0;
   
-  return withRetry(
-    async () => {
-      const response = await client.get(url);
-      return response.data;
-    },
-    config.general.maxRetries,
-    config.general.retryDelay,
-    walletData?.address
-  );
-}
+    return withRetry(
+      async () => {
+        if (attempt++ > 0) metrics.recordRetry(url);
+        try {
+          const response = await call(signal);
+          return response.data;
+        } catch (error) {
+          if (signal?.aborted) throw signal.reason;
+          throw toApiError(error, { url, attempt, wallet: walletData?.address, viaProxy });
+        }
+      },
+      config.general.maxRetries,
+      config.general.retryDelay,
+      walletData?.address,
+      logger,
+      { ...config.retry, breaker, signal }
+    );
+  }
 
-/**
- * Make a POST request with retry logic
- * @param {string} url - The URL to request
- * @param {Object} data - The data to send
- * @param {Object} [options={}] - Axios request options
- * @param {Object} [walletData=null] - Wallet data including proxy
- * @returns {Promise<Object>} The response data
- */
-async function post(url, data, options = {}, walletData = null) {
-  const client = createApiClient(options, walletData);
+  /**
+   * Make a GET request with retry logic
+   * @param {string} url - The URL to request
+   * @param {Object} [options={}] - Axios request options
+   * @param {Object} [walletData=null] - Wallet data including proxy
+   * @returns {Promise<Object>} The response data
+   * @throws {HarpieApiError} Typed error once the request failed for good
+   */
+  async function get(url, options = {}, walletData = null) {
+    const client = createApiClient(options, walletData);
+    return request(url, walletData, (signal) => client.get(url, { signal }));
+  }
+
+  /**
+   * Make a POST request with retry logic
+   * @param {string} url - The URL to request
+   * @param {Object} data - The data to send
+   * @param {Object} [options={}] - Axios request options
+   * @param {Object} [walletData=null] - Wallet data including proxy
+   * @returns {Promise<Object>} The response data
+   * @throws {HarpieApiError} Typed error once the request failed for good
+   */
+  async function post(url, data, options = {}, walletData = null) {
+    const client = createApiClient(options, walletData);
+    return request(url, walletData, (signal) => client.post(url, data, { signal }));
+  }
+  
+  /**
+   * Create an HTTP session for one wallet. The session reuses one Axios instance
+   * for the wallet's whole workflow, keeps connections alive and carries the
+   * cookies the API sets from one request to the next. Its get and post take
+   * the same arguments as the client's.
+   * @param {Object} walletData - Wallet data including address, proxy and optional signal that cancels every request of the session
+   * @param {Object} [options={}] - Session options
+   * @param {Array<Object>} [options.cookies=[]] - Cookies saved from a previous session
+   * @returns {Object} Session ({ jar, get, post, close })
+   */
+  function createSession(walletData, { cookies = [] } = {}) {
+    const jar = createCookieJar(cookies);
+    const agents = config.session.keepAlive
+      ? { httpAgent: new http.Agent({ keepAlive: true }), httpsAgent: new https.Agent({ keepAlive: true }) }
+      : {};
+    const instance = createApiClient(agents, walletData, jar);
   
-  return withRetry(
-    async () => {
-      const response = await client.post(url, data);
-      return response.data;
-    },
-    config.general.maxRetries,
-    config.general.retryDelay,
-    walletData?.address
-  );
+    return {
+      jar,
+      get: (url, options = {}) => request(url, walletData, (signal) => instance.get(url, { signal, ...options })),
+      post: (url, data, options = {}) => request(url, walletData, (signal) => instance.post(url, data, { signal, ...options })),
+  
+      /**
+       * Close the session's kept-alive connections
+       */
+      close() {
+        agents.httpAgent?.destroy();
+        agents.httpsAgent?.destroy();
+      }
+    };
+  }
+  
+  return {
+    createApiClient,
+    get,
+    post,
+    createSession,
+    breaker
+  };
 }
 
+// Client bound to the shared config and logger
+const defaultClient = createClient();
+
 module.exports = {
-  get,
-  post
-};
\ No newline at end of file
+  createClient,
+  get: defaultClient.get,
+  post: defaultClient.post
+};
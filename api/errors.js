@@ -0,0 +1,199 @@
+const { getRetryAfter, RETRYABLE_CODES, FATAL_CODES } = require('../lib/retry');
+
+// Replies of a SOCKS proxy that could not reach the API, with the matching network error code
+const SOCKS_UPSTREAM_CODES = {
+  NetworkUnreachable: 'ENETUNREACH',
+  HostUnreachable: 'EHOSTUNREACH',
+  ConnectionRefused: 'ECONNREFUSED',
+  TTLExpired: 'ETIMEDOUT'
+};
+
+/**
+ * Get the reason shown in messages for a network error code
+ * @param {string} code - Network error code, e.g. ECONNRESET
+ * @returns {string|undefined} The reason, if the code is known
+ */
+const getNetworkReason = (code) => RETRYABLE_CODES[code] || FATAL_CODES[code];
+
+/**
+ * Get the network error code of a SOCKS proxy reply saying it could not reach the API
+ * @param {Error} error - Error thrown by the request
+ * @returns {string|null} Network error code, or null for any other error
+ */
+function getSocksUpstreamCode(error) {
+  const reply = /^Socks5 proxy rejected connection - (\w+)/i.exec(error.message || '');
+  return (reply && SOCKS_UPSTREAM_CODES[reply[1]]) || null;
+}
+
+/**
+ * Get the short name of an API endpoint from its path
+ * @param {string} url - Request path, e.g. /api/addresses/0x.../queue-health/
+ * @returns {string} Endpoint name, e.g. queue-health
+ */
+const getEndpointName = (url) => (url || '').split('?')[0].split('/').filter(Boolean).pop() || 'unknown';
+
+/**
+ * Base class of every error thrown by the API client. Subclasses tell callers
+ * what went wrong without looking at axios internals.
+ */
+class HarpieApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {string} [details.endpoint] - Endpoint name, e.g. get-leaderboard-info
+   * @param {number} [details.attempt] - Attempt that failed, starting at 1
+   * @param {string} [details.wallet] - Wallet address the request was made for
+   * @param {number} [details.status] - HTTP status code, if the API answered
+   * @param {string} [details.code] - Network error code, if it did not
+   * @param {Error} [details.cause] - The original error
+   */
+  constructor(message, { endpoint = null, attempt = null, wallet = null, status = null, code = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.endpoint = endpoint;
+    this.attempt = attempt;
+    this.wallet = wallet;
+    this.status = status;
+    this.code = code;
+  }
+
+  /**
+   * Category of the error, for logs, stored outcomes and reports
+   * @returns {string} Category name
+   */
+  get category() {
+    return 'api';
+  }
+}
+
+/**
+ * The API could not be reached: connection refused, reset or timed out
+ */
+class NetworkError extends HarpieApiError {
+  get category() {
+    return 'network';
+  }
+}
+
+/**
+ * The wallet's proxy failed: a network error before the proxy opened the tunnel to the API, or a 407
+ */
+class ProxyError extends NetworkError {
+  get category() {
+    return 'proxy';
+  }
+}
+
+/**
+ * The API rate limited the request (429)
+ */
+class RateLimitError extends HarpieApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details, plus `retryAfterMs` from the Retry-After header
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+
+  get category() {
+    return 'rate-limit';
+  }
+}
+
+/**
+ * The API refused the request (401 or 403), e.g. a blocked proxy IP
+ */
+class AuthForbiddenError extends HarpieApiError {
+  get category() {
+    return 'forbidden';
+  }
+}
+
+/**
+ * The API failed on its side (5xx)
+ */
+class ServerError extends HarpieApiError {
+  get category() {
+    return 'server';
+  }
+}
+
+/**
+ * The API answered, but not the way the bot expects: an unexpected 4xx or a
+ * response that is missing fields. Usually means the Harpie API changed.
+ */
+class ApiContractError extends HarpieApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details, plus the schema `problems` and a redacted `sample` of the response
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.problems = details.problems || [];
+    this.sample = details.sample ?? null;
+  }
+
+  get category() {
+    return 'contract';
+  }
+}
+
+/**
+ * Turn an error thrown by axios into a typed API error
+ * @param {Error} error - Error thrown by the request
+ * @param {Object} context - Request context
+ * @param {string} context.url - Request path
+ * @param {number} context.attempt - Attempt that failed, starting at 1
+ * @param {string} [context.wallet] - Wallet address
+ * @param {boolean} [context.viaProxy=false] - Whether the request went through a proxy
+ * @returns {Error} Typed error, or the error itself if it did not come from the request
+ */
+function toApiError(error, { url, attempt, wallet = null, viaProxy = false }) {
+  if (error instanceof HarpieApiError || !(error.isAxiosError || error.response || error.code)) return error;
+
+  const details = { endpoint: getEndpointName(url), attempt, wallet, cause: error };
+  const status = error.response?.status;
+
+  if (status) {
+    details.status = status;
+    if (status === 429 || status === 425) {
+      return new RateLimitError(`Rate limited (${status})`, { ...details, retryAfterMs: getRetryAfter(error) });
+    }
+    if (status === 408) return new NetworkError('Request timeout (408)', details);
+    if (status === 401 || status === 403) return new AuthForbiddenError(`Access forbidden (${status})`, details);
+    if (status === 407) return new ProxyError('Proxy authentication required (407)', details);
+    if (status >= 500) return new ServerError(`Server error (${status})`, details);
+    return new ApiContractError(`Request rejected (${status})`, details);
+  }
+
+  // Through a proxy, only failures before the tunnel to the API opened are the
+  // proxy's. The proxy agent hands the request its socket once the tunnel is
+  // open, and a SOCKS proxy that cannot reach the API says so; either way the
+  // API is the one not answering. A cancelled request is never the proxy's fault.
+  const socksCode = viaProxy ? getSocksUpstreamCode(error) : null;
+  const proxyFailed = viaProxy && !error.request?.socket && !socksCode && error.code !== 'ERR_CANCELED';
+  const code = socksCode || error.code || null;
+
+  details.code = code;
+  const reason = getNetworkReason(code) || error.message || 'Network error';
+  const message = code && !getNetworkReason(code) ? `${reason} (${code})` : reason;
+
+  if (proxyFailed) {
+    return new ProxyError(`Proxy connection failed: ${message}`, details);
+  }
+  return new NetworkError(message, details);
+}
+
+module.exports = {
+  HarpieApiError,
+  NetworkError,
+  ProxyError,
+  RateLimitError,
+  AuthForbiddenError,
+  ServerError,
+  ApiContractError,
+  getEndpointName,
+  toApiError
+};
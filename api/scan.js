@@ -1,201 +1,248 @@
-const client = require('./client');
-const config = require('../config.json');
-const logger = require('../lib/logger');
+const defaultClient = require('./client');
+const { createLeaderboardApi } = require('./leaderboard');
+const { checkResponse } = require('./schemas');
+const { config: sharedConfig } = require('../lib/config');
+const sharedLogger = require('../lib/logger');
 const { sleep } = require('../lib/utils');
+const { classifyError, getBackoffDelay } = require('../lib/retry');
+const { parseAlerts } = require('../lib/health');
+const { isCancellation } = require('../lib/deadline');
 
 /**
- * Perform a wallet health scan
- * @param {Object} walletData - Wallet data including address and proxy
- * @returns {Promise<Object>} Scan results
+ * Create the scan API bound to a config, logger and client
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Bot config, defaults to the shared config
+ * @param {Object} [deps.logger] - Logger, defaults to the shared logger
+ * @param {Object} [deps.client] - API client, defaults to the shared client
+ * @param {Object} [deps.leaderboardApi] - Leaderboard API used to verify scans
+ * @returns {Object} Scan API
  */
-async function performWalletScan(walletData) {
-  try {
-    const { address } = walletData;
+function createScanApi({ config = sharedConfig, logger = sharedLogger, client = defaultClient, leaderboardApi } = {}) {
+  leaderboardApi = leaderboardApi || createLeaderboardApi({ config, logger, client });
+  
+  /**
+   * Perform a wallet health scan
+   * @param {Object} walletData - Wallet data including address, proxy and optional chainId
+   * @returns {Promise<Object>} Scan results
+   */
+  async function performWalletScan(walletData) {
+    try {
+      const { address } = walletData;
     
-    logger.info(`Starting wallet scan`, address);
+      logger.info(`Starting wallet scan`, address);
     
-    const data = {
-      chainId: config.harpie.chainId,
-      manualScan: true
-    };
+      const data = {
+        chainId: walletData.chainId ?? config.harpie.chainId,
+        manualScan: true
+      };
     
-    const response = await client.post(`/api/addresses/${address}/queue-health/`, data, {}, walletData);
+      const response = checkResponse(
+        'queue-health',
+        await client.post(`/api/addresses/${address}/queue-health/`, data, {}, walletData),
+        address,
+        logger
+      );
     
-    // Enhanced response validation - more specific
-    if (!response) {
-      throw new Error('Empty response received');
-    }
-    
-    // Check if the stats property exists
-    if (response.stats) {
-      const { percentImmune, percentVerified, activityScore } = response.stats;
+      // Check if the stats property exists
+      if (response.stats) {
+        const { percentImmune, percentVerified, activityScore } = response.stats;
       
-      // Only log these if they exist and verbose logging is enabled
-      if (config.general.verboseLogging) {
-        logger.info(`Immune: ${percentImmune || 0}% | Verified: ${percentVerified || 0}% | Activity: ${activityScore || 0}%`, address);
+        // Only log these if they exist and verbose logging is enabled
+        if (config.general.verboseLogging) {
+          logger.info(`Immune: ${percentImmune || 0}% | Verified: ${percentVerified || 0}% | Activity: ${activityScore || 0}%`, address);
+        }
       }
-    }
     
-    // Check for alerts
-    if (response.alerts && Object.keys(response.alerts).length > 0) {
-      logger.warning(`Alerts found during scan`, address);
-    }
+      // Check for alerts
+      if (response.alerts && Object.keys(response.alerts).length > 0) {
+        logger.warning(`Alerts found during scan (${parseAlerts(response.alerts).length})`, address);
+      }
     
-    logger.success(`Wallet scan completed`, address);
-    return response;
-  } catch (error) {
-    // More detailed error handling
-    if (error.response && error.response.status === 403) {
-      logger.error(`Wallet scan failed: Access forbidden (403)`, walletData.address);
-    } else if (error.code === 'ECONNRESET') {
-      logger.error(`Wallet scan failed: Connection reset`, walletData.address);
-    } else if (error.code === 'ETIMEDOUT') {
-      logger.error(`Wallet scan failed: Connection timed out`, walletData.address);
-    } else {
-      logger.error(`Wallet scan failed: ${error.message}`, walletData.address);
+      logger.success(`Wallet scan completed`, address);
+      return response;
+    } catch (error) {
+      logger.error(`Wallet scan failed: ${error.message}`, walletData.address, { errorCategory: error.category });
+      throw error;
     }
-    throw error;
   }
-}
 
-/**
- * Get the tracking ID for a wallet
- * @param {Object} walletData - Wallet data including address and proxy
- * @returns {Promise<string>} Tracking ID
- */
-async function getTrackingId(walletData) {
-  try {
-    const { address } = walletData;
-    
-    logger.info(`Getting tracking ID`, address);
+  /**
+   * Get the tracking ID for a wallet
+   * @param {Object} walletData - Wallet data including address, proxy and optional chainId
+   * @returns {Promise<string>} Tracking ID
+   */
+  async function getTrackingId(walletData) {
+    try {
+      const { address } = walletData;
     
-    const data = {
-      address,
-      chainId: config.harpie.chainId
-    };
+      logger.info(`Getting tracking ID`, address);
     
-    const response = await client.post('/api/hooks/get-tracking-id/', data, {}, walletData);
+      const data = {
+        address,
+        chainId: walletData.chainId ?? config.harpie.chainId
+      };
     
-    if (!response || !response.trackingId) {
-      throw new Error('Invalid tracking ID response');
-    }
+      const response = checkResponse(
+        'get-tracking-id',
+        await client.post('/api/hooks/get-tracking-id/', data, {}, walletData),
+        address,
+        logger
+      );
     
-    return response.trackingId;
-  } catch (error) {
-    if (error.code && error.code.startsWith('ECONN')) {
-      logger.error(`Failed to get tracking ID: Connection issue`, walletData.address);
-    } else {
-      logger.error(`Failed to get tracking ID: ${error.message}`, walletData.address);
+      return response.trackingId;
+    } catch (error) {
+      logger.error(`Failed to get tracking ID: ${error.message}`, walletData.address, { errorCategory: error.category });
+      throw error;
     }
-    throw error;
   }
-}
 
-/**
- * Get basic dashboard data
- * @param {Object} walletData - Wallet data including address and proxy
- * @returns {Promise<Object>} Dashboard data
- */
-async function getBasicDashboard(walletData) {
-  try {
-    const { address } = walletData;
-    
-    logger.info(`Getting dashboard data`, address);
+  /**
+   * Get basic dashboard data
+   * @param {Object} walletData - Wallet data including address, proxy and optional chainId
+   * @returns {Promise<Object>} Dashboard data
+   */
+  async function getBasicDashboard(walletData) {
+    try {
+      const { address } = walletData;
     
-    const data = {
-      dashboardId: address,
-      chainId: config.harpie.chainId
-    };
+      logger.info(`Getting dashboard data`, address);
     
-    const response = await client.post('/api/hooks/get-basic-dashboard/', data, {}, walletData);
+      const data = {
+        dashboardId: address,
+        chainId: walletData.chainId ?? config.harpie.chainId
+      };
     
-    if (!response) {
-      throw new Error('Empty response received');
-    }
+      const response = checkResponse(
+        'get-basic-dashboard',
+        await client.post('/api/hooks/get-basic-dashboard/', data, {}, walletData),
+        address,
+        logger
+      );
     
-    return response;
-  } catch (error) {
-    if (error.code && (error.code.startsWith('ECONN') || error.code === 'ETIMEDOUT')) {
-      logger.error(`Failed to get dashboard data: Network issue`, walletData.address);
-    } else {
-      logger.error(`Failed to get dashboard data: ${error.message}`, walletData.address);
+      return response;
+    } catch (error) {
+      logger.error(`Failed to get dashboard data: ${error.message}`, walletData.address, { errorCategory: error.category });
+      throw error;
     }
-    throw error;
   }
-}
 
-/**
- * Perform a complete scan workflow for a wallet
- * @param {Object} walletData - Wallet data including address and proxy
- * @param {boolean} [forceScan=false] - Force scan even if already completed
- * @param {Object} [existingLeaderboardInfo=null] - Existing leaderboard info if already fetched
- * @returns {Promise<Object>} Scan results
- */
-async function performScanWorkflow(walletData, forceScan = false, existingLeaderboardInfo = null) {
-  try {
+  /**
+   * Poll the leaderboard until a scan shows up as credited: the daily scan is
+   * marked done or the points rise. Checks back off from
+   * scan.verification.initialDelayMs up to maxDelayMs until deadlineMs has
+   * passed since the scan, or the wallet's signal cancels the wait.
+   * @param {Object} walletData - Wallet data including address, proxy, optional chainId and signal
+   * @param {Object} before - Leaderboard info from before the scan
+   * @param {boolean} scanAccepted - Whether the scan request itself succeeded
+   * @returns {Promise<Object>} Verification ({ status, latencyMs, checks }) and the latest leaderboard info
+   * @throws {Error} When no check could read the leaderboard, or a check failed for good
+   */
+  async function verifyScan(walletData, before, scanAccepted) {
     const { address } = walletData;
+    const { initialDelayMs, maxDelayMs, deadlineMs } = config.scan.verification;
+    const startedAt = Date.now();
+    let leaderboard = null;
+    let lastError = null;
+    let checks = 0;
+  
+    while (checks === 0 || Date.now() - startedAt < deadlineMs) {
+      const remainingMs = Math.max(deadlineMs - (Date.now() - startedAt), 0);
+      await sleep(Math.min(getBackoffDelay(checks + 1, { baseDelayMs: initialDelayMs, maxDelayMs, jitter: 0 }), remainingMs), walletData.signal);
+      checks++;
+    
+      try {
+        leaderboard = await leaderboardApi.getLeaderboardInfo(walletData);
+      } catch (error) {
+        if (isCancellation(error) || !classifyError(error).retryable) throw error;
+        lastError = error;
+        logger.warning(`Verification check ${checks} failed: ${error.message}`, address, { step: 'verify', errorCategory: error.category });
+        continue;
+      }
     
-    // Step 1: Get tracking ID (required for proper tracking)
-    await getTrackingId(walletData);
-    
-    // Step 2: Check if we have leaderboard info or need to fetch it
-    let leaderboardInfo = existingLeaderboardInfo;
-    if (!leaderboardInfo) {
-      leaderboardInfo = await require('./leaderboard').getLeaderboardInfo(walletData);
+      if (leaderboard.hasDoneDailyScan || leaderboard.personalPoints > before.personalPoints) {
+        const latencyMs = Date.now() - startedAt;
+        return { verification: { status: 'verified', latencyMs, checks }, leaderboard };
+      }
+      logger.debug(`Scan not credited yet (check ${checks})`, address, { step: 'verify' });
     }
+  
+    if (!leaderboard) throw lastError;
+    return { verification: { status: scanAccepted ? 'pending' : 'failed', latencyMs: null, checks }, leaderboard };
+  }
+
+  /**
+   * Perform a complete scan workflow for a wallet
+   * @param {Object} walletData - Wallet data including address, proxy and optional chainId
+   * @param {boolean} [forceScan] - Force scan even if already completed, defaults to scan.forceRescan
+   * @param {Object} [existingLeaderboardInfo=null] - Existing leaderboard info if already fetched
+   * @returns {Promise<Object>} Scan results, with the latest leaderboard info under `leaderboard`
+   *   and how the scan was verified under `verification` ({ status, latencyMs, checks })
+   */
+  async function performScanWorkflow(walletData, forceScan = config.scan.forceRescan, existingLeaderboardInfo = null) {
+    try {
+      const { address } = walletData;
     
-    // If daily scan is already completed and we're not forcing a scan, skip the process
-    if (leaderboardInfo.hasDoneDailyScan && !forceScan && !config.scan.forceRescan) {
-      logger.info(`Daily scan already completed. Skipping scan.`, address);
-      return { skipped: true, hasDoneDailyScan: true };
-    }
+      // Step 1: Get tracking ID (required for proper tracking)
+      await getTrackingId(walletData);
     
-    // Step 3: Get basic dashboard data (needed to set up the proper session)
-    await getBasicDashboard(walletData);
+      // Step 2: Check if we have leaderboard info or need to fetch it
+      let leaderboardInfo = existingLeaderboardInfo;
+      if (!leaderboardInfo) {
+        leaderboardInfo = await leaderboardApi.getLeaderboardInfo(walletData);
+      }
     
-    // Step 4: Perform the actual wallet scan
-    let scanResult;
-    try {
-      scanResult = await performWalletScan(walletData);
-    } catch (error) {
-      logger.warning(`Scan had issues, checking if points were still awarded...`, address);
-    }
+      // If daily scan is already completed and we're not forcing a scan, skip the process
+      if (leaderboardInfo.hasDoneDailyScan && !forceScan) {
+        logger.info(`Daily scan already completed. Skipping scan.`, address);
+        return { skipped: true, hasDoneDailyScan: true, leaderboard: leaderboardInfo };
+      }
     
-    // Step 5: Check if points increased after scan
-    await sleep(2000); // Wait for points to be credited
-    const updatedLeaderboard = await require('./leaderboard').getLeaderboardInfo(walletData);
+      // Step 3: Get basic dashboard data (needed to set up the proper session)
+      await getBasicDashboard(walletData);
     
-    const pointsIncreased = updatedLeaderboard.personalPoints > leaderboardInfo.personalPoints;
-    const scanCompleted = updatedLeaderboard.hasDoneDailyScan;
+      // Step 4: Perform the actual wallet scan
+      let scanResult;
+      try {
+        scanResult = await performWalletScan(walletData);
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        logger.warning(`Scan had issues, checking if points were still awarded...`, address);
+      }
+    
+      // Step 5: Wait for the backend to credit the scan
+      const { verification, leaderboard } = await verifyScan(walletData, leaderboardInfo, !!scanResult);
+      const fields = { step: 'verify', verification: verification.status, latencyMs: verification.latencyMs, checks: verification.checks };
+    
+      if (verification.status === 'verified') {
+        const how = leaderboard.hasDoneDailyScan ? 'Daily scan verified as completed' : 'Points increased, scan considered successful';
+        logger.success(`${how} after ${(verification.latencyMs / 1000).toFixed(1)}s`, address, fields);
+      } else if (verification.status === 'pending') {
+        logger.warning(`Scan accepted but not credited after ${(config.scan.verification.deadlineMs / 1000).toFixed(0)}s, still pending`, address, fields);
+      } else {
+        logger.warning(`Scan failed and no points were received`, address, fields);
+      }
     
-    if (scanCompleted) {
-      logger.success(`Daily scan verified as completed`, address);
-      return {
-        ...(scanResult || {}),
-        success: true
-      };
-    } else if (pointsIncreased) {
-      logger.success(`Points increased, scan considered successful`, address);
-      return {
-        ...(scanResult || {}),
-        success: true
-      };
-    } else {
-      logger.warning(`Scan completed but no points received`, address);
       return {
         ...(scanResult || {}),
-        success: false
+        leaderboard,
+        verification,
+        success: verification.status === 'verified'
       };
+    } catch (error) {
+      logger.error(`Scan workflow failed: ${error.message}`, walletData.address);
+      throw error;
     }
-  } catch (error) {
-    logger.error(`Scan workflow failed: ${error.message}`, walletData.address);
-    throw error;
   }
+  
+  return {
+    performWalletScan,
+    getTrackingId,
+    getBasicDashboard,
+    performScanWorkflow
+  };
 }
 
 module.exports = {
-  performWalletScan,
-  getTrackingId,
-  getBasicDashboard,
-  performScanWorkflow
-};
\ No newline at end of file
+  createScanApi,
+  ...createScanApi()
+};
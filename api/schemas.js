@@ -0,0 +1,207 @@
+const { ApiContractError } = require('./errors');
+
+// Longest sample of a bad response included in the diagnostic
+const SAMPLE_MAX_LENGTH = 600;
+const SAMPLE_MAX_DEPTH = 4;
+const SAMPLE_MAX_ITEMS = 3;
+
+// Keys whose values are never shown in a sample
+const SECRET_KEY = /token|secret|password|passphrase|auth|cookie|session|signature|private|email|tracking/i;
+
+/**
+ * Response schemas of the Harpie endpoints the bot uses, keyed by endpoint name.
+ * Like the config schema, every node has a `type` (or a list of accepted types)
+ * and optional constraints; objects list their known `fields`. Fields the bot
+ * does not use are not declared, and extra fields in a response are fine.
+ */
+const RESPONSE_SCHEMAS = {
+  'get-leaderboard-info': {
+    type: 'object',
+    fields: {
+      personalPoints: { type: 'number', min: 0 },
+      hasDoneDailyScan: { type: 'boolean' },
+      walletScanStreak: { type: 'number', integer: true, min: 0, optional: true },
+      personalPointEvents: { type: 'array', items: { type: 'string' }, optional: true, nullable: true }
+    }
+  },
+  'get-tracking-id': {
+    type: 'object',
+    fields: {
+      trackingId: { type: 'string', pattern: /\S/ }
+    }
+  },
+  'get-basic-dashboard': {
+    type: 'object'
+  },
+  'queue-health': {
+    type: 'object',
+    fields: {
+      stats: {
+        type: 'object',
+        optional: true,
+        nullable: true,
+        fields: {
+          percentImmune: { type: 'number', optional: true, nullable: true },
+          percentVerified: { type: 'number', optional: true, nullable: true },
+          activityScore: { type: 'number', optional: true, nullable: true }
+        }
+      },
+      alerts: { type: ['object', 'array'], optional: true, nullable: true }
+    }
+  }
+};
+
+/**
+ * Describe the type of a value, without its content
+ * @param {any} value - The value
+ * @returns {string} Type name
+ */
+const describe = (value) => {
+  if (value === undefined) return 'nothing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Check whether a value has a schema type
+ * @param {any} value - The value
+ * @param {string} type - object, array, string, number or boolean
+ * @returns {boolean} True if it matches
+ */
+function hasType(value, type) {
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {any} value - The value
+ * @param {Object} node - Schema node
+ * @param {string} fieldPath - Path of the value in the response
+ * @param {Array<string>} problems - Collected problems
+ */
+function validateNode(value, node, fieldPath, problems) {
+  if (value === undefined && node.optional) return;
+  if (value === null && node.nullable) return;
+
+  const label = fieldPath || 'response';
+  const types = Array.isArray(node.type) ? node.type : [node.type];
+  if (!types.some(type => hasType(value, type))) {
+    problems.push(`${label}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (node.fields && hasType(value, 'object')) {
+    for (const [key, child] of Object.entries(node.fields)) {
+      validateNode(value[key], child, fieldPath ? `${fieldPath}.${key}` : key, problems);
+    }
+  }
+
+  if (node.items && Array.isArray(value)) {
+    value.forEach((item, i) => validateNode(item, node.items, `${fieldPath}[${i}]`, problems));
+  }
+
+  if (typeof value === 'number') {
+    if (node.integer && !Number.isInteger(value)) {
+      problems.push(`${label}: expected a whole number, got ${value}`);
+    }
+    if (node.min !== undefined && value < node.min) {
+      problems.push(`${label}: must be at least ${node.min}, got ${value}`);
+    }
+  }
+
+  if (typeof value === 'string' && node.pattern && !node.pattern.test(value)) {
+    problems.push(`${label}: unexpected format`);
+  }
+}
+
+/**
+ * Make a copy of a response that is safe to log: secrets and addresses are
+ * masked, long strings and arrays are cut short, and deep nesting is elided
+ * @param {any} value - Response data
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {any} Redacted copy
+ */
+function redactSample(value, depth = 0) {
+  if (typeof value === 'string') {
+    if (/^0x[0-9a-fA-F]{8,}$/.test(value)) return `${value.slice(0, 6)}...`;
+    return value.length > 40 ? `${value.slice(0, 40)}...` : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= SAMPLE_MAX_DEPTH) return Array.isArray(value) ? '[...]' : '{...}';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, SAMPLE_MAX_ITEMS).map(item => redactSample(item, depth + 1));
+    if (value.length > SAMPLE_MAX_ITEMS) items.push(`(${value.length - SAMPLE_MAX_ITEMS} more)`);
+    return items;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    SECRET_KEY.test(key) && entry !== null && entry !== undefined ? '[redacted]' : redactSample(entry, depth + 1)
+  ]));
+}
+
+/**
+ * Format a redacted sample of a response for a log message
+ * @param {any} value - Response data
+ * @returns {string} JSON sample, shortened to SAMPLE_MAX_LENGTH
+ */
+function formatSample(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(redactSample(value));
+  return text.length > SAMPLE_MAX_LENGTH ? `${text.slice(0, SAMPLE_MAX_LENGTH)}...` : text;
+}
+
+/**
+ * Validate a response against the schema of its endpoint
+ * @param {string} endpoint - Endpoint name, e.g. get-leaderboard-info
+ * @param {any} data - Response data
+ * @returns {Array<string>} Problems, empty when the response matches
+ */
+function validateResponse(endpoint, data) {
+  const schema = RESPONSE_SCHEMAS[endpoint];
+  if (!schema) throw new Error(`No response schema for ${endpoint}`);
+
+  const problems = [];
+  validateNode(data, schema, '', problems);
+  return problems;
+}
+
+/**
+ * Check a response against the schema of its endpoint and report a mismatch.
+ * A mismatch is logged once with a redacted sample of the payload and thrown
+ * as an ApiContractError, so it stands out from network or server failures.
+ * @param {string} endpoint - Endpoint name, e.g. get-leaderboard-info
+ * @param {any} data - Response data
+ * @param {string} wallet - Wallet address the request was made for
+ * @param {Object} logger - Logger for the diagnostic
+ * @returns {any} The response data, when it matches
+ * @throws {ApiContractError} When the response does not match
+ */
+function checkResponse(endpoint, data, wallet, logger) {
+  const problems = validateResponse(endpoint, data);
+  if (problems.length === 0) return data;
+
+  const sample = formatSample(data);
+  logger.error(`API contract changed for ${endpoint}: ${problems.join('; ')}. Sample response: ${sample}`, wallet, {
+    step: 'contract',
+    endpoint,
+    problems
+  });
+  throw new ApiContractError(`API contract changed for ${endpoint} (${problems.join('; ')})`, {
+    endpoint,
+    wallet,
+    problems,
+    sample
+  });
+}
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  validateResponse,
+  checkResponse,
+  redactSample
+};
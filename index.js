@@ -1,183 +1,335 @@
-const fs = require('fs-extra');
 const path = require('path');
-const cron = require('node-cron');
-const config = require('./config.json');
+const { ethers } = require('ethers');
+const { config, loadConfig, resolvePath, getProfile, getConfigWarnings } = require('./lib/config');
 const logger = require('./lib/logger');
 const { generateHeader } = require('./lib/asciiArt');
 const wallet = require('./lib/wallet');
-const proxy = require('./lib/proxy');
-const { sleep, getRandomDelay } = require('./lib/utils');
-const leaderboardApi = require('./api/leaderboard');
-const scanApi = require('./api/scan');
+const { createBot, isFailure } = require('./lib/bot');
+const { createStore } = require('./lib/store');
+const { createScheduler } = require('./lib/scheduler');
+const report = require('./lib/report');
+const { metrics } = require('./lib/metrics');
+const { createServer } = require('./lib/server');
+const { createDashboard } = require('./lib/dashboard');
+const cli = require('./lib/cli');
+const { sleep } = require('./lib/utils');
+const { redact } = require('./lib/redact');
+const { createShutdown } = require('./lib/shutdown');
 
-// Display ASCII art header
-console.log(generateHeader());
+// Exit code of a run that a shutdown interrupted before it finished
+const EXIT_INTERRUPTED = 3;
 
-// Ensure required directories exist
-fs.ensureDirSync(path.join(__dirname, 'logs'));
+// Exit code of a command line with unknown options or arguments
+const EXIT_USAGE = 2;
 
 /**
- * Process a single wallet
- * @param {Object} walletData - Wallet data including address, privateKey, and proxy
- * @returns {Promise<void>}
+ * Create the bot for the loaded config, with file-backed state and schedule
+ * @returns {Object} Bot instance
  */
-async function processWallet(walletData) {
+function createCliBot() {
+  const stateDir = resolvePath('state');
+  const store = createStore(path.join(stateDir, 'runs.jsonl'));
+  const scheduler = createScheduler(path.join(stateDir, 'schedule.json'), store);
+  return { bot: createBot({ store, scheduler }), store, scheduler };
+}
+
+/**
+ * Convert CLI options into a wallet filter
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Wallet filter ({ include, exclude, groups })
+ */
+const toFilter = (options) => ({ include: options.wallet, exclude: options.exclude, groups: options.group });
+
+/**
+ * The main function that starts the bot.
+ * Runs every wallet that is due, then sleeps until the next one becomes due,
+ * until a shutdown stops it.
+ * @param {Object} bot - Bot instance
+ * @param {Object} scheduler - Scheduler instance
+ * @param {Object} [options={}] - Parsed CLI options
+ * @param {Object} [shutdown=createShutdown()] - Shutdown controller
+ * @returns {Promise<boolean>} True if the shutdown interrupted a run
+ */
+async function main(bot, scheduler, options = {}, shutdown = createShutdown()) {
+  logger.info('Harpie Bot starting...');
+  
+  const maxSleepMs = config.schedule.maxSleepMinutes * 60 * 1000;
+  let addresses = null;
+  let interrupted = false;
+  
+  while (!shutdown.requested) {
+    try {
+      metrics.heartbeat();
+      
+      // Reload the wallet list after every run so added wallets get picked up
+      if (!addresses) {
+        addresses = wallet.filterWallets(await bot.listWallets(), toFilter(options)).map(w => w.address);
+      }
+      
+      const due = scheduler.getDueAddresses(addresses);
+      if (due.length > 0) {
+        logger.info(`${due.length} wallet(s) due for processing`);
+        const summary = await bot.runAll({ include: due, exclude: options.exclude }, {
+          stopSignal: shutdown.stopSignal,
+          signal: shutdown.signal
+        });
+        interrupted = Boolean(summary?.interrupted);
+        addresses = null;
+        continue;
+      }
+      
+      // Wake up when the next wallet is due, but re-check at least every maxSleepMinutes
+      // so clock changes or a suspended host don't make us oversleep
+      const [next] = scheduler.getPlan(addresses);
+      const waitMs = next ? Math.max(next.nextRunAt - Date.now(), 0) : maxSleepMs;
+      if (next) {
+        logger.info(`Next run at ${next.nextRunAt.toLocaleString()}`, next.address);
+      } else {
+        logger.warning('No wallets to schedule');
+      }
+      await sleep(Math.min(waitMs, maxSleepMs), shutdown.stopSignal).catch(() => {});
+    } catch (error) {
+      // Keep scheduling: a bad manifest or a failed run is retried after a while
+      logger.error(`Main process error: ${error.message}. Retrying in ${config.schedule.maxSleepMinutes} minute(s)`);
+      addresses = null;
+      await sleep(maxSleepMs, shutdown.stopSignal).catch(() => {});
+    }
+  }
+  return interrupted;
+}
+
+/**
+ * Start the HTTP server with metrics, health check and dashboard, seeded with the last known state
+ * so gauges survive restarts
+ * @param {Object} bot - Bot instance
+ * @param {Object} store - State store
+ * @returns {Promise<Object|null>} The server, or null if it could not start
+ */
+async function startServer(bot, store) {
+  for (const state of store.getLatestWalletStates().values()) {
+    metrics.recordWallet(state, false);
+  }
+  for (const run of store.getFinishedRuns()) {
+    metrics.recordRun(run, new Date(run.finishedAt));
+  }
+  metrics.heartbeat();
+  
+  const server = createServer();
+  if (config.server.dashboard) {
+    createDashboard({ bot, store }).register(server);
+  }
+  
   try {
-    const { address } = walletData;
-    
-    logger.info(`Starting process for wallet`, address);
-    
-    // Step 1: Check leaderboard info and points
-    const leaderboardInfo = await leaderboardApi.getLeaderboardInfo(walletData);
+    await server.start();
+    return server;
+  } catch (error) {
+    logger.error(`Failed to start HTTP server: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Print the points and streak history report, optionally exporting it
+ * @param {Object} store - State store
+ * @param {Object} options - Parsed CLI options (--csv, --json)
+ * @returns {boolean} True if the report was produced
+ */
+function runReport(store, options) {
+  try {
+    const rows = report.buildReport(wallet.filterWallets(store.getWalletRecords(), toFilter(options)));
+    report.printReport(rows);
     
-    // Step 2: Check if daily scan is needed and perform it
-    if (config.scan.enabled) {
-      try {
-        if (leaderboardInfo.hasDoneDailyScan && !config.scan.forceRescan) {
-          logger.info(`Daily scan already completed. Skipping scan.`, address);
-        } else {
-          // No need to check leaderboard again at this point
-          const result = await scanApi.performScanWorkflow(walletData, config.scan.forceRescan, leaderboardInfo);
-          
-          if (result.success) {
-            logger.success(`Scan completed successfully`, address);
-          } else if (result.skipped) {
-            logger.info(`Scan skipped (already completed)`, address);
-          } else {
-            logger.warning(`Scan completed but without success`, address);
-          }
-        }
-      } catch (error) {
-        // Handle scan errors - but still mark the wallet as processed
-        if (error.code && error.code.startsWith('ECONN')) {
-          logger.error(`Scan failed due to network/proxy issues`, address);
-        } else {
-          logger.error(`Scan failed: ${error.message}`, address);
-        }
+    for (const format of ['csv', 'json']) {
+      if (options[format]) {
+        report.exportReport(rows, options[format], format);
+        logger.success(`Report exported to ${options[format]}`);
       }
-    } else {
-      logger.info(`Wallet scanning is disabled in config`, address);
     }
-    
-    logger.success(`Process completed for wallet`, address);
     return true;
   } catch (error) {
-    logger.error(`Process failed for wallet: ${error.message}`, walletData.address);
+    logger.error(`Failed to build report: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Process all wallets sequentially
- * @returns {Promise<void>}
+ * Run a standalone health scan and print the report, or JSON with --json
+ * @param {Object} bot - Bot instance
+ * @param {string} address - The wallet address
+ * @param {Object} options - Parsed CLI options (--json, --chain)
+ * @returns {Promise<number>} Exit code
  */
-async function processAllWallets() {
+async function runHealth(bot, address, options) {
+  if (!options.json) {
+    console.log(generateHeader());
+  }
+  
   try {
-    logger.info('Starting wallet processing...');
-    
-    // Get wallets and assign proxies
-    const wallets = wallet.getWallets();
-    if (wallets.length === 0) {
-      logger.error('No wallets found. Please add private keys to pk.txt');
-      return;
-    }
-    
-    const walletsWithProxies = await proxy.assignProxiesToWallets(wallets);
-    
-    // Process each wallet sequentially
-    let successCount = 0;
-    for (let i = 0; i < walletsWithProxies.length; i++) {
-      const walletData = walletsWithProxies[i];
-      
-      // Log progress
-      logger.info(`Processing wallet ${i+1}/${walletsWithProxies.length}`, walletData.address);
-      
-      // Log proxy information if applicable (but don't show full proxy string)
-      if (config.general.useProxy && walletData.proxyString) {
-        if (walletData.proxyIp) {
-          logger.info(`Using proxy with IP: ${walletData.proxyIp}`, walletData.address);
-        } else {
-          logger.info(`Using proxy (IP unknown)`, walletData.address);
-        }
-      } else if (config.general.useProxy) {
-        logger.warning(`No proxy assigned for this wallet`, walletData.address);
-      }
-      
-      const success = await processWallet(walletData);
-      if (success) successCount++;
-      
-      // Add delay between wallets unless it's the last one
-      if (i < walletsWithProxies.length - 1) {
-        const delay = getRandomDelay(
-          config.general.delayBetweenWallets * 0.8,
-          config.general.delayBetweenWallets * 1.2
-        );
-        logger.info(`Waiting ${(delay / 1000).toFixed(1)}s before processing next wallet...`);
-        await sleep(delay);
-      }
+    const result = await bot.healthCheck(address, { chainId: options.chain ? Number(options.chain) : undefined });
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      report.printHealthReport(result);
     }
-    
-    logger.success(`All wallets processed. Success: ${successCount}/${walletsWithProxies.length}`);
-    
-    // Schedule next run after completion delay (25 hours = 90,000,000 ms)
-    const nextRunDate = new Date(Date.now() + config.general.afterCompletionDelay);
-    
-    logger.info(`Next run scheduled for: ${nextRunDate.toLocaleString()}`);
+    return 0;
   } catch (error) {
-    logger.error(`Failed to process wallets: ${error.message}`);
+    console.error(`Health scan failed: ${redact(error.message)}`);
+    return 2;
   }
 }
 
 /**
- * The main function that starts the bot
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @param {Object} [shutdown=createShutdown()] - Shutdown controller, requested on SIGINT and SIGTERM
+ * @returns {Promise<number|null>} Exit code, or null when the process should keep running
  */
-async function main() {
+async function runCli(argv, shutdown = createShutdown()) {
+  let args;
+  try {
+    args = cli.parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.log(cli.USAGE);
+    return EXIT_USAGE;
+  }
+  
+  const { command, positionals, options } = args;
+  
+  if (options.help || command === 'help') {
+    console.log(cli.USAGE);
+    return 0;
+  }
+  
   try {
-    logger.info('Harpie Bot starting...');
+    loadConfig({ filePath: options.config, profile: options.profile });
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+  
+  // health --json keeps stdout clean for scripts; errors still go to stderr
+  if (command === 'health' && options.json) {
+    config.general.logToConsole = false;
+  }
+  
+  if (getProfile()) {
+    logger.info(`Using profile "${getProfile()}"`);
+  }
+  for (const warning of getConfigWarnings()) {
+    logger.warning(warning);
+  }
+  
+  const needsAddress = ['scan', 'check', 'health'].includes(command);
+  if (needsAddress && (!positionals[0] || !ethers.utils.isAddress(positionals[0]))) {
+    console.error(`Command "${command}" requires a valid wallet address`);
+    return 1;
+  }
+  
+  if (options.chain && !/^[1-9]\d*$/.test(options.chain)) {
+    console.error(`Option --chain requires a chain ID, got "${options.chain}"`);
+    return 1;
+  }
+  
+  const { bot, store, scheduler } = createCliBot();
+  
+  switch (command) {
+    case 'daemon':
+      console.log(generateHeader());
+      process.on('uncaughtException', (error) => {
+        logger.error(`Uncaught exception: ${error.message}`);
+        // Keep the process running
+      });
+      process.on('unhandledRejection', (reason) => {
+        logger.error(`Unhandled rejection: ${reason}`);
+        // Keep the process running
+      });
+      if (config.server.enabled) {
+        await startServer(bot, store);
+      }
+      // The daemon only returns once it was shut down
+      return (await main(bot, scheduler, options, shutdown)) ? EXIT_INTERRUPTED : 0;
     
-    // Run the bot immediately
-    await processAllWallets();
+    case 'run-once': {
+      console.log(generateHeader());
+      const summary = await bot.runAll(toFilter(options), { stopSignal: shutdown.stopSignal, signal: shutdown.signal });
+      if (!summary) return 1;
+      if (summary.interrupted) return EXIT_INTERRUPTED;
+      return summary.failedCount === 0 ? 0 : 2;
+    }
     
-    // Set up the cron job to run every 25 hours
-    // This is a backup in case the scheduled next run fails
-    cron.schedule('0 */25 * * *', async () => {
-      logger.info('Cron job triggered');
-      await processAllWallets();
-    });
+    case 'scan': {
+      console.log(generateHeader());
+      const outcome = await bot.runWallet(positionals[0], { signal: shutdown.signal });
+      if (outcome.scanOutcome === 'interrupted') return EXIT_INTERRUPTED;
+      return isFailure(outcome) ? 2 : 0;
+    }
+    
+    case 'check':
+      console.log(generateHeader());
+      try {
+        await bot.checkWallet(positionals[0]);
+        return 0;
+      } catch (error) {
+        console.error(`Check failed: ${redact(error.message)}`);
+        return 2;
+      }
     
-    // Set up a timer for the next run
-    setTimeout(async () => {
-      logger.info('Scheduled run triggered');
-      await processAllWallets();
-    }, config.general.afterCompletionDelay);
+    case 'health':
+      return runHealth(bot, positionals[0], options);
     
-  } catch (error) {
-    logger.error(`Main process error: ${error.message}`);
+    case 'status':
+      report.printStatus(wallet.filterWallets(await bot.getStatus(), toFilter(options)));
+      return 0;
+    
+    case 'report':
+      return runReport(store, options) ? 0 : 1;
+    
+    case 'import':
+    case 'encrypt':
+      return (await wallet.importPrivateKeyFile()) ? 0 : 1;
+    
+    default:
+      console.error(`Unknown command: ${command}`);
+      console.log(cli.USAGE);
+      return 1;
   }
 }
 
-// Start the bot
-main().catch(error => {
-  logger.error(`Unhandled error in main process: ${error.message}`);
-});
-
-// Handle process termination
-process.on('SIGINT', () => {
-  logger.info('Process interrupted. Shutting down...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  logger.info('Process terminated. Shutting down...');
-  process.exit(0);
-});
-
-process.on('uncaughtException', (error) => {
-  logger.error(`Uncaught exception: ${error.message}`);
-  // Keep the process running
-});
+if (require.main === module) {
+  const shutdown = createShutdown();
+  
+  /**
+   * Flush the logs and exit
+   * @param {number} code - Exit code
+   */
+  const exit = (code) => logger.flush().then(() => process.exit(code));
+  
+  // Stop gracefully: no new wallets, the current one gets a grace period.
+  // A second signal cancels it, a third exits right away.
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (shutdown.signal.aborted) {
+        logger.warning(`Received ${signal} again, exiting now`);
+        exit(EXIT_INTERRUPTED);
+        return;
+      }
+      shutdown.request(signal);
+    });
+  }
+  
+  runCli(process.argv.slice(2), shutdown)
+    .then(code => {
+      if (code !== null) exit(code);
+    })
+    .catch(error => {
+      logger.error(`Unhandled error in main process: ${error.message}`);
+      exit(1);
+    });
+}
 
-process.on('unhandledRejection', (reason) => {
-  logger.error(`Unhandled rejection: ${reason}`);
-  // Keep the process running
-});
\ No newline at end of file
+module.exports = {
+  createBot,
+  main,
+  runCli
+};
@@ -0,0 +1,630 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { config: sharedConfig, buildConfig, resolvePath } = require('./config');
+const sharedLogger = require('./logger');
+const walletModule = require('./wallet');
+const proxy = require('./proxy');
+const { createStore } = require('./store');
+const { createNotifier } = require('./notifier');
+const { createSessionStore } = require('./sessions');
+const { metrics: sharedMetrics } = require('./metrics');
+const health = require('./health');
+const { sleep, getRandomDelay } = require('./utils');
+const { redact } = require('./redact');
+const { createDeadline, isCancellation } = require('./deadline');
+const { createClient } = require('../api/client');
+const { createLeaderboardApi } = require('../api/leaderboard');
+const { createScanApi } = require('../api/scan');
+
+/**
+ * Check whether a wallet outcome counts as a failure for exit codes and summaries
+ * @param {Object} outcome - Wallet outcome
+ * @returns {boolean} True if the wallet failed
+ */
+const isFailure = (outcome) => !outcome.success || outcome.scanOutcome === 'failed';
+
+// Scan outcomes from worst to best; a wallet on several chains reports its worst one
+const OUTCOME_SEVERITY = ['error', 'timeout', 'interrupted', 'failed', 'no-points', 'pending', 'success', 'skipped', 'disabled'];
+
+/**
+ * Turn a wallet given as a bare address into a watch-only wallet entry
+ * @param {Object|string} entry - Wallet object or address
+ * @returns {Object} Wallet object
+ */
+const toWallet = (entry) => (typeof entry === 'string'
+  ? { address: ethers.utils.getAddress(entry), privateKey: null, instance: null, source: 'address', watchOnly: true }
+  : entry);
+
+/**
+ * Outcome of a chain whose work was cancelled
+ * @param {Error} error - The cancellation
+ * @returns {string} 'interrupted' when the bot shut down, 'timeout' when a time budget ran out
+ */
+const cancelledOutcome = (error) => (error.category === 'interrupted' ? 'interrupted' : 'timeout');
+
+/**
+ * Create a bot instance
+ * @param {Object} [options={}] - Dependencies, all optional
+ * @param {Object} [options.config] - Config overrides, merged over the defaults and validated (defaults to the loaded config)
+ * @param {Array<Object|string>|Function} [options.wallets] - Wallets or addresses, or an async function returning them (defaults to the configured wallet files)
+ * @param {Object} [options.logger] - Logger with info/success/warning/error/points methods, and optionally
+ *   setWalletLabel(address, label) to name wallets by their manifest label
+ * @param {Object} [options.store] - Run state store (defaults to the configured state directory)
+ * @param {Object} [options.scheduler=null] - Scheduler to update after each wallet
+ * @param {Function} [options.assignProxies] - Async function that attaches proxies to wallets
+ * @param {Object} [options.notifier] - Notifier for run summaries and alerts (defaults to the configured channels)
+ * @param {Object} [options.metrics] - Metrics registry (defaults to the shared one)
+ * @param {Object} [options.sessionStore] - Store for session cookies (defaults to `sessions.json` in the state directory when `session.persistCookies` is on)
+ * @returns {Object} Bot with runAll, runWallet, checkWallet, healthCheck, getStatus and listWallets methods
+ */
+function createBot(options = {}) {
+  const config = options.config ? buildConfig(options.config) : sharedConfig;
+  const logger = options.logger || sharedLogger;
+  const store = options.store || createStore(path.join(resolvePath('state', config), 'runs.jsonl'));
+  const scheduler = options.scheduler || null;
+  const assignProxies = options.assignProxies || ((wallets) => proxy.assignProxiesToWallets(wallets, config));
+  const notifier = options.notifier || createNotifier({ config, logger });
+  const metrics = options.metrics || sharedMetrics;
+  const sessionStore = options.sessionStore
+    || createSessionStore(config.session.persistCookies ? path.join(resolvePath('state', config), 'sessions.json') : null);
+  
+  const client = createClient({ config, logger, metrics });
+  
+  /**
+   * Run a function with an HTTP session for a wallet. Every request the function
+   * makes through the given APIs shares the session's connection and cookies.
+   * @param {Object} walletData - Wallet data including address, proxy and optional signal that cancels the session's requests
+   * @param {Function} fn - Async function receiving ({ leaderboardApi, scanApi })
+   * @returns {Promise<any>} The function's result
+   */
+  async function withSession(walletData, fn) {
+    const session = client.createSession(walletData, { cookies: sessionStore.load(walletData.address) });
+    const leaderboardApi = createLeaderboardApi({ config, logger, client: session });
+    const scanApi = createScanApi({ config, logger, client: session, leaderboardApi });
+  
+    try {
+      return await fn({ leaderboardApi, scanApi });
+    } finally {
+      sessionStore.save(walletData.address, session.jar.toJSON());
+      session.close();
+    }
+  }
+  
+  /**
+   * Get all wallets the bot manages
+   * @returns {Promise<Array<Object>>} Wallet objects, each with its position in the list
+   */
+  async function listWallets() {
+    let wallets = options.wallets || (() => walletModule.getWallets(config));
+    if (typeof wallets === 'function') {
+      wallets = await wallets();
+    }
+    wallets = wallets.map((entry, index) => ({ index, ...toWallet(entry) }));
+    if (typeof logger.setWalletLabel === 'function') {
+      for (const w of wallets) {
+        logger.setWalletLabel(w.address, w.label || null);
+      }
+    }
+    return wallets;
+  }
+  
+  /**
+   * Attach proxies to wallets when proxies are enabled
+   * @param {Array<Object>} wallets - Wallet objects
+   * @returns {Promise<Array<Object>>} Wallets with proxy fields
+   */
+  async function withProxies(wallets) {
+    if (!config.general.useProxy) {
+      return wallets.map(w => ({ ...w, proxy: null }));
+    }
+    return assignProxies(wallets);
+  }
+  
+  /**
+   * Find a wallet by address, falling back to a watch-only entry
+   * @param {string} address - The wallet address
+   * @returns {Promise<Object>} Wallet data with its proxy assigned
+   */
+  async function resolveWallet(address) {
+    const checksummed = ethers.utils.getAddress(address);
+    let walletData = (await listWallets()).find(w => w.address === checksummed);
+    
+    if (!walletData) {
+      logger.warning(`Wallet is not configured, treating it as watch-only`, checksummed);
+      walletData = toWallet(checksummed);
+    }
+    
+    const [withProxy] = await withProxies([walletData]);
+    return withProxy;
+  }
+  
+  /**
+   * Store a wallet outcome, update its schedule and send any alerts it triggers
+   * @param {string} runId - The run ID
+   * @param {Object} outcome - Wallet outcome
+   * @returns {Promise<Object>} The same outcome
+   */
+  async function recordOutcome(runId, outcome) {
+    const history = store.getWalletHistory(outcome.address);
+    store.recordWallet(runId, outcome);
+    metrics.recordWallet(outcome);
+    if (scheduler) {
+      const nextRunAt = scheduler.recordOutcome(outcome);
+      logger.info(`Next run scheduled for: ${nextRunAt.toLocaleString()}`, outcome.address);
+    }
+    await notifier.checkAlerts(outcome, history);
+    return outcome;
+  }
+  
+  /**
+   * Get the chains a wallet is scanned on: its own chains, then those of its
+   * manifest group, then the global list
+   * @param {Object} walletData - Wallet data, optionally with its own `chainIds` and its group's `groupChainIds`
+   * @returns {Array<number>} Chain IDs, the primary chain first
+   */
+  function getChainIds(walletData) {
+    if (walletData.chainIds?.length > 0) return walletData.chainIds;
+  
+    const needle = walletData.address.toLowerCase();
+    const configured = Object.entries(config.harpie.walletChains).find(([address]) => address.toLowerCase() === needle);
+    if (configured && configured[1].length > 0) return configured[1];
+  
+    if (walletData.groupChainIds?.length > 0) return walletData.groupChainIds;
+  
+    return config.harpie.chainIds.length > 0 ? config.harpie.chainIds : [config.harpie.chainId];
+  }
+  
+  /**
+   * Run the leaderboard check and health scan of a wallet on one chain
+   * @param {Object} walletData - Wallet data including address, proxy, chainId and the wallet's deadline signal
+   * @param {Array<Object>} history - The wallet's stored records, oldest first
+   * @param {string} tag - Prefix for log messages, naming the chain when a wallet has several
+   * @param {Object} apis - Leaderboard and scan APIs bound to the wallet's session
+   * @returns {Promise<Object>} Chain result
+   */
+  async function processChain(walletData, history, tag, { leaderboardApi, scanApi }) {
+    const { address, chainId } = walletData;
+    // The wallet's manifest entry can turn scanning off or force a rescan
+    const scanSettings = { ...config.scan, ...walletData.scan };
+    const result = {
+      chainId,
+      personalPoints: null,
+      walletScanStreak: null,
+      hasDoneDailyScan: null,
+      scanOutcome: null,
+      verification: null,
+      stats: null,
+      alerts: null,
+      alertCount: 0,
+      newAlerts: [],
+      healthDrops: [],
+      error: null,
+      errorCategory: null
+    };
+  
+    /**
+     * Copy points and scan status from a leaderboard response into the result
+     * @param {Object} info - Leaderboard info
+     */
+    const applyLeaderboard = (info) => {
+      if (!info) return;
+      result.personalPoints = info.personalPoints ?? result.personalPoints;
+      result.walletScanStreak = info.walletScanStreak ?? result.walletScanStreak;
+      result.hasDoneDailyScan = info.hasDoneDailyScan ?? result.hasDoneDailyScan;
+    };
+  
+    /**
+     * Store the stats and alerts of a health scan, compared against the previous scan on this chain
+     * @param {Object} scan - Scan workflow result with the scan's `stats` and `alerts`
+     */
+    const applyScan = (scan) => {
+      if (!scan.stats && !scan.alerts) return;
+    
+      const previousScan = health.getLastScan(history, chainId, config.harpie.chainId);
+      const previousAlerts = Array.isArray(previousScan?.alerts) ? previousScan.alerts : null;
+    
+      result.stats = scan.stats || null;
+      result.alerts = health.parseAlerts(scan.alerts);
+      result.alertCount = result.alerts.length;
+      result.newAlerts = health.diffAlerts(result.alerts, previousAlerts).map(alert => alert.key);
+      result.healthDrops = health.findHealthDrops(result.stats, previousScan?.stats, config.scan.healthDropThreshold);
+    
+      for (const alert of result.alerts.filter(a => result.newAlerts.includes(a.key))) {
+        logger.warning(`${tag}New scan alert: ${alert.title}${alert.severity ? ` (${alert.severity})` : ''}`, address, {
+          step: 'scan',
+          chainId,
+          alertCategory: alert.category,
+          alertId: alert.id
+        });
+      }
+      for (const drop of result.healthDrops) {
+        logger.warning(`${tag}Health dropped: ${drop.stat} ${drop.from} -> ${drop.to}`, address, { step: 'scan', chainId, ...drop });
+      }
+    };
+  
+    try {
+      // Step 1: Check leaderboard info and points
+      const leaderboardInfo = await leaderboardApi.getLeaderboardInfo(walletData);
+      applyLeaderboard(leaderboardInfo);
+    
+      // Step 2: Check if daily scan is needed and perform it
+      if (scanSettings.enabled) {
+        try {
+          if (leaderboardInfo.hasDoneDailyScan && !scanSettings.forceRescan) {
+            logger.info(`${tag}Daily scan already completed. Skipping scan.`, address);
+            result.scanOutcome = 'skipped';
+          } else {
+            // No need to check leaderboard again at this point
+            const scan = await scanApi.performScanWorkflow(walletData, scanSettings.forceRescan, leaderboardInfo);
+            applyLeaderboard(scan.leaderboard);
+            applyScan(scan);
+            result.verification = scan.verification || null;
+          
+            if (scan.success) {
+              logger.success(`${tag}Scan completed successfully`, address);
+              result.scanOutcome = 'success';
+            } else if (scan.skipped) {
+              logger.info(`${tag}Scan skipped (already completed)`, address);
+              result.scanOutcome = 'skipped';
+            } else if (scan.verification?.status === 'pending') {
+              // The scheduler retries pending wallets, by then the scan is usually credited
+              logger.warning(`${tag}Scan not credited yet, will check again on the next run`, address);
+              result.scanOutcome = 'pending';
+            } else {
+              logger.warning(`${tag}Scan completed but without success`, address);
+              result.scanOutcome = 'no-points';
+            }
+          }
+        } catch (error) {
+          // Handle scan errors - but still mark the wallet as processed
+          const timedOut = isCancellation(error);
+          logger.error(`${tag}${timedOut ? 'Scan cancelled' : 'Scan failed'}: ${error.message}`, address, {
+            step: 'scan',
+            chainId,
+            errorCode: error.code,
+            errorCategory: error.category
+          });
+          result.scanOutcome = timedOut ? cancelledOutcome(error) : 'failed';
+          result.error = redact(error.message);
+          result.errorCategory = error.category || (timedOut ? 'timeout' : null);
+        }
+      } else {
+        logger.info(`${tag}Wallet scanning is disabled in config`, address);
+        result.scanOutcome = 'disabled';
+      }
+    } catch (error) {
+      const timedOut = isCancellation(error);
+      logger.error(`${tag}${timedOut ? 'Leaderboard check cancelled' : 'Leaderboard check failed'}: ${error.message}`, address, {
+        step: 'leaderboard',
+        chainId,
+        errorCode: error.code,
+        errorCategory: error.category
+      });
+      result.scanOutcome = timedOut ? cancelledOutcome(error) : (result.scanOutcome || 'error');
+      result.error = redact(error.message);
+      result.errorCategory = error.category || (timedOut ? 'timeout' : null);
+    }
+  
+    return result;
+  }
+  
+  /**
+   * Process a single wallet on each of its chains.
+   * The outcome carries the primary (first) chain's points and scan results;
+   * wallets on several chains also get every chain's result under `chains`.
+   * The wallet has timeouts.walletMs to finish; after that its requests and
+   * waits are cancelled and the chains left unfinished get the outcome `timeout`,
+   * or `interrupted` when a shutdown cancelled them.
+   * @param {Object} walletData - Wallet data including address, proxy and privateKey (null for watch-only wallets)
+   * @param {AbortSignal} [runSignal=null] - Signal of the run's time budget or a shutdown, which also cancels the wallet
+   * @returns {Promise<Object>} Wallet outcome as recorded in the state store
+   */
+  async function processWallet(walletData, runSignal = null) {
+    const { address } = walletData;
+    const startedAt = new Date();
+    const chainIds = getChainIds(walletData);
+    const multiChain = chainIds.length > 1;
+    const history = store.getWalletHistory(address);
+    const deadline = createDeadline(config.timeouts.walletMs, { parent: runSignal, label: 'Wallet' });
+  
+    logger.info(`Starting process for wallet`, address);
+  
+    // One session for all chains, so the wallet's cookies carry over
+    const chains = [];
+    const session = { ...walletData, signal: deadline.signal };
+    try {
+      await withSession(session, async (apis) => {
+        for (const chainId of chainIds) {
+          chains.push(await processChain({ ...session, chainId }, history, multiChain ? `[chain ${chainId}] ` : '', apis));
+        }
+      });
+    } finally {
+      deadline.clear();
+    }
+  
+    const [primary] = chains;
+    const failedChains = chains.filter(c => c.error);
+    const outcome = {
+      address,
+      label: walletData.label || null,
+      groups: walletData.groups || [],
+      ...primary,
+      // The wallet is done for the day only when every chain is
+      hasDoneDailyScan: chains.every(c => c.hasDoneDailyScan === true)
+        || (chains.some(c => c.hasDoneDailyScan === false) ? false : null),
+      scanOutcome: chains.map(c => c.scanOutcome).sort((a, b) => OUTCOME_SEVERITY.indexOf(a) - OUTCOME_SEVERITY.indexOf(b))[0],
+      success: chains.every(c => !['error', 'timeout', 'interrupted'].includes(c.scanOutcome)),
+      error: multiChain
+        ? failedChains.map(c => `chain ${c.chainId}: ${c.error}`).join('; ') || null
+        : primary.error,
+      errorCategory: failedChains[0]?.errorCategory ?? null,
+      ...(multiChain ? { chains } : {}),
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString()
+    };
+  
+    const fields = { step: 'wallet', scanOutcome: outcome.scanOutcome, durationMs: Date.now() - startedAt.getTime() };
+    if (outcome.success) {
+      logger.success(`Process completed for wallet`, address, fields);
+    } else {
+      logger.error(`Process failed for wallet: ${outcome.error}`, address, fields);
+    }
+  
+    return outcome;
+  }
+  
+  /**
+   * Process all wallets sequentially. The run has timeouts.runMs to finish;
+   * when it runs out the current wallet is cancelled and the remaining wallets
+   * are left for the next run.
+   *
+   * A shutdown first aborts `stopSignal`, so no new wallet is started, and
+   * later `signal`, which cancels the current wallet. A cancelled wallet is not
+   * recorded and the run is left unfinished, so the next run resumes it.
+   * @param {Object} [filter={}] - Wallet selection ({ include, exclude, groups }, see wallet.filterWallets)
+   * @param {Object} [options={}] - Run options
+   * @param {AbortSignal} [options.stopSignal=null] - Stops the run before the next wallet
+   * @param {AbortSignal} [options.signal=null] - Cancels the run and its current wallet
+   * @returns {Promise<Object|null>} Run summary with per-wallet outcomes, or null if the run could not start
+   */
+  async function runAll(filter = {}, { stopSignal = null, signal = null } = {}) {
+    const deadline = createDeadline(config.timeouts.runMs, { parent: signal, label: 'Run' });
+    // Waits between wallets end early when the run runs out of time or is stopped
+    const waitSignal = stopSignal ? AbortSignal.any([deadline.signal, stopSignal]) : deadline.signal;
+    try {
+      logger.info('Starting wallet processing...');
+    
+      // Get wallets and assign proxies
+      const allWallets = await listWallets();
+      if (allWallets.length === 0) {
+        logger.error(`No wallets found. Please add private keys to ${path.basename(resolvePath('privateKeys', config))}, keystores to the keystore directory or addresses to ${path.basename(resolvePath('addresses', config))}`);
+        return null;
+      }
+    
+      const wallets = walletModule.filterWallets(allWallets, filter);
+      if (wallets.length === 0) {
+        logger.error('No wallets match the given filters');
+        return null;
+      }
+      const filtered = wallets.length !== allWallets.filter(w => w.enabled !== false).length;
+    
+      // Pick up where a crashed run left off, or start a new one.
+      // Filtered runs always start fresh so they don't finish someone else's run.
+      let runId;
+      let alreadyProcessed = new Set();
+      const incompleteRun = filtered ? null : store.getIncompleteRun();
+      const resumeWindowMs = config.state.resumeWindowHours * 60 * 60 * 1000;
+    
+      if (incompleteRun && Date.now() - new Date(incompleteRun.startedAt).getTime() < resumeWindowMs) {
+        runId = incompleteRun.runId;
+        alreadyProcessed = incompleteRun.processed;
+        logger.warning(`Resuming interrupted run from ${new Date(incompleteRun.startedAt).toLocaleString()} (${alreadyProcessed.size} wallet(s) already done)`);
+      } else {
+        if (incompleteRun) {
+          store.finishRun(incompleteRun.runId, { abandoned: true });
+        }
+        runId = store.startRun(wallets.length);
+      }
+    
+      const pendingWallets = wallets.filter(w => !alreadyProcessed.has(w.address));
+      const previousStates = store.getLatestWalletStates();
+      const walletsWithProxies = await withProxies(pendingWallets);
+    
+      // Process each wallet sequentially
+      let successCount = 0;
+      let failedCount = 0;
+      let stopped = null;
+      let notProcessed = 0;
+      const outcomes = [];
+      for (let i = 0; i < walletsWithProxies.length; i++) {
+        const walletData = walletsWithProxies[i];
+      
+        if (stopSignal?.aborted || signal?.aborted) {
+          stopped = 'interrupted';
+          notProcessed = walletsWithProxies.length - i;
+          logger.warning(`Shutting down, ${notProcessed} wallet(s) left for the next run`);
+          break;
+        }
+        if (deadline.signal.aborted) {
+          stopped = 'timedOut';
+          notProcessed = walletsWithProxies.length - i;
+          logger.warning(`${deadline.signal.reason?.message || 'Run cancelled'}, ${notProcessed} wallet(s) not processed`);
+          break;
+        }
+      
+        // Log progress
+        logger.info(`Processing wallet ${i+1}/${walletsWithProxies.length}`, walletData.address);
+      
+        // Log proxy information if applicable (but don't show full proxy string)
+        if (config.general.useProxy && walletData.proxyString) {
+          if (walletData.proxyIp) {
+            logger.info(`Using proxy with IP: ${walletData.proxyIp}`, walletData.address);
+          } else {
+            logger.info(`Using proxy (IP unknown)`, walletData.address);
+          }
+        } else if (config.general.useProxy) {
+          logger.warning(`No proxy assigned for this wallet`, walletData.address);
+        }
+      
+        const result = await processWallet(walletData, deadline.signal);
+        if (signal?.aborted) {
+          stopped = 'interrupted';
+          notProcessed = walletsWithProxies.length - i;
+          logger.warning(`Wallet cancelled by the shutdown, it is processed again on the next run`, walletData.address);
+          break;
+        }
+      
+        const outcome = await recordOutcome(runId, result);
+        outcomes.push(outcome);
+        if (outcome.success) successCount++;
+        if (isFailure(outcome)) failedCount++;
+      
+        // Add delay between wallets unless it's the last one
+        if (i < walletsWithProxies.length - 1) {
+          const delay = getRandomDelay(
+            config.general.delayBetweenWallets * 0.8,
+            config.general.delayBetweenWallets * 1.2
+          );
+          logger.info(`Waiting ${(delay / 1000).toFixed(1)}s before processing next wallet...`);
+          // Cut short when the run runs out of time or is stopped, the next iteration ends the run
+          await sleep(delay, waitSignal).catch(() => {});
+        }
+      }
+    
+      const summary = {
+        successCount,
+        failedCount,
+        total: walletsWithProxies.length,
+        ...(stopped ? { [stopped]: true, notProcessed } : {})
+      };
+      if (stopped === 'interrupted') {
+        // Left unfinished, so the next run picks up the wallets it did not get to
+        store.interruptRun(runId, summary);
+      } else {
+        store.finishRun(runId, summary);
+        metrics.recordRun(summary);
+      }
+      if (stopped) {
+        const how = stopped === 'interrupted' ? 'Run interrupted' : 'Run stopped early';
+        logger.warning(`${how}. Success: ${successCount}/${walletsWithProxies.length}, not processed: ${notProcessed}`);
+      } else {
+        logger.success(`All wallets processed. Success: ${successCount}/${walletsWithProxies.length}`);
+      }
+      await notifier.notifyRun({ runId, ...summary, outcomes }, previousStates);
+    
+      return { runId, ...summary, outcomes };
+    } catch (error) {
+      logger.error(`Failed to process wallets: ${error.message}`);
+      return null;
+    } finally {
+      deadline.clear();
+    }
+  }
+  
+  /**
+   * Run the full workflow for a single wallet
+   * @param {string} address - The wallet address
+   * @param {Object} [options={}] - Run options
+   * @param {AbortSignal} [options.signal=null] - Cancels the wallet, which then gets the outcome `interrupted`
+   * @returns {Promise<Object>} Wallet outcome
+   */
+  async function runWallet(address, { signal = null } = {}) {
+    const walletData = await resolveWallet(address);
+    const previousStates = store.getLatestWalletStates();
+    const runId = store.startRun(1);
+    const outcome = await recordOutcome(runId, await processWallet(walletData, signal));
+    const summary = {
+      successCount: outcome.success ? 1 : 0,
+      failedCount: isFailure(outcome) ? 1 : 0,
+      total: 1
+    };
+    store.finishRun(runId, summary);
+    metrics.recordRun(summary);
+    await notifier.notifyRun({ runId, ...summary, outcomes: [outcome] }, previousStates);
+    return outcome;
+  }
+  
+  /**
+   * Only check points and daily scan status for a wallet
+   * @param {string} address - The wallet address
+   * @returns {Promise<Object>} Leaderboard info
+   */
+  async function checkWallet(address) {
+    const walletData = await resolveWallet(address);
+    return withSession(walletData, ({ leaderboardApi }) => leaderboardApi.getLeaderboardInfo(walletData));
+  }
+  
+  /**
+   * Run a standalone health scan for a wallet, without the daily points workflow.
+   * The result is not recorded, so the next daily run still reports new alerts.
+   * @param {string} address - The wallet address
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.chainId] - Chain to scan, defaults to the wallet's primary chain
+   * @returns {Promise<Object>} Health result ({ address, chainId, scannedAt, stats, previousStats, alerts, newAlerts, raw })
+   */
+  async function healthCheck(address, options = {}) {
+    const resolved = await resolveWallet(address);
+    const walletData = { ...resolved, chainId: options.chainId ?? getChainIds(resolved)[0] };
+  
+    const response = await withSession(walletData, async ({ scanApi }) => {
+      await scanApi.getTrackingId(walletData);
+      await scanApi.getBasicDashboard(walletData);
+      return scanApi.performWalletScan(walletData);
+    });
+  
+    const previousScan = health.getLastScan(store.getWalletHistory(walletData.address), walletData.chainId, config.harpie.chainId);
+    const alerts = health.parseAlerts(response.alerts).map(alert => ({ ...alert, target: health.getAlertTarget(alert) }));
+    const previousAlerts = Array.isArray(previousScan?.alerts) ? previousScan.alerts : null;
+  
+    return {
+      address: walletData.address,
+      chainId: walletData.chainId,
+      scannedAt: new Date().toISOString(),
+      stats: response.stats || null,
+      previousStats: previousScan?.stats || null,
+      alerts,
+      newAlerts: health.diffAlerts(alerts, previousAlerts).map(alert => alert.key),
+      raw: response
+    };
+  }
+  
+  /**
+   * Get the state of every configured wallet, followed by wallets that are no
+   * longer configured but have stored runs. A wallet that has not run yet only
+   * has its address, manifest settings and planned next run.
+   * @returns {Promise<Array<Object>>} Latest stored record per wallet with the current
+   *   label, enabled and groups, and `nextRunAt` when a scheduler is set
+   */
+  async function getStatus() {
+    const stored = new Map([...store.getLatestWalletStates().values()].map(state => [state.address.toLowerCase(), state]));
+    const states = new Map();
+
+    for (const w of await listWallets()) {
+      const key = w.address.toLowerCase();
+      states.set(key, { ...stored.get(key), address: w.address, label: w.label || null, enabled: w.enabled, groups: w.groups });
+    }
+    for (const [key, state] of stored) {
+      if (!states.has(key)) states.set(key, state);
+    }
+
+    const plan = scheduler ? scheduler.getPlan([...states.values()].map(state => state.address)) : [];
+    const nextRuns = new Map(plan.map(row => [row.address, row.nextRunAt]));
+    return [...states.values()].map(state => ({ ...state, nextRunAt: nextRuns.get(state.address) || null }));
+  }
+  
+  return {
+    config,
+    listWallets,
+    processWallet,
+    runAll,
+    runWallet,
+    checkWallet,
+    healthCheck,
+    getStatus
+  };
+}
+
+module.exports = {
+  createBot,
+  isFailure
+};
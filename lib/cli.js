@@ -0,0 +1,127 @@
+// Flags that take a value; every other flag is a boolean switch
+const VALUE_FLAGS = ['config', 'profile', 'wallet', 'exclude', 'group', 'csv', 'json', 'chain'];
+
+// Flags that may be given more than once
+const REPEATABLE_FLAGS = ['wallet', 'exclude', 'group'];
+
+// Flags that never take a value
+const SWITCH_FLAGS = ['help'];
+
+// Value flags that are plain switches for some commands (e.g. `health --json` prints JSON)
+const COMMAND_SWITCHES = {
+  health: ['json']
+};
+
+// Number of arguments each command takes after its name
+const COMMAND_ARGUMENTS = {
+  daemon: 0,
+  'run-once': 0,
+  status: 0,
+  scan: 1,
+  check: 1,
+  health: 1,
+  report: 0,
+  import: 0,
+  encrypt: 0,
+  help: 0
+};
+
+const USAGE = `
+Usage: node index.js <command> [options]
+
+Commands:
+  daemon              Run now and keep running on schedule (default)
+  run-once            Process all wallets once and exit
+  status              Show the last known state and next run of every wallet
+  scan <address>      Run the full workflow for a single wallet
+  check <address>     Only check points and daily scan status
+  health <address>    Run a health scan and print the full security report
+  report              Print the points and streak history report
+  import, encrypt     Encrypt the private key file into keystores and wipe it
+
+Options:
+  --config <file>     Use another config file (default: config.json)
+  --profile <name>    Use a named profile from the config (or set HARPIE_PROFILE)
+  --wallet <address>  Only process this wallet, by address or label (repeatable)
+  --exclude <address> Skip this wallet, by address or label (repeatable)
+  --group <name>      Only process wallets in this manifest group (repeatable)
+  --csv <file>        report: also write the report as CSV
+  --json <file>       report: also write the report as JSON
+  --json              health: print the result as JSON instead
+  --chain <id>        health: scan this chain instead of the wallet's first one
+  -h, --help          Show this help
+
+Exit codes:
+  0  All wallets processed successfully
+  1  Fatal error (bad arguments, no wallets, unexpected failure)
+  2  Finished, but one or more wallets failed; or unknown options or arguments
+  3  Interrupted by SIGINT/SIGTERM before the run finished
+`;
+
+/**
+ * Parse command line arguments into a command, positionals and options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed arguments ({ command, positionals, options })
+ * @throws {Error} On an unknown option, a value flag without a value, or more
+ *   arguments than the command takes
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (const flag of REPEATABLE_FLAGS) {
+    options[flag] = [];
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    // Support both "--flag value" and "--flag=value"
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (!arg.startsWith('--') || (!VALUE_FLAGS.includes(name) && !SWITCH_FLAGS.includes(name))) {
+      throw new Error(`Unknown option ${arg.split('=')[0]}`);
+    }
+
+    const switches = COMMAND_SWITCHES[positionals[0]] || [];
+    if (VALUE_FLAGS.includes(name) && !switches.includes(name)) {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+    } else if (value !== undefined) {
+      throw new Error(`Option --${name} does not take a value`);
+    } else {
+      value = true;
+    }
+
+    if (REPEATABLE_FLAGS.includes(name)) {
+      options[name].push(value);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  const [command = 'daemon', ...rest] = positionals;
+  const expected = COMMAND_ARGUMENTS[command];
+  if (expected !== undefined && rest.length > expected) {
+    throw new Error(`Unexpected argument "${rest[expected]}" for ${command}`);
+  }
+  return { command, positionals: rest, options };
+}
+
+module.exports = {
+  USAGE,
+  parseArgs
+};
@@ -0,0 +1,590 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'config.json');
+const ENV_PREFIX = 'HARPIE';
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warning', 'error'];
+const OPTIONAL_URL = /^(https?:\/\/.+)?$/;
+
+/**
+ * Config schema. Every leaf describes one setting: its type, default value
+ * and optional constraints. Nested plain objects without a `type` are sections.
+ */
+const SCHEMA = {
+  general: {
+    useProxy: { type: 'boolean', default: true },
+    delayBetweenWallets: { type: 'number', min: 0, default: 30000 },
+    retryDelay: { type: 'number', min: 0, default: 5000 },
+    maxRetries: { type: 'number', integer: true, min: 0, default: 5 },
+    logToFile: { type: 'boolean', default: true },
+    logToConsole: { type: 'boolean', default: true },
+    verboseLogging: { type: 'boolean', default: false }
+  },
+  harpie: {
+    baseUrl: { type: 'string', pattern: /^https?:\/\//, default: 'https://harpie.io' },
+    chainId: { type: 'number', integer: true, min: 1, default: 1 },
+    chainIds: { type: 'array', items: { type: 'number', integer: true, min: 1 }, default: [] },
+    walletChains: {
+      type: 'object',
+      values: { type: 'array', items: { type: 'number', integer: true, min: 1 } },
+      default: {}
+    },
+    requestTimeout: { type: 'number', min: 1000, default: 30000 },
+    headers: { type: 'object', values: 'string', default: {} }
+  },
+  retry: {
+    maxDelayMs: { type: 'number', min: 0, default: 60000 },
+    jitter: { type: 'number', min: 0, max: 1, default: 0.5 },
+    maxRetryAfterMs: { type: 'number', min: 0, default: 300000 },
+    circuitBreaker: {
+      enabled: { type: 'boolean', default: true },
+      failureThreshold: { type: 'number', integer: true, min: 1, default: 5 },
+      cooldownMs: { type: 'number', min: 0, default: 60000 }
+    }
+  },
+  session: {
+    keepAlive: { type: 'boolean', default: true },
+    persistCookies: { type: 'boolean', default: false }
+  },
+  scan: {
+    enabled: { type: 'boolean', default: true },
+    forceRescan: { type: 'boolean', default: false },
+    healthDropThreshold: { type: 'number', min: 0, default: 10 },
+    verification: {
+      initialDelayMs: { type: 'number', min: 0, default: 2000 },
+      maxDelayMs: { type: 'number', min: 0, default: 15000 },
+      deadlineMs: { type: 'number', min: 0, default: 60000 }
+    }
+  },
+  // Time budgets, 0 for none. A wallet or run that runs out of time is cancelled.
+  timeouts: {
+    walletMs: { type: 'number', min: 0, default: 300000 },
+    runMs: { type: 'number', min: 0, default: 0 },
+    // How long a shutdown waits for the current wallet before cancelling it
+    shutdownGraceMs: { type: 'number', min: 0, default: 30000 }
+  },
+  schedule: {
+    resetHourUtc: { type: 'number', integer: true, min: 0, max: 23, default: 0 },
+    offsetMinutes: { type: 'number', min: 0, default: 15 },
+    jitterMinutes: { type: 'number', min: 0, default: 60 },
+    retryDelayMinutes: { type: 'number', min: 1, default: 60 },
+    maxSleepMinutes: { type: 'number', min: 1, default: 60 }
+  },
+  state: {
+    resumeWindowHours: { type: 'number', min: 0, default: 6 }
+  },
+  logging: {
+    level: { type: 'string', enum: LOG_LEVELS, default: 'info' },
+    fileLevel: { type: 'string', enum: LOG_LEVELS, default: 'debug' },
+    fileFormat: { type: 'string', enum: ['json', 'text'], default: 'json' },
+    // Regular expressions for extra secrets to mask in logs, notifications and exports
+    redactPatterns: { type: 'array', items: { type: 'string', regex: true }, default: [] },
+    dedupe: {
+      enabled: { type: 'boolean', default: true },
+      window: { type: 'number', integer: true, min: 1, default: 5 }
+    },
+    rotation: {
+      maxSizeMb: { type: 'number', min: 0.1, default: 10 },
+      maxAgeHours: { type: 'number', min: 1, default: 24 },
+      retentionDays: { type: 'number', min: 0, default: 14 },
+      compress: { type: 'boolean', default: true }
+    }
+  },
+  notifications: {
+    enabled: { type: 'boolean', default: false },
+    sendSummary: { type: 'boolean', default: true },
+    timeoutMs: { type: 'number', min: 1000, default: 10000 },
+    webhook: {
+      url: { type: 'string', pattern: OPTIONAL_URL, default: '' }
+    },
+    discord: {
+      webhookUrl: { type: 'string', pattern: OPTIONAL_URL, default: '' }
+    },
+    telegram: {
+      botToken: { type: 'string', default: '' },
+      chatId: { type: 'string', default: '' },
+      apiUrl: { type: 'string', pattern: /^https?:\/\//, default: 'https://api.telegram.org' }
+    },
+    templates: {
+      summary: { type: 'string', default: 'H4RP13 run finished: {{successCount}}/{{total}} succeeded, {{failedCount}} failed\n{{wallets}}' },
+      wallet: { type: 'string', default: '{{wallet}}: {{outcome}} | points {{points}} ({{delta}}) | streak {{streak}}{{chains}}{{error}}' },
+      alert: { type: 'string', default: '⚠️ {{wallet}}: {{message}}' }
+    },
+    alerts: {
+      streakLost: { type: 'boolean', default: true },
+      consecutiveFailures: { type: 'number', integer: true, min: 0, default: 3 },
+      scanAlerts: { type: 'boolean', default: true },
+      healthDrop: { type: 'boolean', default: true }
+    }
+  },
+  server: {
+    enabled: { type: 'boolean', default: false },
+    host: { type: 'string', default: '127.0.0.1' },
+    port: { type: 'number', integer: true, min: 0, max: 65535, default: 9464 },
+    dashboard: { type: 'boolean', default: true },
+    staleAfterMinutes: { type: 'number', min: 1, default: 180 }
+  },
+  keystore: {
+    passphraseEnv: { type: 'string', default: 'HARPIE_KEYSTORE_PASSPHRASE' }
+  },
+  paths: {
+    privateKeys: { type: 'string', default: 'pk.txt' },
+    keystores: { type: 'string', default: 'keystores' },
+    addresses: { type: 'string', default: 'addresses.txt' },
+    manifest: { type: 'string', default: 'wallets.json' },
+    proxies: { type: 'string', default: 'proxy.txt' },
+    state: { type: 'string', default: 'data' },
+    logs: { type: 'string', default: 'logs' }
+  },
+  profiles: { type: 'object', default: {} }
+};
+
+// Settings that are no longer used. Old config files that still have them
+// load with a warning instead of failing validation.
+const SCHEDULE_NOTE = 'wallets now run after the daily reset, see the schedule section';
+const DEPRECATED = {
+  'general.afterCompletionDelay': SCHEDULE_NOTE,
+  'general.delayHours': SCHEDULE_NOTE
+};
+
+// Shared config object. Modules keep a reference to it, so loading another
+// file replaces its contents in place instead of swapping the object.
+const config = {};
+
+// Where relative `paths` entries are resolved from: the config file's directory, or the profile's
+const meta = {
+  filePath: null,
+  profile: null,
+  baseDir: ROOT_DIR,
+  warnings: []
+};
+
+/**
+ * Check whether a schema node is a leaf (a setting) rather than a section
+ * @param {Object} node - Schema node
+ * @returns {boolean} True for a leaf
+ */
+const isLeaf = (node) => typeof node.type === 'string';
+
+/**
+ * Check whether a value is a plain object
+ * @param {any} value - The value to check
+ * @returns {boolean} True for a plain object
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep merge plain objects; arrays and other values from `override` replace those in `base`
+ * @param {Object} base - Base object
+ * @param {Object} override - Object whose values win
+ * @returns {Object} New merged object
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Build a config object holding only default values
+ * @param {Object} [schema=SCHEMA] - Schema node
+ * @returns {Object} Default values
+ */
+function buildDefaults(schema = SCHEMA) {
+  const defaults = {};
+  for (const [key, node] of Object.entries(schema)) {
+    defaults[key] = isLeaf(node)
+      ? JSON.parse(JSON.stringify(node.default))
+      : buildDefaults(node);
+  }
+  return defaults;
+}
+
+/**
+ * Find the closest known key for an unknown one, for "did you mean" hints
+ * @param {string} key - The unknown key
+ * @param {Array<string>} candidates - Known keys
+ * @returns {string|null} The best match, if any is close enough
+ */
+function suggestKey(key, candidates) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const needle = key.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const d = distance(needle, candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 2)) ? best : null;
+}
+
+/**
+ * Describe a value for error messages
+ * @param {any} value - The value
+ * @returns {string} Short description including the type
+ */
+const describe = (value) => {
+  if (Array.isArray(value)) return `array ${JSON.stringify(value)}`;
+  if (value === null) return 'null';
+  return `${typeof value} ${JSON.stringify(value)}`;
+};
+
+/**
+ * Validate one setting against its schema leaf
+ * @param {any} value - The value
+ * @param {Object} leaf - Schema leaf
+ * @param {string} fieldPath - Dotted path of the setting
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateLeaf(value, leaf, fieldPath, errors) {
+  if (leaf.type === 'object') {
+    if (!isPlainObject(value)) {
+      errors.push(`${fieldPath}: expected an object, got ${describe(value)}`);
+      return;
+    }
+    if (typeof leaf.values === 'object') {
+      for (const [key, entry] of Object.entries(value)) {
+        validateLeaf(entry, leaf.values, `${fieldPath}.${key}`, errors);
+      }
+    } else if (leaf.values) {
+      for (const [key, entry] of Object.entries(value)) {
+        if (typeof entry !== leaf.values) {
+          errors.push(`${fieldPath}.${key}: expected a ${leaf.values}, got ${describe(entry)}`);
+        }
+      }
+    }
+    return;
+  }
+
+  if (leaf.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${fieldPath}: expected an array, got ${describe(value)}`);
+      return;
+    }
+    value.forEach((item, i) => validateLeaf(item, leaf.items, `${fieldPath}[${i}]`, errors));
+    return;
+  }
+
+  if (typeof value !== leaf.type || (leaf.type === 'number' && !Number.isFinite(value))) {
+    errors.push(`${fieldPath}: expected a ${leaf.type}, got ${describe(value)}`);
+    return;
+  }
+
+  if (leaf.type === 'number') {
+    if (leaf.integer && !Number.isInteger(value)) {
+      errors.push(`${fieldPath}: expected a whole number, got ${value}`);
+    }
+    if (leaf.min !== undefined && value < leaf.min) {
+      errors.push(`${fieldPath}: must be at least ${leaf.min}, got ${value}`);
+    }
+    if (leaf.max !== undefined && value > leaf.max) {
+      errors.push(`${fieldPath}: must be at most ${leaf.max}, got ${value}`);
+    }
+  }
+
+  if (leaf.enum && !leaf.enum.includes(value)) {
+    errors.push(`${fieldPath}: must be one of ${leaf.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (leaf.type === 'string' && leaf.pattern && !leaf.pattern.test(value)) {
+    errors.push(`${fieldPath}: ${JSON.stringify(value)} does not match ${leaf.pattern}`);
+  }
+
+  if (leaf.type === 'string' && leaf.regex) {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push(`${fieldPath}: ${JSON.stringify(value)} is not a valid regular expression`);
+    }
+  }
+}
+
+/**
+ * Validate a config object against the schema
+ * @param {Object} value - Config (or section) to validate
+ * @param {Object} [schema=SCHEMA] - Schema node
+ * @param {string} [prefix=''] - Dotted path of the section
+ * @returns {Array<string>} Errors, each starting with the path of the offending field
+ */
+function validateConfig(value, schema = SCHEMA, prefix = '') {
+  const errors = [];
+  const known = Object.keys(schema);
+
+  for (const key of Object.keys(value)) {
+    if (!known.includes(key) && !DEPRECATED[`${prefix}${key}`]) {
+      const suggestion = suggestKey(key, known);
+      errors.push(`${prefix}${key}: unknown setting${suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : ''}`);
+    }
+  }
+
+  for (const [key, node] of Object.entries(schema)) {
+    const fieldPath = `${prefix}${key}`;
+    const fieldValue = value[key];
+
+    if (isLeaf(node)) {
+      validateLeaf(fieldValue, node, fieldPath, errors);
+    } else if (!isPlainObject(fieldValue)) {
+      errors.push(`${fieldPath}: expected a section (object), got ${describe(fieldValue)}`);
+    } else {
+      errors.push(...validateConfig(fieldValue, node, `${fieldPath}.`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Remove deprecated settings from a config
+ * @param {Object} target - Config object to modify
+ * @returns {Array<string>} A warning for each deprecated setting that was set
+ */
+function removeDeprecated(target) {
+  const warnings = [];
+  for (const [fieldPath, note] of Object.entries(DEPRECATED)) {
+    const keys = fieldPath.split('.');
+    const section = keys.slice(0, -1).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), target);
+    const key = keys[keys.length - 1];
+    if (isPlainObject(section) && key in section) {
+      warnings.push(`${fieldPath} is no longer used and is ignored: ${note}`);
+      delete section[key];
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Get the environment variable name that overrides a setting,
+ * e.g. general.useProxy -> HARPIE_GENERAL_USE_PROXY
+ * @param {Array<string>} keys - Path segments of the setting
+ * @returns {string} Environment variable name
+ */
+function getEnvName(keys) {
+  const snake = keys.map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase());
+  return [ENV_PREFIX, ...snake].join('_');
+}
+
+/**
+ * Parse an environment variable according to the setting type
+ * @param {string} raw - Raw environment value
+ * @param {Object} leaf - Schema leaf
+ * @param {string} envName - Variable name, for error messages
+ * @returns {any} Parsed value
+ */
+function parseEnvValue(raw, leaf, envName) {
+  switch (leaf.type) {
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new Error(`${envName}: expected true or false, got "${raw}"`);
+    case 'number':
+      if (raw.trim() === '' || isNaN(Number(raw))) {
+        throw new Error(`${envName}: expected a number, got "${raw}"`);
+      }
+      return Number(raw);
+    case 'string':
+      return raw;
+    default:
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`${envName}: expected JSON, got "${raw}"`);
+      }
+  }
+}
+
+/**
+ * Apply HARPIE_* environment variable overrides
+ * @param {Object} target - Config object to modify
+ * @param {Object} env - Environment variables
+ * @param {Array<string>} errors - Collected errors
+ * @param {Object} [schema=SCHEMA] - Schema node
+ * @param {Array<string>} [keys=[]] - Path of the current section
+ */
+function applyEnvOverrides(target, env, errors, schema = SCHEMA, keys = []) {
+  for (const [key, node] of Object.entries(schema)) {
+    // Profiles can only be defined in the config file
+    if (keys.length === 0 && key === 'profiles') continue;
+
+    const fieldKeys = [...keys, key];
+    if (!isLeaf(node)) {
+      if (isPlainObject(target[key])) {
+        applyEnvOverrides(target[key], env, errors, node, fieldKeys);
+      }
+      continue;
+    }
+
+    const envName = getEnvName(fieldKeys);
+    if (env[envName] !== undefined) {
+      try {
+        target[key] = parseEnvValue(env[envName], node, envName);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Load, merge and validate a config file into the shared config object.
+ * Order of precedence: environment variables > profile > config file > defaults.
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.filePath] - Path of the config file, defaults to config.json
+ * @param {string} [options.profile] - Profile name, defaults to HARPIE_PROFILE
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Object} The shared config object
+ * @throws {Error} With an `errors` array listing every invalid field
+ */
+function loadConfig(options = {}) {
+  const { filePath = DEFAULT_CONFIG_PATH, env = process.env } = options;
+  const profile = options.profile || env[`${ENV_PREFIX}_PROFILE`] || null;
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+
+  let fromFile;
+  try {
+    fromFile = fs.readJsonSync(resolved);
+  } catch (error) {
+    throw new Error(`Config file ${resolved} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = [];
+  let merged = deepMerge(buildDefaults(), fromFile);
+
+  // Relative paths resolve from the config file's directory. A profile overrides
+  // parts of the config and keeps its own files under profiles/<name>/ next to it.
+  let baseDir = path.dirname(resolved);
+  if (profile) {
+    const profiles = isPlainObject(merged.profiles) ? merged.profiles : {};
+    if (!isPlainObject(profiles[profile])) {
+      const suggestion = suggestKey(profile, Object.keys(profiles));
+      throw new Error(`Unknown profile "${profile}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+    merged = deepMerge(merged, profiles[profile]);
+    baseDir = path.join(baseDir, 'profiles', profile);
+  }
+
+  applyEnvOverrides(merged, env, errors);
+  const warnings = removeDeprecated(merged);
+  errors.push(...validateConfig(merged));
+
+  // Catch typos in profiles that are not active right now as well
+  const baseErrors = new Set(errors);
+  for (const [name, overrides] of Object.entries(isPlainObject(merged.profiles) ? merged.profiles : {})) {
+    if (name === profile) continue;
+    if (!isPlainObject(overrides)) {
+      errors.push(`profiles.${name}: expected an object, got ${describe(overrides)}`);
+      continue;
+    }
+    for (const error of validateConfig(deepMerge(merged, overrides))) {
+      if (!baseErrors.has(error)) errors.push(`profiles.${name}.${error}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    const relative = path.relative(process.cwd(), resolved);
+    const shown = relative && !relative.startsWith('..') ? relative : resolved;
+    const error = new Error(`Invalid config (${shown}${profile ? `, profile "${profile}"` : ''}):\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  for (const key of Object.keys(config)) {
+    delete config[key];
+  }
+  Object.assign(config, merged);
+
+  meta.filePath = resolved;
+  meta.profile = profile;
+  meta.baseDir = baseDir;
+  meta.warnings = warnings;
+
+  return config;
+}
+
+/**
+ * Build a standalone config from overrides, for embedding the bot without config.json.
+ * Does not touch the shared config object.
+ * @param {Object} overrides - Settings to merge over the defaults
+ * @returns {Object} A new validated config object
+ * @throws {Error} With an `errors` array listing every invalid field
+ */
+function buildConfig(overrides) {
+  const built = deepMerge(buildDefaults(), overrides);
+  removeDeprecated(built);
+  const errors = validateConfig(built);
+  
+  if (errors.length > 0) {
+    const error = new Error(`Invalid config:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  
+  return built;
+}
+
+/**
+ * Resolve one of the configured `paths` to an absolute path. Relative paths
+ * are relative to the directory of the loaded config file, or to the active
+ * profile's directory next to it.
+ * @param {string} name - Key in the `paths` section (e.g. 'privateKeys', 'state')
+ * @param {Object} [settings=config] - Config to take the paths from, e.g. one made by buildConfig()
+ * @returns {string} Absolute path
+ */
+function resolvePath(name, settings = config) {
+  return path.resolve(meta.baseDir, settings.paths[name]);
+}
+
+/**
+ * Get the name of the active profile
+ * @returns {string|null} Profile name or null
+ */
+const getProfile = () => meta.profile;
+
+/**
+ * Get the warnings of the last loaded config, such as deprecated settings
+ * @returns {Array<string>} Warnings
+ */
+const getConfigWarnings = () => [...meta.warnings];
+
+// Start from config.json; if it is invalid, start from defaults so the CLI
+// can report the problems when it loads the config itself
+try {
+  loadConfig();
+} catch (error) {
+  Object.assign(config, buildDefaults());
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  buildConfig,
+  validateConfig,
+  resolvePath,
+  getProfile,
+  getConfigWarnings,
+  getEnvName
+};
@@ -0,0 +1,151 @@
+const net = require('net');
+
+/**
+ * Check whether a host domain-matches a cookie domain (RFC 6265 §5.1.3):
+ * the host is the domain itself, or a subdomain of it when it is a name
+ * rather than an IP address
+ * @param {string} host - Lower-case host name
+ * @param {string} domain - Lower-case cookie domain
+ * @returns {boolean} True if the host matches
+ */
+const domainMatches = (host, domain) => host === domain || (host.endsWith(`.${domain}`) && net.isIP(host) === 0);
+
+/**
+ * Parse one Set-Cookie header
+ * @param {string} header - Set-Cookie header value
+ * @param {URL} url - URL of the response that set it
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Cookie ({ name, value, domain, hostOnly, path, expires, secure }), or null if malformed
+ *   or set for a domain the response host does not belong to
+ */
+function parseSetCookie(header, url, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const host = url.hostname.toLowerCase();
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: '/',
+    expires: null,
+    secure: false
+  };
+
+  let maxAge = null;
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      cookie.domain = value.replace(/^\./, '').toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expires = time;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = parseInt(value, 10);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    }
+  }
+
+  // A host may only set cookies for itself and its parent domains (RFC 6265 §5.3 step 6)
+  if (!cookie.hostOnly && !domainMatches(host, cookie.domain)) return null;
+
+  // Max-Age wins over Expires
+  if (maxAge !== null) cookie.expires = now + maxAge * 1000;
+  return cookie;
+}
+
+/**
+ * Check whether a cookie should be sent with a request
+ * @param {Object} cookie - Cookie
+ * @param {URL} url - Request URL
+ * @returns {boolean} True if it matches the request's host, path and scheme
+ */
+function matches(cookie, url) {
+  const host = url.hostname.toLowerCase();
+  const hostMatches = cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain);
+  const pathMatches = url.pathname === cookie.path
+    || url.pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+
+  return hostMatches && pathMatches && (!cookie.secure || url.protocol === 'https:');
+}
+
+/**
+ * Create a cookie jar that keeps the cookies the API sets between requests
+ * @param {Array<Object>} [cookies=[]] - Cookies to start with, as returned by toJSON()
+ * @param {Function} [now=Date.now] - Returns the current time in milliseconds, for tests
+ * @returns {Object} Cookie jar
+ */
+function createCookieJar(cookies = [], now = Date.now) {
+  let jar = cookies.filter(c => c.expires === null || c.expires > now());
+
+  /**
+   * Store the cookies of a response
+   * @param {string|Array<string>} headers - Set-Cookie header(s)
+   * @param {string} url - Response URL
+   */
+  function setCookies(headers, url) {
+    if (!headers) return;
+    const target = new URL(url);
+
+    for (const header of [].concat(headers)) {
+      const cookie = parseSetCookie(header, target, now());
+      if (!cookie) continue;
+
+      const index = jar.findIndex(c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path);
+      // An expiry in the past is how a server deletes a cookie
+      const expired = cookie.expires !== null && cookie.expires <= now();
+      if (index >= 0) {
+        jar.splice(index, 1, ...(expired ? [] : [cookie]));
+      } else if (!expired) {
+        jar.push(cookie);
+      }
+    }
+  }
+
+  /**
+   * Build the Cookie header for a request
+   * @param {string} url - Request URL
+   * @returns {string} Cookie header, empty when no cookie applies
+   */
+  function getCookieHeader(url) {
+    const target = new URL(url);
+    const time = now();
+    return jar
+      .filter(c => (c.expires === null || c.expires > time) && matches(c, target))
+      // More specific paths first, like browsers do
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Get the cookies that have not expired, for persisting the jar
+   * @returns {Array<Object>} Cookies
+   */
+  function toJSON() {
+    const time = now();
+    return jar.filter(c => c.expires === null || c.expires > time).map(c => ({ ...c }));
+  }
+
+  return {
+    setCookies,
+    getCookieHeader,
+    toJSON,
+    get size() {
+      return toJSON().length;
+    }
+  };
+}
+
+module.exports = {
+  createCookieJar
+};
@@ -0,0 +1,290 @@
+const moment = require('moment');
+const { ethers } = require('ethers');
+const { formatAddress } = require('./logger');
+const { formatNumber } = require('./utils');
+const { getLastScan, getStatsHistory } = require('./health');
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = 48;
+const RECENT_RUNS = 10;
+
+/**
+ * Escape text for use in HTML
+ * @param {any} value - The value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date|null} time - The timestamp
+ * @returns {string} Formatted time, or '-' when unknown
+ */
+const formatTime = (time) => (time ? moment(time).format('DD/MM/YYYY - HH:mm:ss') : '-');
+
+/**
+ * Format a number for display
+ * @param {number|null} value - The number
+ * @returns {string} Formatted number, or '-' when unknown
+ */
+const formatValue = (value) => (typeof value === 'number' ? formatNumber(value) : '-');
+
+/**
+ * Wrap page content in the common layout
+ * @param {string} title - Page title
+ * @param {string} body - Page HTML
+ * @returns {string} Full HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="60">
+<title>${escapeHtml(title)} - H4RP13 Bot</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; background: #f6f8fa; }
+  h1 { font-size: 1.4rem; }
+  a { color: #0969da; text-decoration: none; }
+  table { border-collapse: collapse; background: #fff; margin-bottom: 1.5rem; }
+  th, td { padding: 0.4rem 0.8rem; border-bottom: 1px solid #d0d7de; text-align: left; }
+  th { background: #eaeef2; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  code { font-size: 0.9em; }
+  .outcome-success, .outcome-skipped { color: #1a7f37; }
+  .outcome-failed, .outcome-error, .outcome-timeout { color: #cf222e; }
+  .outcome-no-points, .outcome-pending, .outcome-interrupted { color: #9a6700; }
+  svg { background: #fff; border: 1px solid #d0d7de; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a scan outcome with its color
+ * @param {string|null} outcome - Scan outcome
+ * @returns {string} HTML
+ */
+const renderOutcome = (outcome) =>
+  (outcome ? `<span class="outcome-${escapeHtml(outcome)}">${escapeHtml(outcome)}</span>` : '-');
+
+/**
+ * Render a line chart of points over time as inline SVG
+ * @param {Array<Object>} samples - Points samples ({ time, points }), oldest first
+ * @returns {string} SVG markup, or a note when there is not enough history
+ */
+function renderPointsChart(samples) {
+  if (samples.length < 2) {
+    return '<p>Not enough history to chart yet.</p>';
+  }
+
+  const times = samples.map(s => new Date(s.time).getTime());
+  const values = samples.map(s => s.points);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const x = (time) => CHART_PADDING + (maxTime === minTime ? plotWidth / 2 : (time - minTime) / (maxTime - minTime) * plotWidth);
+  const y = (value) => CHART_PADDING + (maxValue === minValue ? plotHeight / 2 : (maxValue - value) / (maxValue - minValue) * plotHeight);
+  const points = samples.map((s, i) => `${x(times[i]).toFixed(1)},${y(s.points).toFixed(1)}`).join(' ');
+  const bottom = CHART_HEIGHT - CHART_PADDING;
+
+  return `<svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Points over time">
+  <line x1="${CHART_PADDING}" y1="${bottom}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${bottom}" stroke="#d0d7de"/>
+  <line x1="${CHART_PADDING}" y1="${CHART_PADDING}" x2="${CHART_PADDING}" y2="${bottom}" stroke="#d0d7de"/>
+  <text x="${CHART_PADDING - 6}" y="${y(maxValue) + 4}" font-size="11" text-anchor="end">${escapeHtml(formatNumber(maxValue))}</text>
+  <text x="${CHART_PADDING - 6}" y="${y(minValue) + 4}" font-size="11" text-anchor="end">${escapeHtml(formatNumber(minValue))}</text>
+  <text x="${CHART_PADDING}" y="${bottom + 18}" font-size="11">${escapeHtml(moment(minTime).format('DD/MM/YYYY'))}</text>
+  <text x="${CHART_WIDTH - CHART_PADDING}" y="${bottom + 18}" font-size="11" text-anchor="end">${escapeHtml(moment(maxTime).format('DD/MM/YYYY'))}</text>
+  <polyline fill="none" stroke="#0969da" stroke-width="2" points="${points}"/>
+</svg>`;
+}
+
+/**
+ * Create the read-only web dashboard
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.bot - Bot instance, for the wallet status and schedule
+ * @param {Object} deps.store - State store, for wallet history
+ * @returns {Object} Dashboard with render and register methods
+ */
+function createDashboard({ bot, store }) {
+  /**
+   * Render the wallet overview page
+   * @returns {Promise<string>} HTML document
+   */
+  async function renderIndex() {
+    const states = await bot.getStatus();
+
+    // Wallets that have not run yet have no detail page
+    const rows = states.map(state => `<tr>
+  <td>${escapeHtml(state.label || '-')}</td>
+  <td>${state.recordedAt
+    ? `<a href="/wallet?address=${escapeHtml(state.address)}"><code>${escapeHtml(formatAddress(state.address))}</code></a>`
+    : `<code>${escapeHtml(formatAddress(state.address))}</code>`}</td>
+  <td class="num">${formatValue(state.personalPoints)}</td>
+  <td class="num">${formatValue(state.walletScanStreak)}</td>
+  <td>${formatTime(state.finishedAt || state.recordedAt)}</td>
+  <td>${renderOutcome(state.scanOutcome)}</td>
+  <td>${formatTime(state.nextRunAt)}</td>
+</tr>`).join('\n');
+
+    const body = states.length === 0
+      ? '<p>No wallets configured yet.</p>'
+      : `<table>
+<thead><tr><th>Label</th><th>Wallet</th><th>Points</th><th>Streak</th><th>Last scan</th><th>Result</th><th>Next run</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+
+    return layout('Wallets', `<h1>Wallets</h1>\n${body}\n<p>Updated ${formatTime(new Date())}</p>`);
+  }
+
+  /**
+   * Render the detail page of one wallet
+   * @param {string} address - The wallet address
+   * @returns {Promise<string|null>} HTML document, or null if the wallet has no history
+   */
+  async function renderWallet(address) {
+    const history = store.getWalletHistory(address);
+    if (history.length === 0) return null;
+
+    const state = (await bot.getStatus()).find(s => s.address.toLowerCase() === address.toLowerCase()) || history[history.length - 1];
+    const samples = history
+      .filter(r => typeof r.personalPoints === 'number')
+      .map(r => ({ time: r.finishedAt || r.recordedAt, points: r.personalPoints }));
+    const latestScan = getLastScan(history);
+
+    const statsRows = getStatsHistory(history).slice(-RECENT_RUNS).reverse().map(s => `<tr>
+  <td>${formatTime(s.time)}</td>
+  <td class="num">${formatValue(s.percentImmune)}%</td>
+  <td class="num">${formatValue(s.percentVerified)}%</td>
+  <td class="num">${formatValue(s.activityScore)}</td>
+  <td class="num">${s.alertCount} (${s.newAlertCount} new)</td>
+</tr>`).join('\n');
+
+    const alerts = Array.isArray(latestScan?.alerts) && latestScan.alerts.length > 0
+      ? `<table>
+<thead><tr><th>Alert</th><th>Category</th><th>Severity</th><th></th></tr></thead>
+<tbody>
+${latestScan.alerts.map(alert => `<tr>
+  <td>${escapeHtml(alert.title)}</td>
+  <td>${escapeHtml(alert.category)}</td>
+  <td>${escapeHtml(alert.severity || '-')}</td>
+  <td>${(latestScan.newAlerts || []).includes(alert.key) ? '<strong>new</strong>' : ''}</td>
+</tr>`).join('\n')}
+</tbody>
+</table>`
+      : '<p>No alerts in the latest scan.</p>';
+
+    const stats = latestScan
+      ? `<table>
+<thead><tr><th>Scanned</th><th>Immune</th><th>Verified</th><th>Activity score</th><th>Alerts</th></tr></thead>
+<tbody>
+${statsRows}
+</tbody>
+</table>
+${alerts}`
+      : '<p>No health scan recorded yet.</p>';
+
+    const runs = history.slice(-RECENT_RUNS).reverse().map(r => `<tr>
+  <td>${formatTime(r.finishedAt || r.recordedAt)}</td>
+  <td>${renderOutcome(r.scanOutcome)}</td>
+  <td class="num">${formatValue(r.personalPoints)}</td>
+  <td class="num">${formatValue(r.walletScanStreak)}</td>
+  <td>${escapeHtml(r.error || '')}</td>
+</tr>`).join('\n');
+
+    const latest = history[history.length - 1];
+    const chains = latest.chains
+      ? `<h2>Chains</h2>
+<table>
+<thead><tr><th>Chain</th><th>Result</th><th>Points</th><th>Streak</th><th>Alerts</th><th>Error</th></tr></thead>
+<tbody>
+${latest.chains.map(c => `<tr>
+  <td>${escapeHtml(c.chainId)}</td>
+  <td>${renderOutcome(c.scanOutcome)}</td>
+  <td class="num">${formatValue(c.personalPoints)}</td>
+  <td class="num">${formatValue(c.walletScanStreak)}</td>
+  <td class="num">${c.alertCount}</td>
+  <td>${escapeHtml(c.error || '')}</td>
+</tr>`).join('\n')}
+</tbody>
+</table>`
+      : '';
+
+    const title = state.label || formatAddress(state.address);
+    return layout(title, `<p><a href="/">&larr; All wallets</a></p>
+<h1>${escapeHtml(title)}</h1>
+<p><code>${escapeHtml(state.address)}</code></p>
+<table>
+<thead><tr><th>Points</th><th>Streak</th><th>Last result</th><th>Next run</th></tr></thead>
+<tbody><tr>
+  <td class="num">${formatValue(state.personalPoints)}</td>
+  <td class="num">${formatValue(state.walletScanStreak)}</td>
+  <td>${renderOutcome(state.scanOutcome)}</td>
+  <td>${formatTime(state.nextRunAt)}</td>
+</tr></tbody>
+</table>
+${chains}
+<h2>Points over time</h2>
+${renderPointsChart(samples)}
+<h2>Health scans</h2>
+${stats}
+<h2>Recent runs</h2>
+<table>
+<thead><tr><th>Time</th><th>Result</th><th>Points</th><th>Streak</th><th>Error</th></tr></thead>
+<tbody>
+${runs}
+</tbody>
+</table>`);
+  }
+
+  /**
+   * Add the dashboard pages to an HTTP server
+   * @param {Object} server - Server from createServer()
+   */
+  function register(server) {
+    const sendHtml = (res, status, html) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    };
+
+    server.route('/', async (req, res) => sendHtml(res, 200, await renderIndex()));
+
+    server.route('/wallet', async (req, res, url) => {
+      const address = url.searchParams.get('address') || '';
+      const html = ethers.utils.isAddress(address) ? await renderWallet(address) : null;
+      if (!html) {
+        sendHtml(res, 404, layout('Not found', '<p>Unknown wallet. <a href="/">Back to all wallets</a></p>'));
+        return;
+      }
+      sendHtml(res, 200, html);
+    });
+  }
+
+  return {
+    renderIndex,
+    renderWallet,
+    register
+  };
+}
+
+module.exports = {
+  createDashboard,
+  renderPointsChart,
+  escapeHtml
+};
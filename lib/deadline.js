@@ -0,0 +1,107 @@
+/**
+ * A time budget ran out: the wallet or run took longer than allowed and was cancelled
+ */
+class DeadlineError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {number} [details.timeoutMs] - The time budget that ran out
+   */
+  constructor(message, { timeoutMs = null } = {}) {
+    super(message);
+    this.name = 'DeadlineError';
+    this.code = 'DEADLINE_EXCEEDED';
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Category of the error, like the typed API errors
+   * @returns {string} Category name
+   */
+  get category() {
+    return 'timeout';
+  }
+}
+
+/**
+ * The bot is shutting down and cancelled the work before it finished
+ */
+class ShutdownError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ShutdownError';
+    this.code = 'SHUTDOWN';
+  }
+
+  /**
+   * Category of the error, like the typed API errors
+   * @returns {string} Category name
+   */
+  get category() {
+    return 'interrupted';
+  }
+}
+
+/**
+ * Check whether an error means the work was cancelled rather than failed
+ * @param {Error} error - The error
+ * @returns {boolean} True for a used up time budget, a shutdown or an abort
+ */
+const isCancellation = (error) => error instanceof DeadlineError || error instanceof ShutdownError || error?.name === 'AbortError';
+
+/**
+ * Create a time budget whose signal aborts when it runs out, or when its
+ * parent budget is aborted first
+ * @param {number} timeoutMs - Time budget in milliseconds, 0 for none
+ * @param {Object} [options={}] - Options
+ * @param {AbortSignal} [options.parent=null] - Signal of an enclosing budget, e.g. the run's
+ * @param {string} [options.label='Deadline'] - What the budget is for, used in the error message
+ * @returns {Object} Deadline ({ signal, abort(reason), clear() }); call clear() once the work is done
+ */
+function createDeadline(timeoutMs, { parent = null, label = 'Deadline' } = {}) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parent.reason);
+  let timer = null;
+
+  if (parent?.aborted) {
+    controller.abort(parent.reason);
+  } else if (parent) {
+    parent.addEventListener('abort', onParentAbort, { once: true });
+  }
+
+  if (timeoutMs > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      controller.abort(new DeadlineError(`${label} ran out of time after ${(timeoutMs / 1000).toFixed(1)}s`, { timeoutMs }));
+    }, timeoutMs);
+    // A pending budget never keeps the process alive on its own
+    timer.unref();
+  }
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Cancel the work now
+     * @param {Error} reason - Why it was cancelled
+     */
+    abort: (reason) => controller.abort(reason),
+
+    /**
+     * Stop the timer and detach from the parent budget
+     */
+    clear() {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+module.exports = {
+  DeadlineError,
+  ShutdownError,
+  isCancellation,
+  createDeadline
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Health scan stats tracked over time, all percentages or scores where higher is better
+const HEALTH_STATS = ['percentImmune', 'percentVerified', 'activityScore'];
+
+// Alert detail fields naming the contract or approval an alert is about, most specific first
+const TARGET_FIELDS = ['contract', 'contractAddress', 'spender', 'approval', 'token', 'tokenAddress', 'address', 'to'];
+
+/**
+ * Serialize a value with sorted object keys, so equal alerts get equal IDs
+ * @param {any} value - The value
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Turn one raw alert into a normalized alert
+ * @param {any} raw - Alert as returned by the API
+ * @param {string} category - The alert group it was listed under
+ * @returns {Object} Alert ({ key, id, category, type, title, severity, details })
+ */
+function normalizeAlert(raw, category) {
+  const item = raw && typeof raw === 'object' ? raw : { value: raw };
+  const id = String(item.id ?? item.alertId ?? item.hash
+    ?? crypto.createHash('sha256').update(stableStringify(item)).digest('hex').slice(0, 16));
+
+  return {
+    key: `${category}:${id}`,
+    id,
+    category,
+    type: String(item.type || category),
+    title: String(item.title || item.name || item.message || item.type || category),
+    severity: item.severity || item.level || null,
+    details: item
+  };
+}
+
+/**
+ * Parse the `alerts` of a health scan response into a flat list.
+ * The API groups alerts by category, either as a list per category or as a single entry.
+ * @param {Object|Array|null} alerts - `response.alerts` from a health scan
+ * @returns {Array<Object>} Alerts ({ key, id, category, type, title, severity, details })
+ */
+function parseAlerts(alerts) {
+  if (!alerts) return [];
+  if (Array.isArray(alerts)) {
+    return alerts.map(item => normalizeAlert(item, item?.category || item?.type || 'alert'));
+  }
+
+  const parsed = [];
+  for (const [category, value] of Object.entries(alerts)) {
+    if (value === null || value === undefined || value === false) continue;
+    if (Array.isArray(value)) {
+      parsed.push(...value.map(item => normalizeAlert(item, category)));
+    } else {
+      parsed.push(normalizeAlert(value, category));
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Get the contract or approval an alert is about
+ * @param {Object} alert - Parsed alert
+ * @returns {string|null} Address or name of the affected contract or approval, if the alert names one
+ */
+function getAlertTarget(alert) {
+  for (const field of TARGET_FIELDS) {
+    const value = alert.details?.[field];
+    if (typeof value === 'string' && value) return value;
+    if (value && typeof value === 'object') {
+      const named = value.address || value.name || value.symbol;
+      if (typeof named === 'string' && named) return named;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the alerts that were not in the previous scan
+ * @param {Array<Object>} current - Alerts of this scan
+ * @param {Array<Object>|null} previous - Alerts of the previous scan, or null if there was none
+ * @returns {Array<Object>} New alerts
+ */
+function diffAlerts(current, previous) {
+  const known = new Set((previous || []).map(alert => alert.key));
+  return current.filter(alert => !known.has(alert.key));
+}
+
+/**
+ * Find stats that dropped by at least the threshold since the previous scan
+ * @param {Object|null} current - Stats of this scan
+ * @param {Object|null} previous - Stats of the previous scan
+ * @param {number} threshold - Minimum drop to flag
+ * @returns {Array<Object>} Drops ({ stat, from, to })
+ */
+function findHealthDrops(current, previous, threshold) {
+  if (!current || !previous) return [];
+
+  return HEALTH_STATS
+    .filter(stat => typeof current[stat] === 'number' && typeof previous[stat] === 'number')
+    .filter(stat => previous[stat] - current[stat] >= threshold)
+    .map(stat => ({ stat, from: previous[stat], to: current[stat] }));
+}
+
+/**
+ * Check whether a wallet record or chain result holds a health scan
+ * @param {Object} result - Wallet record or chain result
+ * @returns {boolean} True if it has scan stats or alerts
+ */
+const hasScan = (result) => Boolean(result && (result.stats || Array.isArray(result.alerts)));
+
+/**
+ * Get the most recent health scan from a wallet's history
+ * @param {Array<Object>} history - Wallet records, oldest first
+ * @param {number|null} [chainId=null] - Only consider scans of this chain
+ * @param {number|null} [defaultChainId=null] - Chain of records stored before scans were kept per chain
+ * @returns {Object|null} The latest record (or chain result) that holds scan stats or alerts
+ */
+function getLastScan(history, chainId = null, defaultChainId = null) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const record = history[i];
+    if (chainId === null) {
+      if (hasScan(record)) return record;
+      continue;
+    }
+
+    const result = (record.chains || [record]).find(r => (r.chainId ?? defaultChainId) === chainId);
+    if (hasScan(result)) return result;
+  }
+  return null;
+}
+
+/**
+ * Get the stats of every health scan of a wallet
+ * @param {Array<Object>} history - Wallet records, oldest first
+ * @returns {Array<Object>} Stats samples ({ time, percentImmune, percentVerified, activityScore, alertCount, newAlertCount }), oldest first
+ */
+function getStatsHistory(history) {
+  return history
+    .filter(r => r.stats || Array.isArray(r.alerts))
+    .map(r => ({
+      time: r.finishedAt || r.recordedAt,
+      ...Object.fromEntries(HEALTH_STATS.map(stat => [stat, r.stats?.[stat] ?? null])),
+      alertCount: Array.isArray(r.alerts) ? r.alerts.length : 0,
+      newAlertCount: Array.isArray(r.newAlerts) ? r.newAlerts.length : 0
+    }));
+}
+
+module.exports = {
+  HEALTH_STATS,
+  parseAlerts,
+  getAlertTarget,
+  diffAlerts,
+  findHealthDrops,
+  getLastScan,
+  getStatsHistory
+};
@@ -0,0 +1,259 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { config, resolvePath } = require('./config');
+const { addSecret } = require('./redact');
+
+// Passphrase is asked for at most once per process
+let cachedPassphrase = null;
+
+// Outcome of unlocking each keystore file ({ mtimeMs, passphrase, wallet, error }), by path.
+// Decrypting takes seconds per file, so a file is only decrypted again when it changes.
+const unlocked = new Map();
+
+/**
+ * Get the absolute path of the keystore directory
+ * @param {Object} [settings=config] - Config to take the path from
+ * @returns {string} Keystore directory path
+ */
+function getKeystoreDir(settings = config) {
+  return resolvePath('keystores', settings);
+}
+
+/**
+ * Ask a question on the terminal without echoing the answer
+ * @param {string} question - The prompt to display
+ * @returns {Promise<string>} The typed answer
+ */
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    // Passes writes on to the terminal until muted, so the typed answer is never echoed
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!output.muted) process.stdout.write(chunk, encoding);
+        callback();
+      }
+    });
+    output.muted = false;
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true
+    });
+
+    rl.question(question, (answer) => {
+      output.muted = false;
+      output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    output.muted = true;
+  });
+}
+
+/**
+ * Get the keystore passphrase from the environment or an interactive prompt
+ * @param {boolean} [confirm=false] - Ask twice and require both answers to match
+ * @param {Object} [settings=config] - Config naming the passphrase environment variable
+ * @returns {Promise<string|null>} The passphrase or null if none is available
+ */
+async function getPassphrase(confirm = false, settings = config) {
+  if (cachedPassphrase) return cachedPassphrase;
+
+  const fromEnv = process.env[settings.keystore.passphraseEnv];
+  if (fromEnv) {
+    cachedPassphrase = fromEnv;
+    addSecret(cachedPassphrase);
+    return cachedPassphrase;
+  }
+
+  if (!process.stdin.isTTY) {
+    logger.warning(`No keystore passphrase available. Set ${settings.keystore.passphraseEnv} or run in a terminal.`);
+    return null;
+  }
+
+  const passphrase = await promptHidden('Keystore passphrase: ');
+  if (!passphrase) {
+    logger.warning('Empty passphrase entered');
+    return null;
+  }
+
+  if (confirm) {
+    const repeated = await promptHidden('Repeat passphrase: ');
+    if (repeated !== passphrase) {
+      logger.error('Passphrases do not match');
+      return null;
+    }
+  }
+
+  cachedPassphrase = passphrase;
+  addSecret(cachedPassphrase);
+  return cachedPassphrase;
+}
+
+/**
+ * List the keystore files in the keystore directory
+ * @param {Object} [settings=config] - Config to take the keystore directory from
+ * @returns {Array<string>} Absolute paths of keystore files
+ */
+function listKeystoreFiles(settings = config) {
+  const keystoreDir = getKeystoreDir(settings);
+
+  if (!fs.existsSync(keystoreDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(keystoreDir)
+    .filter(file => file.toLowerCase().endsWith('.json'))
+    .map(file => path.join(keystoreDir, file));
+}
+
+/**
+ * Decrypt a keystore file, or reuse the outcome of decrypting it earlier in this process
+ * @param {string} file - Path of the keystore file
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<Object>} Outcome ({ wallet, error, cached }), with either the wallet or the error
+ */
+async function unlockKeystore(file, passphrase) {
+  const { mtimeMs } = fs.statSync(file);
+  const previous = unlocked.get(file);
+  if (previous && previous.mtimeMs === mtimeMs && previous.passphrase === passphrase) {
+    return { ...previous, cached: true };
+  }
+
+  const outcome = { mtimeMs, passphrase, wallet: null, error: null };
+  try {
+    outcome.wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), passphrase);
+  } catch (error) {
+    outcome.error = error;
+  }
+  unlocked.set(file, outcome);
+  return { ...outcome, cached: false };
+}
+
+/**
+ * Decrypt all keystores in the keystore directory. Keystores unlocked before
+ * are not decrypted again unless their file changed.
+ * @param {Object} [settings=config] - Config to take the keystore directory and passphrase variable from
+ * @returns {Promise<Array<Object>>} Array of wallet objects with address and instance
+ */
+async function loadKeystoreWallets(settings = config) {
+  const files = listKeystoreFiles(settings);
+  if (files.length === 0) {
+    return [];
+  }
+
+  const passphrase = await getPassphrase(false, settings);
+  if (!passphrase) {
+    logger.warning(`Skipping ${files.length} keystore(s): no passphrase`);
+    return [];
+  }
+
+  const wallets = [];
+  let decrypted = 0;
+  for (const file of files) {
+    let outcome;
+    try {
+      outcome = await unlockKeystore(file, passphrase);
+    } catch (error) {
+      outcome = { error };
+    }
+
+    if (outcome.error) {
+      logger.error(`Failed to unlock keystore ${path.basename(file)}: ${outcome.error.message}`);
+      continue;
+    }
+
+    const { wallet } = outcome;
+    if (!outcome.cached) decrypted++;
+    addSecret(wallet.privateKey);
+    wallets.push({
+      address: wallet.address,
+      privateKey: wallet.privateKey,
+      instance: wallet,
+      source: 'keystore'
+    });
+  }
+
+  if (decrypted > 0) {
+    logger.info(`Unlocked ${decrypted} keystore(s)`);
+  }
+
+  return wallets;
+}
+
+/**
+ * Encrypt a private key into a JSON V3 keystore file. An existing keystore for
+ * the key is kept, but only once it is known to unlock with the passphrase;
+ * otherwise the key would end up in a keystore the bot cannot open.
+ * @param {string} privateKey - The private key to encrypt
+ * @param {string} passphrase - The passphrase to encrypt with
+ * @param {Object} [settings=config] - Config to take the keystore directory from
+ * @returns {Promise<string>} Path of the written keystore file
+ * @throws {Error} When an existing keystore does not unlock with the passphrase
+ */
+async function writeKeystore(privateKey, passphrase, settings = config) {
+  const wallet = new ethers.Wallet(privateKey);
+  const keystoreDir = getKeystoreDir(settings);
+  fs.ensureDirSync(keystoreDir);
+
+  const filePath = path.join(keystoreDir, `${wallet.address.toLowerCase()}.json`);
+  if (fs.existsSync(filePath)) {
+    let existing;
+    try {
+      existing = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(filePath, 'utf8'), passphrase);
+    } catch (error) {
+      throw new Error(`Existing keystore ${path.basename(filePath)} does not unlock with this passphrase: ${error.message}`);
+    }
+    if (existing.address !== wallet.address) {
+      throw new Error(`Existing keystore ${path.basename(filePath)} holds a different key`);
+    }
+    logger.info(`Keystore already exists, skipping`, wallet.address);
+    return filePath;
+  }
+
+  const json = await wallet.encrypt(passphrase);
+
+  // Make sure the keystore decrypts back to the same key before anything gets wiped
+  const check = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  if (check.address !== wallet.address) {
+    throw new Error('Keystore verification failed');
+  }
+
+  fs.writeFileSync(filePath, json, { mode: 0o600 });
+  logger.success(`Keystore written`, wallet.address);
+  return filePath;
+}
+
+/**
+ * Overwrite a file with random bytes before deleting it
+ * @param {string} filePath - The file to wipe
+ */
+function wipeFile(filePath) {
+  const { size } = fs.statSync(filePath);
+  const fd = fs.openSync(filePath, 'r+');
+
+  try {
+    fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+    fs.fsyncSync(fd);
+    fs.ftruncateSync(fd, 0);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.unlinkSync(filePath);
+}
+
+module.exports = {
+  getPassphrase,
+  listKeystoreFiles,
+  loadKeystoreWallets,
+  writeKeystore,
+  wipeFile
+};
@@ -2,18 +2,23 @@ const chalk = require('chalk');
 const moment = require('moment');
 const fs = require('fs-extra');
 const path = require('path');
-const config = require('../config.json');
+const zlib = require('zlib');
+const { config, resolvePath } = require('./config');
+const { redact, redactValue } = require('./redact');
 
-// Ensure logs directory exists
-const logDir = path.join(__dirname, '../logs');
-fs.ensureDirSync(logDir);
-
-// Log file path with date in the filename
-const getLogFilePath = () => {
-  const date = moment().format('YYYY-MM-DD');
-  return path.join(logDir, `harpie-bot-${date}.log`);
+// Severity of each log type; success and points are info-level messages with their own color
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  success: 30,
+  points: 30,
+  warning: 40,
+  error: 50
 };
 
+const LOG_BASENAME = 'harpie-bot';
+
 /**
  * Format a wallet address to show only the first 4 and last 4 characters
  * @param {string} address - The wallet address to format
@@ -24,6 +29,32 @@ const formatAddress = (address) => {
   return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
 };
 
+// Wallet labels from the manifest, keyed by lowercase address
+const walletLabels = new Map();
+
+/**
+ * Remember a wallet's label, so log lines name the wallet instead of only its address
+ * @param {string} address - The wallet address
+ * @param {string|null} label - The label, or null to forget it
+ */
+const setWalletLabel = (address, label) => {
+  if (label) {
+    walletLabels.set(address.toLowerCase(), label);
+  } else {
+    walletLabels.delete(address.toLowerCase());
+  }
+};
+
+/**
+ * Format a wallet for display: its label followed by the short address, or only the short address
+ * @param {string} address - The wallet address
+ * @param {string|null} [label] - The label, defaults to the one remembered for the address
+ * @returns {string} - The formatted wallet
+ */
+const formatWallet = (address, label = address ? walletLabels.get(address.toLowerCase()) : null) => {
+  return label ? `${label} (${formatAddress(address)})` : formatAddress(address);
+};
+
 /**
  * Get a formatted timestamp for logging
  * @returns {string} - The formatted timestamp
@@ -32,94 +63,223 @@ const getTimestamp = () => {
   return moment().format('DD/MM/YYYY - HH:mm:ss');
 };
 
-// Keep track of last log messages to avoid duplicates
+// Keep track of last log messages to avoid duplicates on the console
 let lastLogMessages = [];
-const MAX_REMEMBERED_LOGS = 5;
 
 /**
- * Check if a message is a duplicate of a recently logged message
+ * Check if a message is a duplicate of a recently logged message.
+ * Only console output is deduplicated; warnings and errors never are.
  * @param {string} message - The message to check
+ * @param {string} type - The type of log
  * @param {string} address - The wallet address
  * @returns {boolean} - True if duplicate, false otherwise
  */
-const isDuplicateLog = (message, address) => {
+const isDuplicateLog = (message, type, address) => {
+  const { enabled, window } = config.logging.dedupe;
+  if (!enabled || LEVELS[type] >= LEVELS.warning) {
+    return false;
+  }
+
   const key = `${address || ''}:${message}`;
   const isDuplicate = lastLogMessages.includes(key);
-  
+
   if (!isDuplicate) {
     lastLogMessages.push(key);
-    if (lastLogMessages.length > MAX_REMEMBERED_LOGS) {
+    while (lastLogMessages.length > window) {
       lastLogMessages.shift();
     }
   }
-  
+
   return isDuplicate;
 };
 
+// State of the active log file, so rotation doesn't need a stat() per line
+const activeFile = {
+  path: null,
+  size: 0,
+  openedAt: 0
+};
+
+/**
+ * Get the path of the active log file for the configured format
+ * @returns {string} - Absolute path of the active log file
+ */
+const getLogFilePath = () => {
+  const extension = config.logging.fileFormat === 'json' ? 'jsonl' : 'log';
+  return path.join(resolvePath('logs'), `${LOG_BASENAME}.${extension}`);
+};
+
+/**
+ * Delete rotated log files past the retention period
+ * @param {string} logDir - The log directory
+ */
+const pruneRotatedLogs = (logDir) => {
+  const cutoff = Date.now() - config.logging.rotation.retentionDays * 24 * 60 * 60 * 1000;
+
+  for (const file of fs.readdirSync(logDir)) {
+    if (!file.startsWith(`${LOG_BASENAME}-`)) continue;
+
+    const filePath = path.join(logDir, file);
+    if (fs.statSync(filePath).mtimeMs < cutoff) {
+      fs.removeSync(filePath);
+    }
+  }
+};
+
 /**
- * Log a message with appropriate formatting and color
+ * Move the active log file aside (compressed if enabled) and prune old ones
+ * @param {string} filePath - The active log file
+ */
+const rotateLogFile = (filePath) => {
+  const { dir, name, ext } = path.parse(filePath);
+  const rotatedPath = path.join(dir, `${name}-${moment(activeFile.openedAt).format('YYYYMMDD-HHmmss')}${ext}`);
+
+  fs.moveSync(filePath, rotatedPath, { overwrite: true });
+
+  if (config.logging.rotation.compress) {
+    fs.writeFileSync(`${rotatedPath}.gz`, zlib.gzipSync(fs.readFileSync(rotatedPath)));
+    fs.removeSync(rotatedPath);
+  }
+
+  pruneRotatedLogs(dir);
+};
+
+/**
+ * Append a line to the active log file, rotating it first when it is too big or too old
+ * @param {string} line - The line to write, without newline
+ */
+const writeToFile = (line) => {
+  const filePath = getLogFilePath();
+
+  if (activeFile.path !== filePath) {
+    fs.ensureDirSync(path.dirname(filePath));
+    const stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    activeFile.path = filePath;
+    activeFile.size = stats ? stats.size : 0;
+    activeFile.openedAt = stats ? stats.birthtimeMs || stats.mtimeMs : Date.now();
+  }
+
+  const { maxSizeMb, maxAgeHours } = config.logging.rotation;
+  const tooBig = activeFile.size > 0 && activeFile.size >= maxSizeMb * 1024 * 1024;
+  const tooOld = activeFile.size > 0 && Date.now() - activeFile.openedAt >= maxAgeHours * 60 * 60 * 1000;
+
+  if (tooBig || tooOld) {
+    rotateLogFile(filePath);
+    activeFile.size = 0;
+    activeFile.openedAt = Date.now();
+  }
+
+  const data = line + '\n';
+  fs.appendFileSync(filePath, data);
+  activeFile.size += Buffer.byteLength(data);
+};
+
+/**
+ * Log a message with appropriate formatting and color.
+ * Secrets are masked before anything is written, see lib/redact.js.
  * @param {string} message - The message to log
- * @param {string} type - The type of log (info, success, warning, error)
+ * @param {string} type - The type of log (trace, debug, info, success, points, warning, error)
  * @param {string} [address=null] - The wallet address associated with this log
+ * @param {Object} [fields={}] - Structured fields for the JSON log (e.g. step, durationMs, errorCode)
  */
-const log = (message, type = 'info', address = null) => {
-  // Skip duplicate consecutive logs for the same address - prevents spam
-  if (isDuplicateLog(message, address) && type !== 'error') {
+const log = (message, type = 'info', address = null, fields = {}) => {
+  const level = LEVELS[type];
+  const toConsole = config.general.logToConsole && level >= LEVELS[config.logging.level];
+  const toFile = config.general.logToFile && level >= LEVELS[config.logging.fileLevel];
+
+  if (!toConsole && !toFile) {
     return;
   }
-  
+
+  message = redact(String(message));
+  fields = redactValue(fields || {});
+
   const timestamp = getTimestamp();
-  const addressStr = address ? ` - ${formatAddress(address)}` : '';
+  const addressStr = address ? ` - ${formatWallet(address)}` : '';
+  const label = address ? walletLabels.get(address.toLowerCase()) : null;
   const logPrefix = `[${timestamp}${addressStr}]`;
-  
-  let coloredPrefix;
-  let coloredMessage;
-  
-  switch (type) {
-    case 'success':
-      coloredPrefix = chalk.green(logPrefix);
-      coloredMessage = chalk.green(message);
-      break;
-    case 'warning':
-      coloredPrefix = chalk.yellow(logPrefix);
-      coloredMessage = chalk.yellow(message);
-      break;
-    case 'error':
-      coloredPrefix = chalk.red(logPrefix);
-      coloredMessage = chalk.red(message);
-      break;
-    case 'points':
-      coloredPrefix = chalk.magenta(logPrefix);
-      coloredMessage = chalk.magenta(message);
-      break;
-    default:
-      coloredPrefix = chalk.blue(logPrefix);
-      coloredMessage = chalk.white(message);
-  }
-  
-  const consoleOutput = `${coloredPrefix} ${coloredMessage}`;
-  const fileOutput = `${logPrefix} ${message}`;
-  
-  // Log to console if enabled
-  if (config.general.logToConsole) {
-    console.log(consoleOutput);
+
+  // Log to console if enabled, skipping duplicate consecutive logs for the same address
+  if (toConsole && !isDuplicateLog(message, type, address)) {
+    let coloredPrefix;
+    let coloredMessage;
+
+    switch (type) {
+      case 'success':
+        coloredPrefix = chalk.green(logPrefix);
+        coloredMessage = chalk.green(message);
+        break;
+      case 'warning':
+        coloredPrefix = chalk.yellow(logPrefix);
+        coloredMessage = chalk.yellow(message);
+        break;
+      case 'error':
+        coloredPrefix = chalk.red(logPrefix);
+        coloredMessage = chalk.red(message);
+        break;
+      case 'points':
+        coloredPrefix = chalk.magenta(logPrefix);
+        coloredMessage = chalk.magenta(message);
+        break;
+      case 'debug':
+      case 'trace':
+        coloredPrefix = chalk.gray(logPrefix);
+        coloredMessage = chalk.gray(message);
+        break;
+      default:
+        coloredPrefix = chalk.blue(logPrefix);
+        coloredMessage = chalk.white(message);
+    }
+
+    console.log(`${coloredPrefix} ${coloredMessage}`);
   }
-  
-  // Log to file if enabled
-  if (config.general.logToFile) {
+
+  // Log to file if enabled; the file always gets every message
+  if (toFile) {
+    const line = config.logging.fileFormat === 'json'
+      ? JSON.stringify({
+        time: new Date().toISOString(),
+        level: type,
+        message,
+        ...(address ? { wallet: address } : {}),
+        ...(label ? { label } : {}),
+        ...fields
+      })
+      : `${logPrefix} ${type.toUpperCase()} ${message}`;
+
     try {
-      fs.appendFileSync(getLogFilePath(), fileOutput + '\n');
+      writeToFile(line);
     } catch (error) {
-      console.error(`Failed to write to log file: ${error.message}`);
+      console.error(`Failed to write to log file: ${redact(error.message)}`);
     }
   }
 };
 
+/**
+ * Wait until everything logged so far is written out. Log files are written
+ * synchronously, but the console can still buffer output when it is a pipe,
+ * which process.exit() would cut off.
+ * @returns {Promise<void>} Resolves once stdout and stderr are drained
+ */
+const flush = () => Promise.all([process.stdout, process.stderr].map(stream => new Promise((resolve) => {
+  if (stream.destroyed || !stream.writable) {
+    resolve();
+    return;
+  }
+  stream.write('', () => resolve());
+}))).then(() => {});
+
 module.exports = {
-  info: (message, address) => log(message, 'info', address),
-  success: (message, address) => log(message, 'success', address),
-  warning: (message, address) => log(message, 'warning', address),
-  error: (message, address) => log(message, 'error', address),
-  points: (message, address) => log(message, 'points', address),
-  formatAddress
-};
\ No newline at end of file
+  trace: (message, address, fields) => log(message, 'trace', address, fields),
+  debug: (message, address, fields) => log(message, 'debug', address, fields),
+  info: (message, address, fields) => log(message, 'info', address, fields),
+  success: (message, address, fields) => log(message, 'success', address, fields),
+  warning: (message, address, fields) => log(message, 'warning', address, fields),
+  error: (message, address, fields) => log(message, 'error', address, fields),
+  points: (message, address, fields) => log(message, 'points', address, fields),
+  formatAddress,
+  formatWallet,
+  setWalletLabel,
+  flush,
+  LEVELS
+};
@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ethers } = require('ethers');
+const YAML = require('yaml');
+
+const ENTRY_FIELDS = ['address', 'key', 'label', 'groups', 'enabled', 'chainIds', 'scan'];
+const SCAN_FIELDS = ['enabled', 'forceRescan'];
+const GROUP_FIELDS = ['chainIds'];
+const MANIFEST_FIELDS = ['wallets', 'groups'];
+
+// A key is referenced by its position in pk.txt, so the manifest never holds the key itself
+const KEY_REFERENCE = /^pk\.txt#([1-9]\d*)$/;
+
+// YAML 1.2 reads plain 0x... values as hex numbers; keep them strings so addresses need no quotes
+const YAML_OPTIONS = { customTags: (tags) => tags.filter(tag => tag.format !== 'HEX') };
+
+/**
+ * Check whether a value is a plain object
+ * @param {any} value - The value
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Describe a value for an error message
+ * @param {any} value - The value
+ * @returns {string} Type and value
+ */
+const describe = (value) => {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null || value === undefined) return 'nothing';
+  return `${typeof value} ${JSON.stringify(value)}`;
+};
+
+/**
+ * Check a list of chain IDs
+ * @param {any} value - The value as written in the manifest
+ * @returns {boolean} True for a non-empty list of positive integers
+ */
+const isChainList = (value) => Array.isArray(value) && value.length > 0 && value.every(id => Number.isInteger(id) && id >= 1);
+
+/**
+ * Validate one manifest entry and turn it into wallet settings
+ * @param {any} raw - The entry as written in the manifest
+ * @param {string} where - Position of the entry, for errors
+ * @param {Array<string>} errors - Collected errors
+ * @returns {Object|null} Entry ({ address, keyIndex, label, groups, enabled, chainIds, scan }), or null if invalid
+ */
+function validateEntry(raw, where, errors) {
+  if (!isPlainObject(raw)) {
+    errors.push(`${where}: expected an object, got ${describe(raw)}`);
+    return null;
+  }
+
+  const count = errors.length;
+  for (const key of Object.keys(raw)) {
+    if (!ENTRY_FIELDS.includes(key)) errors.push(`${where}.${key}: unknown field`);
+  }
+
+  const entry = {
+    address: null,
+    keyIndex: null,
+    label: null,
+    groups: [],
+    enabled: true,
+    chainIds: null,
+    scan: null
+  };
+
+  if ((raw.address === undefined) === (raw.key === undefined)) {
+    errors.push(`${where}: needs either an address or a key reference`);
+  } else if (raw.address !== undefined) {
+    try {
+      entry.address = ethers.utils.getAddress(String(raw.address));
+    } catch (error) {
+      errors.push(`${where}.address: ${JSON.stringify(raw.address)} is not a valid address`);
+    }
+  } else {
+    const match = typeof raw.key === 'string' && raw.key.match(KEY_REFERENCE);
+    if (match) {
+      entry.keyIndex = Number(match[1]);
+    } else {
+      errors.push(`${where}.key: expected a reference like "pk.txt#1", got ${describe(raw.key)}`);
+    }
+  }
+
+  if (raw.label !== undefined) {
+    if (typeof raw.label === 'string' && raw.label.trim()) {
+      entry.label = raw.label.trim();
+    } else {
+      errors.push(`${where}.label: expected a non-empty string, got ${describe(raw.label)}`);
+    }
+  }
+
+  if (raw.groups !== undefined) {
+    if (Array.isArray(raw.groups) && raw.groups.every(g => typeof g === 'string' && g.trim())) {
+      entry.groups = raw.groups.map(g => g.trim());
+    } else {
+      errors.push(`${where}.groups: expected a list of names, got ${describe(raw.groups)}`);
+    }
+  }
+
+  if (raw.enabled !== undefined) {
+    if (typeof raw.enabled === 'boolean') {
+      entry.enabled = raw.enabled;
+    } else {
+      errors.push(`${where}.enabled: expected true or false, got ${describe(raw.enabled)}`);
+    }
+  }
+
+  if (raw.chainIds !== undefined) {
+    if (isChainList(raw.chainIds)) {
+      entry.chainIds = raw.chainIds;
+    } else {
+      errors.push(`${where}.chainIds: expected a list of chain IDs, got ${describe(raw.chainIds)}`);
+    }
+  }
+
+  if (raw.scan !== undefined) {
+    if (!isPlainObject(raw.scan)) {
+      errors.push(`${where}.scan: expected an object, got ${describe(raw.scan)}`);
+    } else {
+      entry.scan = {};
+      for (const [key, value] of Object.entries(raw.scan)) {
+        if (!SCAN_FIELDS.includes(key)) {
+          errors.push(`${where}.scan.${key}: unknown field, expected one of ${SCAN_FIELDS.join(', ')}`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`${where}.scan.${key}: expected true or false, got ${describe(value)}`);
+        } else {
+          entry.scan[key] = value;
+        }
+      }
+    }
+  }
+
+  return errors.length === count ? entry : null;
+}
+
+/**
+ * Validate the group settings of a manifest
+ * @param {any} raw - The `groups` object as written in the manifest
+ * @param {Array<string>} errors - Collected errors
+ * @returns {Map<string, Object>} Settings ({ chainIds }) by lower-case group name
+ */
+function validateGroups(raw, errors) {
+  const groups = new Map();
+  if (raw === undefined) return groups;
+  if (!isPlainObject(raw)) {
+    errors.push(`groups: expected an object of group settings, got ${describe(raw)}`);
+    return groups;
+  }
+
+  for (const [name, settings] of Object.entries(raw)) {
+    const where = `groups.${name}`;
+    if (!isPlainObject(settings)) {
+      errors.push(`${where}: expected an object, got ${describe(settings)}`);
+      continue;
+    }
+
+    const count = errors.length;
+    for (const key of Object.keys(settings)) {
+      if (!GROUP_FIELDS.includes(key)) errors.push(`${where}.${key}: unknown field, expected one of ${GROUP_FIELDS.join(', ')}`);
+    }
+    if (settings.chainIds !== undefined && !isChainList(settings.chainIds)) {
+      errors.push(`${where}.chainIds: expected a list of chain IDs, got ${describe(settings.chainIds)}`);
+    }
+    if (errors.length === count) groups.set(name.trim().toLowerCase(), { chainIds: settings.chainIds || null });
+  }
+  return groups;
+}
+
+/**
+ * Validate a parsed manifest
+ * @param {any} data - Manifest contents: a list of wallets, or an object with a `wallets` list and
+ *   optional `groups` settings
+ * @returns {Object} Valid entries and errors ({ entries, errors }). Each entry gets the chains of
+ *   the first of its groups that sets them as `groupChainIds`.
+ */
+function validateManifest(data) {
+  const list = Array.isArray(data) ? data : (isPlainObject(data) ? data.wallets : undefined);
+  if (!Array.isArray(list)) {
+    return { entries: [], errors: ['expected a list of wallets, or an object with a "wallets" list'] };
+  }
+
+  const errors = [];
+  if (!Array.isArray(data)) {
+    for (const key of Object.keys(data)) {
+      if (!MANIFEST_FIELDS.includes(key)) errors.push(`${key}: unknown field, expected one of ${MANIFEST_FIELDS.join(', ')}`);
+    }
+  }
+  const groups = validateGroups(Array.isArray(data) ? undefined : data.groups, errors);
+  const entries = [];
+  const seen = new Map();
+
+  list.forEach((raw, i) => {
+    const where = `wallets[${i}]`;
+    const entry = validateEntry(raw, where, errors);
+    if (!entry) return;
+
+    // Labels select wallets on the command line, so they must be unique like the wallets themselves
+    const keys = [
+      entry.address ? `address ${entry.address}` : `key pk.txt#${entry.keyIndex}`,
+      ...(entry.label ? [`label "${entry.label.toLowerCase()}"`] : [])
+    ];
+    for (const key of keys) {
+      if (seen.has(key)) {
+        errors.push(`${where}: ${key} is already used by ${seen.get(key)}`);
+        return;
+      }
+    }
+    keys.forEach(key => seen.set(key, where));
+    const group = entry.groups.find(g => groups.get(g.toLowerCase())?.chainIds);
+    entries.push({ ...entry, groupChainIds: group ? groups.get(group.toLowerCase()).chainIds : null });
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Read and validate the wallet manifest. Files ending in .yaml or .yml are
+ * read as YAML, anything else as JSON.
+ * @param {string} filePath - Path of the manifest
+ * @returns {Array<Object>|null} Manifest entries, or null if there is no manifest
+ * @throws {Error} When the manifest cannot be parsed or is invalid, with an `errors` array
+ */
+function readManifest(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const name = path.basename(filePath);
+  let data;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text, YAML_OPTIONS) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Wallet manifest ${name} could not be read: ${error.message}`);
+  }
+
+  const { entries, errors } = validateManifest(data);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid wallet manifest (${name}):\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return entries;
+}
+
+module.exports = {
+  readManifest,
+  validateManifest
+};
@@ -0,0 +1,232 @@
+// Request latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Scan crediting latency histogram buckets, in seconds
+const CREDIT_LATENCY_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Replace wallet addresses in an API path so every wallet shares one endpoint label
+ * @param {string} url - Request path
+ * @returns {string} Path with addresses replaced by `:address`
+ */
+const normalizeEndpoint = (url) => (url || 'unknown')
+  .split('?')[0]
+  .replace(/0x[0-9a-fA-F]{40}/g, ':address');
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Format a label set for the Prometheus text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create a metric family: a named set of samples keyed by their labels
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string} type - counter, gauge or histogram
+ * @param {Array<number>} [buckets=LATENCY_BUCKETS] - Upper bounds of a histogram's buckets
+ * @returns {Object} Metric family ({ name, help, type, buckets, samples })
+ */
+const createFamily = (name, help, type, buckets = LATENCY_BUCKETS) => ({ name, help, type, buckets, samples: new Map() });
+
+/**
+ * Get the sample for a label set, creating it if needed
+ * @param {Object} family - Metric family
+ * @param {Object} labels - Label names and values
+ * @param {Function} create - Returns the initial sample value
+ * @returns {Object} Sample ({ labels, value })
+ */
+function getSample(family, labels, create) {
+  const key = JSON.stringify(labels);
+  if (!family.samples.has(key)) {
+    family.samples.set(key, { labels, value: create() });
+  }
+  return family.samples.get(key);
+}
+
+/**
+ * Create a metrics registry for the bot, rendered in the Prometheus text format
+ * @returns {Object} Metrics registry
+ */
+function createMetrics() {
+  const requestDuration = createFamily('harpie_http_request_duration_seconds', 'Harpie API request latency', 'histogram');
+  const requests = createFamily('harpie_http_requests_total', 'Harpie API requests by endpoint and status code (or network error code)', 'counter');
+  const retries = createFamily('harpie_http_retries_total', 'Retried Harpie API requests by endpoint', 'counter');
+  const walletPoints = createFamily('harpie_wallet_points', 'Points of each wallet at its last check', 'gauge');
+  const walletStreak = createFamily('harpie_wallet_scan_streak', 'Daily scan streak of each wallet at its last check', 'gauge');
+  const walletOutcomes = createFamily('harpie_wallet_outcomes_total', 'Processed wallets by scan outcome', 'counter');
+  const creditLatency = createFamily('harpie_scan_credit_latency_seconds', 'Time from a scan to its points being credited', 'histogram', CREDIT_LATENCY_BUCKETS);
+  const lastRun = createFamily('harpie_last_run_timestamp_seconds', 'Unix time the last run finished', 'gauge');
+  const lastSuccessfulRun = createFamily('harpie_last_successful_run_timestamp_seconds', 'Unix time the last run that processed every wallet without failures finished', 'gauge');
+  const families = [requestDuration, requests, retries, walletPoints, walletStreak, walletOutcomes, creditLatency, lastRun, lastSuccessfulRun];
+
+  const startedAt = new Date();
+  let lastHeartbeatAt = startedAt;
+
+  /**
+   * Record that the bot is alive, for the health check
+   * @param {Date} [now=new Date()] - Reference time
+   */
+  function heartbeat(now = new Date()) {
+    lastHeartbeatAt = now;
+  }
+
+  /**
+   * Add an observation to a histogram
+   * @param {Object} family - Histogram family
+   * @param {Object} labels - Label names and values
+   * @param {number} seconds - Observed value in seconds
+   */
+  function observe(family, labels, seconds) {
+    const histogram = getSample(family, labels, () => ({
+      buckets: family.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+    family.buckets.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Record a finished API request
+   * @param {string} url - Request path
+   * @param {number|string} status - HTTP status code, or the network error code
+   * @param {number} durationMs - Request duration in milliseconds
+   */
+  function observeRequest(url, status, durationMs) {
+    const endpoint = normalizeEndpoint(url);
+    getSample(requests, { endpoint, status: status || 'unknown' }, () => 0).value++;
+    observe(requestDuration, { endpoint }, durationMs / 1000);
+  }
+
+  /**
+   * Record a retried API request
+   * @param {string} url - Request path
+   */
+  function recordRetry(url) {
+    getSample(retries, { endpoint: normalizeEndpoint(url) }, () => 0).value++;
+  }
+
+  /**
+   * Update a wallet's gauges from its outcome or stored state
+   * @param {Object} state - Wallet outcome or stored record
+   * @param {boolean} [countOutcome=true] - Also count the outcome (false when seeding from stored state)
+   */
+  function recordWallet(state, countOutcome = true) {
+    const labels = { wallet: state.address };
+    if (typeof state.personalPoints === 'number') {
+      getSample(walletPoints, labels, () => 0).value = state.personalPoints;
+    }
+    if (typeof state.walletScanStreak === 'number') {
+      getSample(walletStreak, labels, () => 0).value = state.walletScanStreak;
+    }
+    if (countOutcome && state.scanOutcome) {
+      getSample(walletOutcomes, { outcome: state.scanOutcome }, () => 0).value++;
+    }
+    if (countOutcome) {
+      for (const chain of state.chains || [state]) {
+        if (typeof chain.verification?.latencyMs === 'number') {
+          observe(creditLatency, {}, chain.verification.latencyMs / 1000);
+        }
+      }
+    }
+    heartbeat();
+  }
+
+  /**
+   * Record a finished run. It only counts as successful when every wallet was
+   * processed without failing; a run cut off by its time budget never does.
+   * @param {Object} summary - Run summary ({ failedCount, timedOut, notProcessed })
+   * @param {Date} [now=new Date()] - When the run finished
+   */
+  function recordRun(summary, now = new Date()) {
+    const seconds = Math.floor(now.getTime() / 1000);
+    getSample(lastRun, {}, () => 0).value = seconds;
+    if (summary.failedCount === 0 && !summary.timedOut && !summary.notProcessed) {
+      getSample(lastSuccessfulRun, {}, () => 0).value = seconds;
+    }
+    heartbeat(now);
+  }
+
+  /**
+   * Get the health of the bot
+   * @param {number} staleAfterMinutes - How long without a heartbeat before the bot counts as stalled
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Object} Health ({ healthy, startedAt, lastHeartbeatAt, lastRunAt, lastSuccessfulRunAt })
+   */
+  function getHealth(staleAfterMinutes, now = new Date()) {
+    const timestamp = (family) => {
+      const sample = family.samples.get('{}');
+      return sample ? new Date(sample.value * 1000).toISOString() : null;
+    };
+
+    return {
+      healthy: now - lastHeartbeatAt <= staleAfterMinutes * 60 * 1000,
+      startedAt: startedAt.toISOString(),
+      lastHeartbeatAt: lastHeartbeatAt.toISOString(),
+      lastRunAt: timestamp(lastRun),
+      lastSuccessfulRunAt: timestamp(lastSuccessfulRun)
+    };
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Metrics text
+   */
+  function render() {
+    const lines = [];
+
+    for (const family of families) {
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+
+      for (const { labels, value } of family.samples.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${family.name}${formatLabels(labels)} ${value}`);
+          continue;
+        }
+
+        family.buckets.forEach((bound, i) => {
+          lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.buckets[i]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${family.name}_sum${formatLabels(labels)} ${value.sum}`);
+        lines.push(`${family.name}_count${formatLabels(labels)} ${value.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    heartbeat,
+    observeRequest,
+    recordRetry,
+    recordWallet,
+    recordRun,
+    getHealth,
+    render
+  };
+}
+
+module.exports = {
+  createMetrics,
+  normalizeEndpoint,
+  // Registry shared by the default client and the CLI bot
+  metrics: createMetrics()
+};
@@ -0,0 +1,307 @@
+const axios = require('axios');
+const { config: sharedConfig } = require('./config');
+const sharedLogger = require('./logger');
+const { formatNumber } = require('./utils');
+const { redact, redactValue } = require('./redact');
+
+const { formatWallet } = sharedLogger;
+
+// Message length limits of the chat services
+const DISCORD_MAX_LENGTH = 2000;
+const TELEGRAM_MAX_LENGTH = 4096;
+
+// Outcomes that count towards the consecutive failure alert; a wallet that keeps
+// running out of its time budget is as stuck as one that keeps erroring
+const FAILED_OUTCOMES = ['failed', 'error', 'timeout'];
+
+/**
+ * Fill a template's {{placeholders}} with values; unknown placeholders become empty
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] ?? '').toString());
+
+/**
+ * Shorten a message to a maximum length
+ * @param {string} text - The message
+ * @param {number} maxLength - Maximum length
+ * @returns {string} The message, cut off with an ellipsis if needed
+ */
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text);
+
+/**
+ * Count the failed outcomes at the end of a wallet's history
+ * @param {Array<Object>} records - Wallet records, oldest first
+ * @returns {number} Number of consecutive failures
+ */
+function countTrailingFailures(records) {
+  let count = 0;
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (!FAILED_OUTCOMES.includes(records[i].scanOutcome)) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Get the points a wallet gained since its previous record
+ * @param {Object} outcome - Wallet outcome
+ * @param {Object} [previous] - The wallet's last record before this run
+ * @returns {number|null} Points delta, or null when either side is unknown
+ */
+const getPointsDelta = (outcome, previous) =>
+  (typeof outcome.personalPoints === 'number' && typeof previous?.personalPoints === 'number'
+    ? outcome.personalPoints - previous.personalPoints
+    : null);
+
+/**
+ * Create a notifier that posts run summaries and alerts to the configured channels
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Bot config, defaults to the shared config
+ * @param {Object} [deps.logger] - Logger, defaults to the shared logger
+ * @param {Function} [deps.post] - Async function (url, body, options) that sends a JSON POST, defaults to axios
+ * @returns {Object} Notifier with notifyRun, checkAlerts and send methods
+ */
+function createNotifier({ config = sharedConfig, logger = sharedLogger, post = axios.post } = {}) {
+  const settings = config.notifications;
+
+  /**
+   * Get the channels that have been configured
+   * @returns {Array<Object>} Channels ({ name, url, body(text, event) })
+   */
+  function getChannels() {
+    const channels = [];
+
+    if (settings.webhook.url) {
+      channels.push({
+        name: 'webhook',
+        url: settings.webhook.url,
+        body: (text, event) => ({ ...event, text })
+      });
+    }
+
+    if (settings.discord.webhookUrl) {
+      channels.push({
+        name: 'discord',
+        url: settings.discord.webhookUrl,
+        body: (text) => ({ content: truncate(text, DISCORD_MAX_LENGTH) })
+      });
+    }
+
+    if (settings.telegram.botToken && settings.telegram.chatId) {
+      channels.push({
+        name: 'telegram',
+        url: `${settings.telegram.apiUrl}/bot${settings.telegram.botToken}/sendMessage`,
+        body: (text) => ({
+          chat_id: settings.telegram.chatId,
+          text: truncate(text, TELEGRAM_MAX_LENGTH),
+          disable_web_page_preview: true
+        })
+      });
+    }
+
+    return channels;
+  }
+
+  /**
+   * Send a message to every configured channel, with secrets masked.
+   * Failures are logged and never thrown, so a broken webhook can't fail a run.
+   * @param {string} text - Rendered message
+   * @param {Object} event - Structured event for the generic webhook ({ event, ... })
+   * @returns {Promise<number>} Number of channels the message was delivered to
+   */
+  async function send(text, event) {
+    if (!settings.enabled) return 0;
+
+    const safeText = redact(text);
+    const safeEvent = redactValue(event);
+    let delivered = 0;
+    for (const channel of getChannels()) {
+      try {
+        await post(channel.url, channel.body(safeText, safeEvent), { timeout: settings.timeoutMs });
+        delivered++;
+      } catch (error) {
+        // Never log the URL, it holds the webhook secret or bot token
+        const status = error.response ? ` (${error.response.status})` : '';
+        logger.warning(`Failed to send ${channel.name} notification${status}: ${error.code || error.message}`, null, {
+          step: 'notify',
+          channel: channel.name,
+          errorCode: error.response ? `HTTP_${error.response.status}` : error.code
+        });
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * Build the template values for one wallet of a run
+   * @param {Object} outcome - Wallet outcome
+   * @param {number|null} delta - Points gained since the last run
+   * @returns {Object} Template values
+   */
+  function walletValues(outcome, delta) {
+    const points = outcome.personalPoints;
+
+    return {
+      wallet: formatWallet(outcome.address, outcome.label),
+      address: outcome.address,
+      outcome: outcome.scanOutcome || '-',
+      points: typeof points === 'number' ? formatNumber(points) : '-',
+      delta: delta === null ? '-' : `${delta >= 0 ? '+' : ''}${formatNumber(delta)}`,
+      streak: outcome.walletScanStreak ?? '-',
+      chains: outcome.chains ? ` | chains ${outcome.chains.map(c => `${c.chainId}: ${c.scanOutcome}`).join(', ')}` : '',
+      error: outcome.error ? ` | error${outcome.errorCategory ? ` (${outcome.errorCategory})` : ''}: ${outcome.error}` : ''
+    };
+  }
+
+  /**
+   * Post the summary of a finished run. A run that was interrupted or ran out
+   * of time gets its partial summary, with a line saying how many wallets it
+   * did not get to.
+   * @param {Object} summary - Run summary from runAll() ({ runId, successCount, failedCount, total, outcomes,
+   *   and interrupted or timedOut with notProcessed for a run that stopped early })
+   * @param {Map<string, Object>} [previousStates=new Map()] - Each wallet's last record before the run, for points deltas
+   * @returns {Promise<number>} Number of channels the summary was delivered to
+   */
+  async function notifyRun(summary, previousStates = new Map()) {
+    if (!settings.enabled || !settings.sendSummary) return 0;
+
+    const deltas = summary.outcomes.map(outcome => getPointsDelta(outcome, previousStates.get(outcome.address)));
+    const text = renderTemplate(settings.templates.summary, {
+      runId: summary.runId,
+      successCount: summary.successCount,
+      failedCount: summary.failedCount,
+      total: summary.total,
+      wallets: summary.outcomes
+        .map((outcome, i) => renderTemplate(settings.templates.wallet, walletValues(outcome, deltas[i])))
+        .join('\n')
+    });
+    const stopped = summary.interrupted
+      ? `Run interrupted by a shutdown, ${summary.notProcessed} wallet(s) left for the next run`
+      : (summary.timedOut ? `Run ran out of time, ${summary.notProcessed} wallet(s) not processed` : null);
+
+    return send(stopped ? `${text}\n${stopped}` : text, {
+      event: summary.interrupted ? 'run.interrupted' : 'run.finished',
+      runId: summary.runId,
+      successCount: summary.successCount,
+      failedCount: summary.failedCount,
+      total: summary.total,
+      ...(stopped ? { notProcessed: summary.notProcessed } : {}),
+      wallets: summary.outcomes.map((outcome, i) => ({
+        address: outcome.address,
+        outcome: outcome.scanOutcome,
+        points: outcome.personalPoints,
+        pointsDelta: deltas[i],
+        streak: outcome.walletScanStreak,
+        error: outcome.error,
+        errorCategory: outcome.errorCategory ?? null,
+        ...(outcome.chains ? {
+          chains: outcome.chains.map(c => ({
+            chainId: c.chainId,
+            outcome: c.scanOutcome,
+            points: c.personalPoints,
+            streak: c.walletScanStreak,
+            alertCount: c.alertCount,
+            error: c.error,
+            errorCategory: c.errorCategory ?? null
+          }))
+        } : {})
+      }))
+    });
+  }
+
+  /**
+   * Find the alerts a wallet outcome triggers
+   * @param {Object} outcome - Wallet outcome
+   * @param {Array<Object>} history - The wallet's records before this outcome, oldest first
+   * @returns {Array<Object>} Alerts ({ type, address, message, chainId? })
+   */
+  function getAlerts(outcome, history) {
+    const { streakLost, consecutiveFailures, scanAlerts, healthDrop } = settings.alerts;
+    const alerts = [];
+
+    const lastStreak = [...history].reverse().find(r => typeof r.walletScanStreak === 'number');
+    if (streakLost && lastStreak && typeof outcome.walletScanStreak === 'number'
+      && outcome.walletScanStreak < lastStreak.walletScanStreak) {
+      alerts.push({
+        type: 'streak-lost',
+        address: outcome.address,
+        message: `Scan streak lost (${lastStreak.walletScanStreak} -> ${outcome.walletScanStreak})`
+      });
+    }
+
+    // Alert once when the threshold is reached, not on every failure after it
+    if (consecutiveFailures > 0 && countTrailingFailures([...history, outcome]) === consecutiveFailures) {
+      alerts.push({
+        type: 'consecutive-failures',
+        address: outcome.address,
+        message: `Scan failed ${consecutiveFailures} times in a row${outcome.error ? `: ${outcome.error}` : ''}`
+      });
+    }
+
+    // Scan results are per chain; only alerts that were not there in the previous scan are reported
+    for (const result of outcome.chains || [outcome]) {
+      const chain = outcome.chains ? ` on chain ${result.chainId}` : '';
+
+      const newAlerts = (result.alerts || []).filter(alert => (result.newAlerts || []).includes(alert.key));
+      if (scanAlerts && newAlerts.length > 0) {
+        alerts.push({
+          type: 'scan-alerts',
+          address: outcome.address,
+          chainId: result.chainId,
+          message: `Wallet scan${chain} reported ${newAlerts.length} new alert(s): ${newAlerts.map(alert => alert.title).join(', ')}`
+        });
+      }
+
+      if (healthDrop && result.healthDrops?.length > 0) {
+        alerts.push({
+          type: 'health-drop',
+          address: outcome.address,
+          chainId: result.chainId,
+          message: `Wallet health dropped${chain}: ${result.healthDrops.map(d => `${d.stat} ${d.from} -> ${d.to}`).join(', ')}`
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Check a wallet outcome for alert events and post any that fire
+   * @param {Object} outcome - Wallet outcome
+   * @param {Array<Object>} history - The wallet's records before this outcome, oldest first
+   * @returns {Promise<Array<Object>>} The alerts that fired
+   */
+  async function checkAlerts(outcome, history) {
+    if (!settings.enabled) return [];
+
+    const alerts = getAlerts(outcome, history);
+    for (const alert of alerts) {
+      logger.warning(alert.message, alert.address, { step: 'alert', alert: alert.type });
+      await send(
+        renderTemplate(settings.templates.alert, {
+          type: alert.type,
+          wallet: formatWallet(alert.address, outcome.label),
+          address: alert.address,
+          message: alert.message
+        }),
+        { event: 'alert', ...alert }
+      );
+    }
+    return alerts;
+  }
+
+  return {
+    notifyRun,
+    checkAlerts,
+    getAlerts,
+    send
+  };
+}
+
+module.exports = {
+  createNotifier,
+  renderTemplate
+};
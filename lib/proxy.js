@@ -1,18 +1,19 @@
 const fs = require('fs-extra');
-const path = require('path');
 const axios = require('axios');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const { SocksProxyAgent } = require('socks-proxy-agent');
 const logger = require('./logger');
-const config = require('../config.json');
+const { config, resolvePath } = require('./config');
+const { addSecret } = require('./redact');
 
 /**
  * Read proxies from the proxy.txt file
+ * @param {Object} [settings=config] - Config to take the file path from
  * @returns {Array<string>} Array of proxies
  */
-function readProxies() {
+function readProxies(settings = config) {
   try {
-    const proxyPath = path.join(__dirname, '../proxy.txt');
+    const proxyPath = resolvePath('proxies', settings);
     
     // Check if proxy.txt exists
     if (!fs.existsSync(proxyPath)) {
@@ -103,6 +104,11 @@ function parseProxy(proxyString) {
       }
     }
     
+    if (auth) {
+      addSecret(auth.password);
+      addSecret(`${auth.username}:${auth.password}`);
+    }
+    
     // Validate the parsed data
     if (!host || !port) {
       throw new Error('Invalid proxy format');
@@ -182,16 +188,17 @@ async function checkIpWithProxy(proxyAgent) {
 /**
  * Assign proxies to wallets (1:1 mapping)
  * @param {Array<Object>} wallets - Array of wallet objects
+ * @param {Object} [settings=config] - Config to take the proxy settings and file path from
  * @returns {Promise<Array<Object>>} - Array of wallets with assigned proxies
  */
-async function assignProxiesToWallets(wallets) {
+async function assignProxiesToWallets(wallets, settings = config) {
   // If proxies are disabled in config, return wallets without proxies
-  if (!config.general.useProxy) {
+  if (!settings.general.useProxy) {
     logger.info("Proxy usage is disabled in config. Running without proxies.");
     return wallets.map(wallet => ({ ...wallet, proxy: null }));
   }
   
-  const proxies = readProxies();
+  const proxies = readProxies(settings);
   
   // If no proxies are found, return wallets without proxies
   if (proxies.length === 0) {
@@ -202,8 +209,10 @@ async function assignProxiesToWallets(wallets) {
   
   for (let i = 0; i < wallets.length; i++) {
     const wallet = wallets[i];
-    // Cycle through proxies if there are fewer proxies than wallets
-    const proxyString = proxies[i % proxies.length];
+    // Cycle through proxies if there are fewer proxies than wallets.
+    // The wallet's position in the full list keeps the mapping stable when only some wallets run.
+    const position = wallet.index ?? i;
+    const proxyString = proxies[position % proxies.length];
     const proxyAgent = createProxyAgent(proxyString);
     
     let proxyIp = null;
@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const moment = require('moment');
+const { formatWallet } = require('./logger');
+const { formatNumber } = require('./utils');
+const { redactValue } = require('./redact');
+
+const DELTA_DAYS = [1, 7, 30];
+const MISSED_WINDOW_DAYS = 30;
+
+/**
+ * Get the points a wallet had at a point in time
+ * @param {Array<Object>} history - Wallet records, oldest first
+ * @param {moment.Moment} at - The point in time
+ * @returns {number|null} Points from the latest record at or before `at`, or null
+ */
+function pointsAt(history, at) {
+  let points = null;
+  for (const record of history) {
+    if (moment(record.finishedAt || record.recordedAt).isAfter(at)) break;
+    if (typeof record.personalPoints === 'number') {
+      points = record.personalPoints;
+    }
+  }
+  return points;
+}
+
+/**
+ * Count the days in the window on which no daily scan was recorded as done.
+ * Today is left out since its scan may still be pending.
+ * @param {Array<Object>} history - Wallet records, oldest first
+ * @param {moment.Moment} now - Reference time
+ * @returns {number} Number of missed days
+ */
+function countMissedDays(history, now) {
+  if (history.length === 0) return 0;
+
+  const scannedDays = new Set(history
+    .filter(r => r.hasDoneDailyScan === true || r.scanOutcome === 'success')
+    .map(r => moment.utc(r.finishedAt || r.recordedAt).format('YYYY-MM-DD')));
+
+  const firstDay = moment.utc(history[0].startedAt || history[0].recordedAt).startOf('day');
+  const windowStart = moment.utc(now).startOf('day').subtract(MISSED_WINDOW_DAYS, 'days');
+  const day = moment.max(firstDay, windowStart);
+  const today = moment.utc(now).startOf('day');
+
+  let missed = 0;
+  while (day.isBefore(today)) {
+    if (!scannedDays.has(day.format('YYYY-MM-DD'))) missed++;
+    day.add(1, 'day');
+  }
+  return missed;
+}
+
+/**
+ * Build one report row per wallet from stored run history
+ * @param {Array<Object>} records - Wallet records from the state store, oldest first
+ * @param {Date} [now=new Date()] - Reference time for deltas
+ * @returns {Array<Object>} Report rows
+ */
+function buildReport(records, now = new Date()) {
+  const byAddress = new Map();
+  for (const record of records) {
+    if (!byAddress.has(record.address)) byAddress.set(record.address, []);
+    byAddress.get(record.address).push(record);
+  }
+
+  const reference = moment(now);
+  const rows = [];
+
+  for (const [address, history] of byAddress) {
+    const latest = history[history.length - 1];
+    const points = pointsAt(history, reference);
+    const streakRecord = [...history].reverse().find(r => typeof r.walletScanStreak === 'number');
+
+    const row = {
+      address,
+      label: latest.label || null,
+      points,
+      streak: streakRecord ? streakRecord.walletScanStreak : null,
+      missedDays: countMissedDays(history, reference),
+      lastOutcome: latest.scanOutcome,
+      lastRunAt: latest.finishedAt || latest.recordedAt
+    };
+
+    for (const days of DELTA_DAYS) {
+      const baseline = pointsAt(history, reference.clone().subtract(days, 'days'));
+      row[`delta${days}d`] = points !== null && baseline !== null ? points - baseline : null;
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Format a points delta with an explicit sign
+ * @param {number|null} delta - The delta
+ * @returns {string} Formatted delta
+ */
+const formatDelta = (delta) => {
+  if (delta === null) return '-';
+  return delta > 0 ? `+${formatNumber(delta)}` : formatNumber(delta);
+};
+
+/**
+ * Print rows of cells as an aligned table
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<string>>} body - Table cells, one array per row
+ */
+function printTable(header, body) {
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...body.map(cells => cells[i].length)));
+  const formatLine = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  console.log(chalk.cyan.bold(formatLine(header)));
+  for (const cells of body) {
+    console.log(formatLine(cells));
+  }
+}
+
+/**
+ * Print report rows as a table
+ * @param {Array<Object>} rows - Report rows
+ */
+function printReport(rows) {
+  if (rows.length === 0) {
+    console.log(chalk.yellow('No history recorded yet. Run the bot at least once.'));
+    return;
+  }
+
+  printTable(
+    ['Wallet', 'Points', '1d', '7d', '30d', 'Streak', 'Missed (30d)', 'Last outcome'],
+    rows.map(row => [
+      formatWallet(row.address, row.label),
+      row.points === null ? '-' : formatNumber(row.points),
+      formatDelta(row.delta1d),
+      formatDelta(row.delta7d),
+      formatDelta(row.delta30d),
+      row.streak === null ? '-' : String(row.streak),
+      String(row.missedDays),
+      row.lastOutcome || '-'
+    ])
+  );
+}
+
+/**
+ * Print the last known state of each wallet
+ * @param {Array<Object>} states - Latest wallet record per wallet, with optional `nextRunAt`
+ */
+function printStatus(states) {
+  const formatTime = (time) => moment(time).format('DD/MM/YYYY - HH:mm:ss');
+
+  if (states.length === 0) {
+    console.log(chalk.yellow('No wallets configured and no wallet state recorded yet.'));
+    return;
+  }
+
+  printTable(
+    ['Wallet', 'Points', 'Streak', 'Daily scan', 'Last outcome', 'Last run', 'Next run'],
+    states.map(state => [
+      formatWallet(state.address, state.label),
+      typeof state.personalPoints === 'number' ? formatNumber(state.personalPoints) : '-',
+      typeof state.walletScanStreak === 'number' ? String(state.walletScanStreak) : '-',
+      // A wallet that has not run yet has no stored record
+      !state.recordedAt ? '-' : state.hasDoneDailyScan ? 'Completed' : 'Not completed',
+      (state.chains
+        ? `${state.scanOutcome} (${state.chains.map(c => `${c.chainId}: ${c.scanOutcome}`).join(', ')})`
+        : state.scanOutcome || '-')
+        + (typeof state.verification?.latencyMs === 'number' ? ` (credited in ${(state.verification.latencyMs / 1000).toFixed(1)}s)` : '')
+        + (state.errorCategory ? ` [${state.errorCategory}]` : ''),
+      state.recordedAt ? formatTime(state.finishedAt || state.recordedAt) : '-',
+      state.nextRunAt ? formatTime(state.nextRunAt) : '-'
+    ])
+  );
+}
+
+/**
+ * Print the result of a standalone health scan
+ * @param {Object} result - Result from bot.healthCheck()
+ */
+function printHealthReport(result) {
+  const formatStat = (stat, value) => {
+    if (typeof value !== 'number') return '-';
+    return stat.startsWith('percent') ? `${value}%` : String(value);
+  };
+
+  console.log(chalk.cyan.bold(`Health report for ${result.address} (chain ${result.chainId})`));
+  console.log(`Scanned: ${moment(result.scannedAt).format('DD/MM/YYYY - HH:mm:ss')}`);
+  console.log('');
+
+  if (!result.stats) {
+    console.log(chalk.yellow('The scan returned no stats.'));
+  } else {
+    const labels = { percentImmune: 'Immune', percentVerified: 'Verified', activityScore: 'Activity score' };
+    const stats = [...new Set([...Object.keys(labels), ...Object.keys(result.stats)])];
+    printTable(
+      ['Stat', 'Value', 'Previous scan'],
+      stats.map(stat => [
+        labels[stat] || stat,
+        formatStat(stat, result.stats[stat]),
+        formatStat(stat, result.previousStats?.[stat])
+      ])
+    );
+  }
+  console.log('');
+
+  if (result.alerts.length === 0) {
+    console.log(chalk.green('No alerts.'));
+    return;
+  }
+
+  console.log(chalk.yellow.bold(`${result.alerts.length} alert(s), ${result.newAlerts.length} new since the last recorded scan`));
+  printTable(
+    ['Type', 'Alert', 'Severity', 'Contract / approval', 'New'],
+    result.alerts.map(alert => [
+      alert.type,
+      alert.title,
+      alert.severity || '-',
+      alert.target || '-',
+      result.newAlerts.includes(alert.key) ? 'yes' : ''
+    ])
+  );
+}
+
+/**
+ * Convert report rows to CSV
+ * @param {Array<Object>} rows - Report rows
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(rows) {
+  const columns = ['address', 'label', 'points', 'delta1d', 'delta7d', 'delta30d', 'streak', 'missedDays', 'lastOutcome', 'lastRunAt'];
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escape(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write report rows to a CSV or JSON file, with secrets masked
+ * @param {Array<Object>} rows - Report rows
+ * @param {string} filePath - Destination file
+ * @param {string} format - Either 'csv' or 'json'
+ */
+function exportReport(rows, filePath, format) {
+  fs.ensureDirSync(path.dirname(path.resolve(filePath)));
+  const safeRows = redactValue(rows);
+  const content = format === 'csv' ? toCsv(safeRows) : JSON.stringify(safeRows, null, 2) + '\n';
+  fs.writeFileSync(filePath, content);
+}
+
+module.exports = {
+  buildReport,
+  printReport,
+  printStatus,
+  printHealthReport,
+  toCsv,
+  exportReport
+};
@@ -0,0 +1,186 @@
+const { config: sharedConfig } = require('./config');
+
+// Network error codes worth retrying, with the reason shown in logs and error messages
+const RETRYABLE_CODES = {
+  ECONNRESET: 'Connection reset',
+  ECONNREFUSED: 'Connection refused',
+  ETIMEDOUT: 'Connection timeout',
+  ECONNABORTED: 'Request timeout',
+  ENOTFOUND: 'Host not found',
+  EAI_AGAIN: 'DNS lookup failed',
+  EPIPE: 'Connection closed',
+  EHOSTUNREACH: 'Host unreachable',
+  ENETUNREACH: 'Network unreachable',
+  ERR_NETWORK: 'Network error'
+};
+
+// Error codes that will fail the same way on every attempt
+const FATAL_CODES = {
+  ERR_CANCELED: 'Request cancelled',
+  DEADLINE_EXCEEDED: 'Time budget ran out',
+  SHUTDOWN: 'Shutting down',
+  ERR_INVALID_URL: 'Invalid URL',
+  ERR_BAD_OPTION: 'Invalid request options',
+  ERR_BAD_OPTION_VALUE: 'Invalid request options'
+};
+
+// 4xx statuses that can succeed later; every other 4xx is fatal
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+// 5xx statuses that will not change on retry
+const FATAL_SERVER_STATUSES = [501, 505];
+
+// Failures that say the Harpie API itself is down, as opposed to one wallet's proxy or request
+const UPSTREAM_CODES = ['ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Decide whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the request (a typed API error or an axios error)
+ * @returns {Object} Classification ({ retryable, reason, upstream }); `upstream` is true
+ *   when the failure points at the API being down and counts towards the circuit breaker
+ */
+function classifyError(error) {
+  const status = error.status ?? error.response?.status;
+
+  // A response the bot can't use won't get better on retry, and a proxy failure says nothing about the API
+  if (error.category === 'contract') return { retryable: false, reason: error.message, upstream: false };
+  if (error.category === 'proxy') return { retryable: status !== 407, reason: error.message, upstream: false };
+
+  if (status) {
+    if (status === 429) return { retryable: true, reason: 'Rate limited (429)', upstream: false };
+    if (status >= 500) {
+      return {
+        retryable: !FATAL_SERVER_STATUSES.includes(status),
+        reason: `Server error (${status})`,
+        upstream: true
+      };
+    }
+    if (status === 403) return { retryable: false, reason: 'Access forbidden (403)', upstream: false };
+    return {
+      retryable: RETRYABLE_STATUSES.includes(status),
+      reason: `Request failed (${status})`,
+      upstream: false
+    };
+  }
+
+  if (FATAL_CODES[error.code]) {
+    return { retryable: false, reason: FATAL_CODES[error.code], upstream: false };
+  }
+  if (RETRYABLE_CODES[error.code]) {
+    return { retryable: true, reason: RETRYABLE_CODES[error.code], upstream: UPSTREAM_CODES.includes(error.code) };
+  }
+
+  // Unknown failures are retried, as they were before errors were classified
+  return { retryable: true, reason: error.message || 'Request failed', upstream: false };
+}
+
+/**
+ * Read the Retry-After header of a rate limited or unavailable response
+ * @param {Error} error - Error thrown by the request
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function getRetryAfter(error, now = Date.now()) {
+  if (typeof error.retryAfterMs === 'number') return error.retryAfterMs;
+
+  const headers = error.response?.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (value === undefined || value === null || value === '') return null;
+
+  // Either a number of seconds or an HTTP date
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Get the delay before a retry: exponential backoff, capped, with random jitter
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} policy - Retry policy
+ * @param {number} policy.baseDelayMs - Delay after the first failure
+ * @param {number} policy.maxDelayMs - Longest delay
+ * @param {number} policy.jitter - Fraction of the delay that is randomized (0 to 1)
+ * @param {Function} [random=Math.random] - Random number source, for tests
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs, jitter }, random = Math.random) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+/**
+ * Create a circuit breaker for the Harpie API. After `failureThreshold` upstream
+ * failures in a row it opens, and every request (for every wallet) pauses until
+ * `cooldownMs` has passed. The next request then probes the API: a success closes
+ * the breaker, a failure opens it again.
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Bot config, defaults to the shared config
+ * @param {Function} [deps.now] - Returns the current time in milliseconds, for tests
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker({ config = sharedConfig, now = Date.now } = {}) {
+  let failures = 0;
+  let openUntil = null;
+  let state = 'closed';
+
+  /**
+   * Get how long requests must wait before they may be sent
+   * @returns {number} Milliseconds to pause, 0 when requests may go ahead
+   */
+  function getPause() {
+    if (state !== 'open') return 0;
+
+    const remaining = openUntil - now();
+    if (remaining > 0) return remaining;
+
+    // Cooldown is over, let the next request probe the API
+    state = 'half-open';
+    return 0;
+  }
+
+  /**
+   * Record a successful request
+   */
+  function recordSuccess() {
+    failures = 0;
+    openUntil = null;
+    state = 'closed';
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Error thrown by the request
+   * @returns {boolean} True if this failure opened the breaker
+   */
+  function recordFailure(error) {
+    const settings = config.retry.circuitBreaker;
+    if (!settings.enabled || !classifyError(error).upstream) return false;
+
+    failures++;
+    if (state === 'half-open' || (state === 'closed' && failures >= settings.failureThreshold)) {
+      state = 'open';
+      openUntil = now() + settings.cooldownMs;
+      return true;
+    }
+    return false;
+  }
+
+  return {
+    getPause,
+    recordSuccess,
+    recordFailure,
+    getState: () => ({ state, failures, openUntil: openUntil === null ? null : new Date(openUntil).toISOString() })
+  };
+}
+
+module.exports = {
+  RETRYABLE_CODES,
+  FATAL_CODES,
+  classifyError,
+  getRetryAfter,
+  getBackoffDelay,
+  createCircuitBreaker
+};
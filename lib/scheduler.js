@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { config } = require('./config');
+const { getRandomDelay } = require('./utils');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Outcomes that mean the wallet is done for the current daily window
+const DONE_OUTCOMES = ['success', 'skipped', 'disabled'];
+
+/**
+ * Get the start of the daily scan window that contains a point in time
+ * @param {Date} now - Reference time
+ * @param {Object} [settings=config] - Config to take the reset hour from
+ * @returns {Date} The most recent daily reset at or before `now`
+ */
+function getWindowStart(now, settings = config) {
+  const reset = new Date(now);
+  reset.setUTCHours(settings.schedule.resetHourUtc, 0, 0, 0);
+  if (reset > now) {
+    reset.setTime(reset.getTime() - DAY);
+  }
+  return reset;
+}
+
+/**
+ * Get the next daily reset after a point in time
+ * @param {Date} now - Reference time
+ * @param {Object} [settings=config] - Config to take the reset hour from
+ * @returns {Date} The next daily reset
+ */
+function getNextReset(now, settings = config) {
+  return new Date(getWindowStart(now, settings).getTime() + DAY);
+}
+
+/**
+ * Pick the first run time in the window after the next reset.
+ * The offset and jitter keep runs clear of the reset and spread wallets out.
+ * @param {Date} now - Reference time
+ * @param {Object} settings - Config to take the schedule from
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.jitter=true] - Add random jitter; without it the run is planned right at the offset
+ * @returns {Date} Planned run time
+ */
+function planAfterNextReset(now, settings, { jitter = true } = {}) {
+  const { offsetMinutes, jitterMinutes } = settings.schedule;
+  const delay = (offsetMinutes + (jitter ? getRandomDelay(0, jitterMinutes) : 0)) * MINUTE;
+  return new Date(getNextReset(now, settings).getTime() + delay);
+}
+
+/**
+ * Create a scheduler that tracks when each wallet is next due
+ * @param {string} filePath - Path of the JSON file the schedule is persisted in
+ * @param {Object} [store=null] - State store used to seed wallets the schedule has not seen yet
+ * @param {Object} [settings=config] - Config to take the schedule from
+ * @returns {Object} Scheduler instance
+ */
+function createScheduler(filePath, store = null, settings = config) {
+  let entries = null;
+
+  /**
+   * Load the persisted schedule
+   * @returns {Object} Schedule entries keyed by address
+   */
+  function load() {
+    if (entries) return entries;
+
+    entries = {};
+    if (fs.existsSync(filePath)) {
+      try {
+        entries = fs.readJsonSync(filePath).wallets || {};
+      } catch (error) {
+        logger.warning(`Could not read ${path.basename(filePath)}, rebuilding schedule: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Persist the schedule to disk
+   */
+  function save() {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tmpPath, { wallets: load() }, { spaces: 2 });
+    fs.moveSync(tmpPath, filePath, { overwrite: true });
+  }
+
+  /**
+   * Get the schedule entry for a wallet. A wallet the schedule has not seen
+   * yet is seeded from the state store, without saving anything: it is due
+   * right after the reset that follows its last success, or now if it never
+   * succeeded. Jitter is only added once an outcome is recorded.
+   * @param {string} address - The wallet address
+   * @returns {Object} Schedule entry ({ lastSuccessAt, lastAttemptAt, nextRunAt })
+   */
+  function getEntry(address) {
+    const all = load();
+    if (all[address]) return all[address];
+
+    const entry = { lastSuccessAt: null, lastAttemptAt: null, nextRunAt: null };
+    if (store) {
+      const history = store.getWalletHistory(address);
+      const lastSuccess = [...history].reverse()
+        .find(r => r.hasDoneDailyScan === true || DONE_OUTCOMES.includes(r.scanOutcome));
+      if (lastSuccess) {
+        entry.lastSuccessAt = lastSuccess.finishedAt || lastSuccess.recordedAt;
+        entry.nextRunAt = planAfterNextReset(new Date(entry.lastSuccessAt), settings, { jitter: false }).toISOString();
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Get when a wallet is next due
+   * @param {string} address - The wallet address
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Date} Next run time (may be in the past if the wallet is overdue)
+   */
+  function getNextRunAt(address, now = new Date()) {
+    const { nextRunAt } = getEntry(address);
+    return nextRunAt ? new Date(nextRunAt) : now;
+  }
+
+  /**
+   * Update a wallet's schedule from the outcome of processing it
+   * @param {Object} outcome - Wallet outcome from processWallet()
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Date} The wallet's next run time
+   */
+  function recordOutcome(outcome, now = new Date()) {
+    const entry = getEntry(outcome.address);
+    load()[outcome.address] = entry;
+    entry.lastAttemptAt = now.toISOString();
+
+    const done = outcome.hasDoneDailyScan === true || DONE_OUTCOMES.includes(outcome.scanOutcome);
+    if (done) {
+      entry.lastSuccessAt = now.toISOString();
+      entry.nextRunAt = planAfterNextReset(now, settings).toISOString();
+    } else {
+      // Try again later in the same window, but never later than the reset itself
+      const retryAt = new Date(now.getTime() + settings.schedule.retryDelayMinutes * MINUTE);
+      const nextReset = getNextReset(now, settings);
+      entry.nextRunAt = (retryAt < nextReset ? retryAt : nextReset).toISOString();
+    }
+
+    save();
+    return new Date(entry.nextRunAt);
+  }
+
+  /**
+   * Get the addresses that are due at a point in time
+   * @param {Array<string>} addresses - Addresses to consider
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Array<string>} Due addresses
+   */
+  function getDueAddresses(addresses, now = new Date()) {
+    return addresses.filter(address => getNextRunAt(address, now) <= now);
+  }
+
+  /**
+   * Get the planned run time of every wallet
+   * @param {Array<string>} addresses - Addresses to plan
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Array<Object>} Plan rows ({ address, nextRunAt, lastSuccessAt }), earliest first
+   */
+  function getPlan(addresses, now = new Date()) {
+    return addresses
+      .map(address => ({
+        address,
+        nextRunAt: getNextRunAt(address, now),
+        lastSuccessAt: getEntry(address).lastSuccessAt
+      }))
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  }
+
+  return {
+    filePath,
+    getNextRunAt,
+    recordOutcome,
+    getDueAddresses,
+    getPlan
+  };
+}
+
+module.exports = {
+  createScheduler,
+  getWindowStart,
+  getNextReset
+};
@@ -0,0 +1,122 @@
+const http = require('http');
+const { config: sharedConfig } = require('./config');
+const sharedLogger = require('./logger');
+const { metrics: sharedMetrics } = require('./metrics');
+
+/**
+ * Create the embedded HTTP server exposing /metrics and /healthz; other
+ * pages such as the dashboard are added with route()
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Bot config, defaults to the shared config
+ * @param {Object} [deps.logger] - Logger, defaults to the shared logger
+ * @param {Object} [deps.metrics] - Metrics registry, defaults to the shared one
+ * @returns {Object} Server with start, stop and route methods
+ */
+function createServer({ config = sharedConfig, logger = sharedLogger, metrics = sharedMetrics } = {}) {
+  // Extra routes, keyed by path; handlers get (req, res, url)
+  const routes = new Map();
+  let server = null;
+
+  /**
+   * Send a response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {string} contentType - Content type
+   * @param {string} body - Response body
+   */
+  const send = (res, status, contentType, body) => {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+  };
+
+  routes.set('/metrics', (req, res) => {
+    send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', metrics.render());
+  });
+
+  routes.set('/healthz', (req, res) => {
+    const health = metrics.getHealth(config.server.staleAfterMinutes);
+    send(res, health.healthy ? 200 : 503, 'application/json', JSON.stringify({
+      status: health.healthy ? 'ok' : 'stalled',
+      ...health
+    }));
+  });
+
+  /**
+   * Handle one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(res, 405, 'text/plain', 'Method not allowed\n');
+      return;
+    }
+
+    const handler = routes.get(url.pathname);
+    if (!handler) {
+      send(res, 404, 'text/plain', 'Not found\n');
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => handler(req, res, url))
+      .catch(error => {
+        logger.error(`HTTP handler for ${url.pathname} failed: ${error.message}`);
+        if (!res.headersSent) {
+          send(res, 500, 'text/plain', 'Internal server error\n');
+        }
+      });
+  }
+
+  /**
+   * Add a GET route
+   * @param {string} pathname - Request path
+   * @param {Function} handler - Handler receiving (req, res, url)
+   */
+  function route(pathname, handler) {
+    routes.set(pathname, handler);
+  }
+
+  /**
+   * Start listening on the configured host and port
+   * @returns {Promise<string>} Base URL of the server
+   */
+  function start() {
+    const { host, port } = config.server;
+
+    return new Promise((resolve, reject) => {
+      server = http.createServer(handle);
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        const address = server.address();
+        const url = `http://${host}:${address.port}`;
+        logger.info(`HTTP server listening on ${url}`);
+        resolve(url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    return new Promise(resolve => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  return {
+    route,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,70 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Create a store for the cookies of each wallet's HTTP session, so a session
+ * can pick up where the previous run left off
+ * @param {string|null} filePath - Path of the JSON file the cookies are persisted in, or null to keep them in memory only
+ * @returns {Object} Session store with load and save methods
+ */
+function createSessionStore(filePath) {
+  let entries = null;
+
+  /**
+   * Read the persisted sessions
+   * @returns {Object} Sessions keyed by lowercase address ({ cookies, savedAt })
+   */
+  function read() {
+    if (entries) return entries;
+
+    entries = {};
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        entries = fs.readJsonSync(filePath).wallets || {};
+      } catch (error) {
+        logger.warning(`Could not read ${path.basename(filePath)}, starting new sessions: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get the cookies saved for a wallet
+   * @param {string} address - The wallet address
+   * @returns {Array<Object>} Cookies, empty if none were saved
+   */
+  function load(address) {
+    return read()[address.toLowerCase()]?.cookies || [];
+  }
+
+  /**
+   * Save the cookies of a wallet's session
+   * @param {string} address - The wallet address
+   * @param {Array<Object>} cookies - Cookies from the session's jar
+   */
+  function save(address, cookies) {
+    const all = read();
+    all[address.toLowerCase()] = { cookies, savedAt: new Date().toISOString() };
+    if (!filePath) return;
+
+    try {
+      fs.ensureDirSync(path.dirname(filePath));
+      const tmpPath = `${filePath}.tmp`;
+      // Cookies are credentials, keep them private to the user running the bot
+      fs.writeJsonSync(tmpPath, { wallets: all }, { spaces: 2, mode: 0o600 });
+      fs.moveSync(tmpPath, filePath, { overwrite: true });
+    } catch (error) {
+      logger.error(`Failed to save sessions: ${error.message}`);
+    }
+  }
+
+  return {
+    load,
+    save
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
@@ -0,0 +1,70 @@
+const { config: sharedConfig } = require('./config');
+const sharedLogger = require('./logger');
+const { ShutdownError } = require('./deadline');
+
+/**
+ * Create the controller for a graceful shutdown. The first request stops new
+ * work right away through `stopSignal`; the work in flight gets
+ * timeouts.shutdownGraceMs to finish before `signal` cancels it. Another
+ * request cancels it at once.
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [deps.config] - Config object (defaults to the shared config)
+ * @param {Object} [deps.logger] - Logger (defaults to the shared logger)
+ * @returns {Object} Shutdown ({ stopSignal, signal, requested, request(reason), cancel() })
+ */
+function createShutdown({ config = sharedConfig, logger = sharedLogger } = {}) {
+  const stopping = new AbortController();
+  const cancelling = new AbortController();
+  let timer = null;
+
+  /**
+   * Cancel the work in flight now
+   */
+  function cancel() {
+    clearTimeout(timer);
+    if (!cancelling.signal.aborted) {
+      cancelling.abort(new ShutdownError('Shut down before the work finished'));
+    }
+  }
+
+  /**
+   * Ask the bot to shut down
+   * @param {string} [reason='shutdown'] - What asked for it, e.g. the signal name
+   */
+  function request(reason = 'shutdown') {
+    if (stopping.signal.aborted) {
+      logger.warning(`Received ${reason} again, cancelling the current work now`);
+      cancel();
+      return;
+    }
+
+    const graceMs = config.timeouts.shutdownGraceMs;
+    logger.warning(`Received ${reason}, shutting down. No new wallets are started, the current one gets ${(graceMs / 1000).toFixed(0)}s to finish`);
+    stopping.abort(new ShutdownError(`Shutdown requested (${reason})`));
+    timer = setTimeout(() => {
+      logger.warning('Shutdown grace period is over, cancelling the current work');
+      cancel();
+    }, graceMs);
+    // The grace period never keeps the process alive on its own
+    timer.unref();
+  }
+
+  return {
+    stopSignal: stopping.signal,
+    signal: cancelling.signal,
+    request,
+    cancel,
+
+    /**
+     * Whether a shutdown was requested
+     * @returns {boolean} True once request() was called
+     */
+    get requested() {
+      return stopping.signal.aborted;
+    }
+  };
+}
+
+module.exports = {
+  createShutdown
+};
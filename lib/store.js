@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+/**
+ * Create an append-only run state store backed by a JSON-lines file
+ *
+ * Every line is one record: `run` records mark the start and finish of a run,
+ * `wallet` records hold the outcome of one wallet within a run.
+ * @param {string|null} filePath - Path of the JSON-lines file, or null to keep records in memory only
+ * @returns {Object} Store instance
+ */
+function createStore(filePath) {
+  let records = null;
+
+  /**
+   * Read all records from disk, skipping lines that cannot be parsed
+   * (e.g. a line cut short by a crash)
+   * @returns {Array<Object>} All records in write order
+   */
+  function load() {
+    if (records) return records;
+
+    records = [];
+    if (!filePath || !fs.existsSync(filePath)) {
+      return records;
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warning(`Skipping unreadable line in ${path.basename(filePath)}`);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Append a record to the store
+   * @param {Object} record - The record to append
+   * @returns {Object} The appended record
+   */
+  function append(record) {
+    load();
+    if (filePath) {
+      fs.ensureDirSync(path.dirname(filePath));
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    }
+    records.push(record);
+    return record;
+  }
+
+  /**
+   * Record the start of a run
+   * @param {number} walletCount - Number of wallets in the run
+   * @returns {string} The new run ID
+   */
+  function startRun(walletCount) {
+    const runId = uuidv4();
+    append({ type: 'run', event: 'start', runId, walletCount, startedAt: new Date().toISOString() });
+    return runId;
+  }
+
+  /**
+   * Record the end of a run
+   * @param {string} runId - The run ID
+   * @param {Object} [summary={}] - Extra fields such as success counts
+   */
+  function finishRun(runId, summary = {}) {
+    append({ type: 'run', event: 'finish', runId, ...summary, finishedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Record that a run was interrupted. The run stays unfinished, so the next
+   * run resumes it with the wallets it did not get to.
+   * @param {string} runId - The run ID
+   * @param {Object} [summary={}] - Extra fields such as success counts
+   */
+  function interruptRun(runId, summary = {}) {
+    append({ type: 'run', event: 'interrupt', runId, ...summary, interruptedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Record the outcome of a wallet within a run
+   * @param {string} runId - The run ID
+   * @param {Object} row - Wallet outcome (address, points, streak, scan outcome, timestamps)
+   */
+  function recordWallet(runId, row) {
+    append({ type: 'wallet', runId, ...row, recordedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Find the most recent run that was started but never finished
+   * @returns {Object|null} The run start record with the addresses it already processed
+   */
+  function getIncompleteRun() {
+    const all = load();
+    const finished = new Set(all
+      .filter(r => r.type === 'run' && r.event === 'finish')
+      .map(r => r.runId));
+
+    for (let i = all.length - 1; i >= 0; i--) {
+      const record = all[i];
+      if (record.type === 'run' && record.event === 'start') {
+        if (finished.has(record.runId)) return null;
+
+        const processed = new Set(all
+          .filter(r => r.type === 'wallet' && r.runId === record.runId)
+          .map(r => r.address));
+        return { ...record, processed };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all stored rows for a wallet, oldest first
+   * @param {string} address - The wallet address
+   * @returns {Array<Object>} Wallet records
+   */
+  function getWalletHistory(address) {
+    const needle = address.toLowerCase();
+    return load().filter(r => r.type === 'wallet' && r.address.toLowerCase() === needle);
+  }
+
+  /**
+   * Get the latest stored row for every wallet
+   * @returns {Map<string, Object>} Latest record keyed by address
+   */
+  function getLatestWalletStates() {
+    const latest = new Map();
+    for (const record of load()) {
+      if (record.type === 'wallet') {
+        latest.set(record.address, record);
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Get all stored wallet rows, oldest first
+   * @returns {Array<Object>} Wallet records
+   */
+  function getWalletRecords() {
+    return load().filter(r => r.type === 'wallet');
+  }
+
+  /**
+   * Get the finish records of all runs, oldest first
+   * @returns {Array<Object>} Run finish records, including their summary fields
+   */
+  function getFinishedRuns() {
+    return load().filter(r => r.type === 'run' && r.event === 'finish' && !r.abandoned);
+  }
+
+  return {
+    filePath,
+    startRun,
+    finishRun,
+    interruptRun,
+    recordWallet,
+    getIncompleteRun,
+    getWalletHistory,
+    getLatestWalletStates,
+    getWalletRecords,
+    getFinishedRuns
+  };
+}
+
+module.exports = {
+  createStore
+};
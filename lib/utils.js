@@ -1,12 +1,30 @@
-const config = require('../config.json');
+const { config } = require('./config');
 const logger = require('./logger');
+const { classifyError, getRetryAfter, getBackoffDelay } = require('./retry');
+const { redact } = require('./redact');
 
 /**
  * Sleeps for the specified number of milliseconds
  * @param {number} ms - Number of milliseconds to sleep
- * @returns {Promise<void>} A promise that resolves after the specified time
+ * @param {AbortSignal} [signal] - Ends the sleep early when aborted
+ * @returns {Promise<void>} A promise that resolves after the specified time, or rejects with the abort reason
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 /**
  * Get a random delay within a range
@@ -19,51 +37,79 @@ const getRandomDelay = (min, max) => {
 };
 
 /**
- * Execute a function with retry logic
+ * Execute a function with retry logic. Only retryable errors are retried, with
+ * exponential backoff and jitter; a Retry-After header sets the minimum wait.
  * @param {Function} fn - The function to execute
  * @param {number} [maxRetries=5] - Maximum number of retry attempts
- * @param {number} [delayMs=5000] - Delay between retries in milliseconds
+ * @param {number} [delayMs=5000] - Delay after the first failure in milliseconds, doubled on every retry
  * @param {string} [address=null] - Wallet address for logging
+ * @param {Object} [log=logger] - Logger to report retries to
+ * @param {Object} [options={}] - Retry policy overrides, defaults to `config.retry`
+ * @param {Object} [options.breaker] - Circuit breaker shared by every request to the API
+ * @param {Function} [options.random] - Random number source for the jitter, for tests
+ * @param {AbortSignal} [options.signal] - Cancels the attempts and waits; the abort reason is thrown as is
  * @returns {Promise<any>} The result from the function
  */
-const withRetry = async (fn, maxRetries = config.general.maxRetries, delayMs = config.general.retryDelay, address = null) => {
+const withRetry = async (fn, maxRetries = config.general.maxRetries, delayMs = config.general.retryDelay, address = null, log = logger, options = {}) => {
+  const { breaker = null, random = Math.random, signal = null, ...overrides } = options;
+  const policy = { ...config.retry, ...overrides, baseDelayMs: delayMs };
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    // While the API keeps failing, every wallet waits here instead of adding to the load
+    let pause;
+    while (breaker && (pause = breaker.getPause()) > 0) {
+      log.warning(`Harpie API is failing, pausing requests for ${Math.ceil(pause / 1000)}s`, address, { step: 'retry', pauseMs: pause });
+      await sleep(pause, signal);
+    }
+    
     try {
-      return await fn();
+      signal?.throwIfAborted();
+      const result = await fn();
+      if (breaker) breaker.recordSuccess();
+      return result;
     } catch (error) {
+      // Cancelled work is neither retried nor held against the API
+      if (signal?.aborted) throw signal.reason;
+      
       lastError = error;
+      const { retryable, reason } = classifyError(error);
+      const fields = {
+        attempt,
+        errorCode: error.response ? `HTTP_${error.response.status}` : error.code,
+        retryable
+      };
+      
+      if (breaker && breaker.recordFailure(error)) {
+        const { cooldownMs, failureThreshold } = policy.circuitBreaker;
+        log.error(`Harpie API failed ${failureThreshold}+ times in a row, pausing all wallets for ${Math.ceil(cooldownMs / 1000)}s`, address, { ...fields, step: 'retry' });
+      }
+      
+      // Simplify the error message - avoid showing API endpoints
+      const message = sanitize(reason);
+      
+      if (!retryable) {
+        log.warning(`Attempt ${attempt}/${maxRetries + 1} failed: ${message}. Not retrying`, address, fields);
+        throw error;
+      }
       
       // Check if we've hit the maximum number of retries
       if (attempt > maxRetries) {
         throw error;
       }
       
-      // Special handling for network errors (likely proxy-related)
-      if (error.code === 'ECONNRESET') {
-        logger.warning(`Attempt ${attempt}/${maxRetries + 1} failed: Connection reset. Retrying in ${delayMs/1000}s...`, address);
-      } else if (error.code === 'ECONNREFUSED') {
-        logger.warning(`Attempt ${attempt}/${maxRetries + 1} failed: Connection refused. Retrying in ${delayMs/1000}s...`, address);
-      } else if (error.code === 'ETIMEDOUT') {
-        logger.warning(`Attempt ${attempt}/${maxRetries + 1} failed: Connection timeout. Retrying in ${delayMs/1000}s...`, address);
-      } else if (error.response && error.response.status === 429) {
-        logger.warning(`Attempt ${attempt}/${maxRetries + 1} failed: Rate limited (429). Retrying in ${delayMs/1000}s...`, address);
-        // Use longer delay for rate limits
-        await sleep(delayMs * 2);
-        continue;
-      } else {
-        // Simplify the error message - avoid showing API endpoints
-        const errorMessage = error.message.includes('http') 
-          ? 'Request failed' 
-          : error.message;
-        
-        logger.warning(`Attempt ${attempt}/${maxRetries + 1} failed: ${errorMessage}. Retrying in ${delayMs/1000}s...`, address);
+      let delay = getBackoffDelay(attempt, policy, random);
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null) {
+        if (retryAfter > policy.maxRetryAfterMs) {
+          log.warning(`Attempt ${attempt}/${maxRetries + 1} failed: ${message}. Retry-After of ${Math.ceil(retryAfter / 1000)}s is too long, giving up`, address, fields);
+          throw error;
+        }
+        delay = Math.max(delay, retryAfter);
       }
       
-      // Adaptive delay - increase delay slightly with each retry
-      const currentDelay = delayMs + (attempt * 500); 
-      await sleep(currentDelay);
+      log.warning(`Attempt ${attempt}/${maxRetries + 1} failed: ${message}. Retrying in ${delay / 1000}s...`, address, { ...fields, delayMs: delay });
+      await sleep(delay, signal);
     }
   }
   
@@ -105,8 +151,8 @@ const isValidNumber = (value) => {
 const sanitize = (str) => {
   if (!str) return '';
   
-  // Remove URLs, API endpoints
-  const sanitized = str
+  // Mask secrets first, then remove URLs, API endpoints
+  const sanitized = redact(str)
     .replace(/https?:\/\/[^\s]+/g, '[URL]')
     .replace(/\/api\/[^\s]+/g, '[API]');
     
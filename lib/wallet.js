@@ -2,17 +2,33 @@ const fs = require('fs-extra');
 const path = require('path');
 const { ethers } = require('ethers');
 const logger = require('./logger');
+const keystore = require('./keystore');
+const { config, resolvePath } = require('./config');
+const { addSecret } = require('./redact');
+const { readManifest } = require('./manifest');
 
 /**
- * Read private keys from the pk.txt file
+ * Get the file name of the private key file, for messages
+ * @param {Object} [settings=config] - Config to take the file path from
+ * @returns {string} File name, pk.txt by default
+ */
+const privateKeysName = (settings = config) => path.basename(resolvePath('privateKeys', settings));
+
+/**
+ * Read private keys from the private key file (pk.txt by default)
+ * @param {Object} [settings=config] - Config to take the file paths from
  * @returns {Array<string>} Array of private keys
  */
-function readPrivateKeys() {
+function readPrivateKeys(settings = config) {
   try {
-    const pkPath = path.join(__dirname, '../pk.txt');
+    const pkPath = resolvePath('privateKeys', settings);
+    const addressesPath = resolvePath('addresses', settings);
     
     if (!fs.existsSync(pkPath)) {
-      logger.error('pk.txt file not found. Please create it and add your private keys.');
+      // Not an error once keys have been moved into keystores or only addresses are tracked
+      if (keystore.listKeystoreFiles(settings).length === 0 && !fs.existsSync(addressesPath)) {
+        logger.error(`${path.basename(pkPath)} file not found. Please create it and add your private keys.`);
+      }
       return [];
     }
     
@@ -22,9 +38,10 @@ function readPrivateKeys() {
     // Filter out empty lines and comments
     const privateKeys = lines.filter(line => 
       line && !line.startsWith('#') && !line.startsWith('//'));
+    privateKeys.forEach(addSecret);
     
     if (privateKeys.length === 0) {
-      logger.warning('No private keys found in pk.txt');
+      logger.warning(`No private keys found in ${path.basename(pkPath)}`);
     } else {
       logger.info(`Loaded ${privateKeys.length} private keys`);
     }
@@ -37,36 +54,282 @@ function readPrivateKeys() {
 }
 
 /**
- * Create wallet instances from private keys
+ * Read watch-only addresses from the addresses.txt file
+ * @param {Object} [settings=config] - Config to take the file path from
+ * @returns {Array<string>} Array of checksummed addresses
+ */
+function readAddresses(settings = config) {
+  try {
+    const addressesPath = resolvePath('addresses', settings);
+    
+    if (!fs.existsSync(addressesPath)) {
+      return [];
+    }
+    
+    const content = fs.readFileSync(addressesPath, 'utf8');
+    const lines = content.split('\n').map(line => line.trim());
+    
+    // Filter out empty lines and comments
+    const entries = lines.filter(line => 
+      line && !line.startsWith('#') && !line.startsWith('//'));
+    
+    const addresses = [];
+    for (const entry of entries) {
+      try {
+        addresses.push(ethers.utils.getAddress(entry));
+      } catch (error) {
+        logger.warning(`Skipping invalid address in addresses.txt: ${entry}`);
+      }
+    }
+    
+    if (addresses.length > 0) {
+      logger.info(`Loaded ${addresses.length} watch-only addresses`);
+    }
+    
+    return addresses;
+  } catch (error) {
+    logger.error(`Error reading addresses: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Create watch-only wallet entries that carry no private key
+ * @param {Array<string>} addresses - Array of addresses
+ * @returns {Array<Object>} Array of wallet objects with address only
+ */
+function createWatchWallets(addresses) {
+  return addresses.map(address => ({
+    address,
+    privateKey: null,
+    instance: null,
+    source: 'address',
+    watchOnly: true
+  }));
+}
+
+/**
+ * Create wallet instances from private keys. An invalid key is skipped and
+ * reported by its position only: ethers errors quote the key they rejected.
  * @param {Array<string>} privateKeys - Array of private keys
+ * @param {Object} [settings=config] - Config to name the private key file from
  * @returns {Array<Object>} Array of wallet objects with address and instance
  */
-function createWallets(privateKeys) {
-  try {
-    return privateKeys.map(pk => {
+function createWallets(privateKeys, settings = config) {
+  const wallets = [];
+  
+  privateKeys.forEach((pk, i) => {
+    addSecret(pk);
+    try {
       const wallet = new ethers.Wallet(pk);
-      return {
+      wallets.push({
         address: wallet.address,
         privateKey: pk,
-        instance: wallet
-      };
+        instance: wallet,
+        source: 'pk',
+        keyIndex: i + 1
+      });
+    } catch (error) {
+      logger.error(`Invalid private key #${i + 1} in ${privateKeysName(settings)}, skipping it`, null, {
+        step: 'wallets',
+        errorCode: error.code || null
+      });
+    }
+  });
+  
+  return wallets;
+}
+
+/**
+ * Apply the wallet manifest: give wallets their label, groups, enabled flag,
+ * chains and scan overrides. Addresses that are only in the manifest are
+ * added as watch-only wallets.
+ * @param {Array<Object>} wallets - Wallets from the private key file, keystores and addresses.txt
+ * @param {Array<Object>} entries - Manifest entries from readManifest()
+ * @param {Object} [settings=config] - Config to name the private key file from
+ * @returns {Array<Object>} Wallets with their manifest settings
+ */
+function applyManifest(wallets, entries, settings = config) {
+  const result = wallets.map(w => ({ ...w }));
+  const described = new Map();
+  
+  for (const entry of entries) {
+    const name = entry.label ? `"${entry.label}"` : entry.address || `pk.txt#${entry.keyIndex}`;
+    let target;
+    
+    if (entry.keyIndex) {
+      target = result.find(w => w.source === 'pk' && w.keyIndex === entry.keyIndex);
+      if (!target) {
+        logger.warning(`Manifest entry ${name} refers to key #${entry.keyIndex}, which is not a valid key in ${privateKeysName(settings)}`);
+        continue;
+      }
+    } else {
+      target = result.find(w => w.address === entry.address);
+      if (!target) {
+        [target] = createWatchWallets([entry.address]);
+        result.push(target);
+      }
+    }
+    
+    // An address and a key reference can point at the same wallet
+    if (described.has(target.address)) {
+      logger.warning(`Manifest entries ${described.get(target.address)} and ${name} describe the same wallet, ignoring ${name}`);
+      continue;
+    }
+    described.set(target.address, name);
+    
+    Object.assign(target, {
+      label: entry.label,
+      groups: entry.groups,
+      enabled: entry.enabled,
+      ...(entry.chainIds ? { chainIds: entry.chainIds } : {}),
+      ...(entry.groupChainIds ? { groupChainIds: entry.groupChainIds } : {}),
+      ...(entry.scan ? { scan: entry.scan } : {})
     });
-  } catch (error) {
-    logger.error(`Error creating wallets: ${error.message}`);
-    return [];
   }
+  
+  return result;
 }
 
 /**
  * Get all wallet data including addresses and instances
- * @returns {Array<Object>} Array of wallet objects
+ * @param {Object} [settings=config] - Config to take the wallet file paths from
+ * @returns {Promise<Array<Object>>} Array of wallet objects
+ * @throws {Error} When the wallet manifest is invalid
+ */
+async function getWallets(settings = config) {
+  const privateKeys = readPrivateKeys(settings);
+  const wallets = createWallets(privateKeys, settings);
+  const keystoreWallets = await keystore.loadKeystoreWallets(settings);
+  const watchWallets = createWatchWallets(readAddresses(settings));
+  
+  // An address is only processed once, keyed wallets take precedence
+  const seen = new Set(wallets.map(w => w.address));
+  for (const extraWallet of [...keystoreWallets, ...watchWallets]) {
+    if (!seen.has(extraWallet.address)) {
+      seen.add(extraWallet.address);
+      wallets.push(extraWallet);
+    }
+  }
+  
+  const manifest = readManifest(resolvePath('manifest', settings));
+  const listed = manifest ? applyManifest(wallets, manifest, settings) : wallets;
+  if (manifest) {
+    logger.info(`Loaded wallet manifest with ${manifest.length} entries`);
+  }
+  
+  // Remember each wallet's position so filtering doesn't change its proxy
+  return listed.map((w, index) => ({ ...w, index }));
+}
+
+/**
+ * Keep only the selected wallets. Wallets disabled in the manifest are
+ * dropped unless they are included by name.
+ * @param {Array<Object>} wallets - Array of wallet objects or stored wallet records
+ * @param {Object} [filter={}] - Selection
+ * @param {Array<string>} [filter.include=[]] - Only keep these addresses or labels (all if empty)
+ * @param {Array<string>} [filter.exclude=[]] - Drop these addresses or labels
+ * @param {Array<string>} [filter.groups=[]] - Only keep wallets in one of these groups (all if empty)
+ * @returns {Array<Object>} Filtered wallets
+ */
+function filterWallets(wallets, { include = [], exclude = [], groups = [] } = {}) {
+  const included = include.map(a => a.toLowerCase());
+  const excluded = exclude.map(a => a.toLowerCase());
+  const wantedGroups = groups.map(g => g.toLowerCase());
+  
+  /**
+   * Check whether a wallet is named in a list by address or label
+   * @param {Object} w - Wallet
+   * @param {Array<string>} names - Lowercase addresses and labels
+   * @returns {boolean} True if it is named
+   */
+  const isNamed = (w, names) => names.includes(w.address.toLowerCase()) || (!!w.label && names.includes(w.label.toLowerCase()));
+  
+  return wallets.filter(w => {
+    if (included.length > 0 ? !isNamed(w, included) : w.enabled === false) return false;
+    if (wantedGroups.length > 0 && !(w.groups || []).some(g => wantedGroups.includes(g.toLowerCase()))) return false;
+    return !isNamed(w, excluded);
+  });
+}
+
+/**
+ * Warn about manifest entries that name a key by its position in the private
+ * key file, since those references stop working once the file is wiped
+ * @param {Array<string>} privateKeys - The imported private keys, in file order
+ * @param {Object} [settings=config] - Config to take the manifest path from
+ */
+function warnKeyReferences(privateKeys, settings = config) {
+  let entries;
+  try {
+    entries = readManifest(resolvePath('manifest', settings)) || [];
+  } catch (error) {
+    logger.warning(`Could not check the wallet manifest for key references: ${error.message}`);
+    return;
+  }
+  
+  for (const entry of entries.filter(e => e.keyIndex)) {
+    const name = entry.label ? `"${entry.label}"` : `pk.txt#${entry.keyIndex}`;
+    // Only called once every key was imported, so every listed key is valid
+    const key = privateKeys[entry.keyIndex - 1];
+    const address = key ? new ethers.Wallet(key).address : null;
+    logger.warning(address
+      ? `Manifest entry ${name} refers to key pk.txt#${entry.keyIndex}; replace it with "address: ${address}"`
+      : `Manifest entry ${name} refers to key pk.txt#${entry.keyIndex}, which no longer exists`);
+  }
+}
+
+/**
+ * Encrypt every key in the private key file (pk.txt by default) into a
+ * keystore, then wipe the file
+ * @param {Object} [settings=config] - Config to take the file paths and passphrase variable from
+ * @returns {Promise<boolean>} True if all keys were imported and the file was wiped
  */
-function getWallets() {
-  const privateKeys = readPrivateKeys();
-  return createWallets(privateKeys);
+async function importPrivateKeyFile(settings = config) {
+  try {
+    const privateKeys = readPrivateKeys(settings);
+    if (privateKeys.length === 0) {
+      logger.warning('Nothing to import');
+      return false;
+    }
+    
+    const passphrase = await keystore.getPassphrase(true, settings);
+    if (!passphrase) {
+      logger.error('Import aborted: a passphrase is required');
+      return false;
+    }
+    
+    let imported = 0;
+    for (let i = 0; i < privateKeys.length; i++) {
+      try {
+        await keystore.writeKeystore(privateKeys[i], passphrase, settings);
+        imported++;
+      } catch (error) {
+        logger.error(`Failed to import key #${i + 1}: ${error.message}`);
+      }
+    }
+    
+    // Only wipe the plaintext file when every key is safely stored
+    if (imported !== privateKeys.length) {
+      logger.error(`Imported ${imported}/${privateKeys.length} keys. ${privateKeysName(settings)} was left untouched.`);
+      return false;
+    }
+    
+    keystore.wipeFile(resolvePath('privateKeys', settings));
+    logger.success(`Imported ${imported} keys and wiped ${privateKeysName(settings)}`);
+    warnKeyReferences(privateKeys, settings);
+    return true;
+  } catch (error) {
+    logger.error(`Import failed: ${error.message}`);
+    return false;
+  }
 }
 
 module.exports = {
   getWallets,
-  readPrivateKeys
+  createWallets,
+  applyManifest,
+  readPrivateKeys,
+  readAddresses,
+  filterWallets,
+  importPrivateKeyFile
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseArgs, USAGE } = require('../lib/cli');
+const { runCli } = require('../index');
+
+const ADDRESS = '0x6666666666666666666666666666666666666666';
+
+test('defaults to the daemon command', () => {
+  assert.strictEqual(parseArgs([]).command, 'daemon');
+});
+
+test('collects repeatable and value flags', () => {
+  const { command, options } = parseArgs(['run-once', '--wallet', ADDRESS, '--wallet=0xabc', '--profile', 'staging']);
+
+  assert.strictEqual(command, 'run-once');
+  assert.deepStrictEqual(options.wallet, [ADDRESS, '0xabc']);
+  assert.strictEqual(options.profile, 'staging');
+});
+
+test('--json takes a file for report but is a switch for health', () => {
+  assert.strictEqual(parseArgs(['report', '--json', 'out.json']).options.json, 'out.json');
+
+  const health = parseArgs(['health', '--json', ADDRESS]);
+  assert.strictEqual(health.options.json, true);
+  assert.deepStrictEqual(health.positionals, [ADDRESS]);
+});
+
+test('rejects a value flag without a value', () => {
+  assert.throws(() => parseArgs(['report', '--csv']), /--csv requires a value/);
+});
+
+test('rejects unknown options instead of ignoring them', () => {
+  assert.throws(() => parseArgs(['run-once', '--walet', ADDRESS]), /Unknown option --walet/);
+  assert.throws(() => parseArgs(['run-once', '--walet=0x1']), /Unknown option --walet$/);
+  assert.throws(() => parseArgs(['status', '-w', ADDRESS]), /Unknown option -w/);
+  assert.throws(() => parseArgs(['report', '--help=yes']), /--help does not take a value/);
+  assert.throws(() => parseArgs(['health', '--json=out.json', ADDRESS]), /--json does not take a value/);
+});
+
+test('rejects arguments a command does not take', () => {
+  assert.throws(() => parseArgs(['run-once', ADDRESS]), new RegExp(`Unexpected argument "${ADDRESS}" for run-once`));
+  assert.throws(() => parseArgs(['scan', ADDRESS, 'extra']), /Unexpected argument "extra" for scan/);
+  assert.deepStrictEqual(parseArgs(['check', ADDRESS]).positionals, [ADDRESS]);
+  // Unknown commands are reported by the caller
+  assert.strictEqual(parseArgs(['frobnicate', 'x']).command, 'frobnicate');
+});
+
+test('the CLI prints the usage and exits with 2 on a bad command line', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const output = t.mock.method(console, 'log', () => {});
+
+  assert.strictEqual(await runCli(['run-once', '--walet', ADDRESS]), 2);
+  assert.deepStrictEqual(errors.mock.calls.map(call => call.arguments[0]), ['Unknown option --walet']);
+  assert.deepStrictEqual(output.mock.calls.map(call => call.arguments[0]), [USAGE]);
+});
+
+test('the CLI reports why a check failed and exits with 2', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-cli-'));
+  t.after(() => fs.removeSync(dir));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeJsonSync(configPath, {
+    general: { logToFile: false, logToConsole: false, maxRetries: 0 },
+    harpie: { baseUrl: 'http://127.0.0.1:9', requestTimeout: 1000 }
+  });
+  const errors = t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  assert.strictEqual(await runCli(['check', ADDRESS, '--config', configPath]), 2);
+  assert.deepStrictEqual(errors.mock.calls.map(call => call.arguments[0]), ['Check failed: Connection refused']);
+});
@@ -0,0 +1,199 @@
+const { createTestLogger, testConfig } = require('./helpers/setup');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { createMockHarpie } = require('./helpers/mockHarpie');
+const { buildConfig } = require('../lib/config');
+const { createClient } = require('../api/client');
+const { NetworkError, ProxyError, ServerError, ApiContractError, RateLimitError } = require('../api/errors');
+
+const ADDRESS = '0x00000000000000000000000000000000000000a1';
+
+let mock;
+let baseUrl;
+let client;
+let logger;
+
+before(async () => {
+  mock = createMockHarpie();
+  baseUrl = await mock.start();
+  logger = createTestLogger();
+  client = createClient({ config: buildConfig(testConfig(baseUrl)), logger });
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+  mock.requests.length = 0;
+  logger.entries.length = 0;
+});
+
+test('post sends JSON and returns the response data', async () => {
+  const data = await client.post('/api/hooks/get-tracking-id/', { address: ADDRESS, chainId: 1 });
+
+  assert.deepStrictEqual(data, { trackingId: `tracking-${ADDRESS}` });
+  assert.strictEqual(mock.requests[0].body.chainId, 1);
+  assert.strictEqual(mock.requests[0].headers['cache-control'], 'no-cache');
+});
+
+test('get returns the response data', async () => {
+  mock.script('dashboard', { body: { hello: 'world' } });
+  const data = await client.get('/api/hooks/get-basic-dashboard/');
+
+  assert.deepStrictEqual(data, { hello: 'world' });
+});
+
+test('server errors are retried', async () => {
+  mock.script('trackingId', { status: 500, body: {} }, { status: 502, body: {} });
+  const data = await client.post('/api/hooks/get-tracking-id/', { address: ADDRESS });
+
+  assert.strictEqual(data.trackingId, `tracking-${ADDRESS}`);
+  assert.strictEqual(mock.count('trackingId'), 3);
+  assert.ok(logger.has('error', 'Server error (500)'));
+});
+
+test('rate limited requests are retried', async () => {
+  mock.script('leaderboard', { status: 429, body: {} });
+  const data = await client.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS }, {}, { address: ADDRESS });
+
+  assert.strictEqual(data.personalPoints, 1000);
+  assert.strictEqual(mock.count('leaderboard'), 2);
+  assert.ok(logger.has('warning', 'Rate limited (429)'));
+});
+
+test('dropped connections are retried', async () => {
+  mock.script('leaderboard', { reset: true });
+  const data = await client.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS });
+
+  assert.strictEqual(data.personalPoints, 1000);
+  assert.strictEqual(mock.count('leaderboard'), 2);
+});
+
+test('gives up after maxRetries and rethrows the last error', async () => {
+  mock.script('dashboard', { status: 500 }, { status: 500 }, { status: 503 });
+
+  await assert.rejects(
+    client.post('/api/hooks/get-basic-dashboard/', { dashboardId: ADDRESS }),
+    (error) => error instanceof ServerError && error.status === 503 && error.attempt === 3
+  );
+  assert.strictEqual(mock.count('dashboard'), 3);
+});
+
+test('client errors are not retried', async () => {
+  mock.script('dashboard', { status: 404, body: {} });
+
+  await assert.rejects(
+    client.post('/api/hooks/get-basic-dashboard/', { dashboardId: ADDRESS }),
+    (error) => error instanceof ApiContractError && error.status === 404
+  );
+  assert.strictEqual(mock.count('dashboard'), 1);
+});
+
+test('rate limited requests wait for Retry-After', async () => {
+  mock.script('leaderboard', { status: 429, headers: { 'retry-after': '1' }, body: {} });
+  const started = Date.now();
+  await client.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS });
+
+  assert.ok(Date.now() - started >= 1000);
+  assert.strictEqual(mock.count('leaderboard'), 2);
+});
+
+test('the retry policy comes from the client\'s own config', async () => {
+  const strict = createClient({
+    config: buildConfig(testConfig(baseUrl, { retry: { maxRetryAfterMs: 500 } })),
+    logger
+  });
+  mock.script('leaderboard', { status: 429, headers: { 'retry-after': '1' }, body: {} });
+
+  await assert.rejects(strict.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS }), RateLimitError);
+  assert.strictEqual(mock.count('leaderboard'), 1);
+  assert.ok(logger.has('warning', 'Retry-After of 1s is too long'));
+});
+
+test('an API that stops answering behind a proxy counts against the API, not the proxy', async () => {
+  const proxy = http.createServer();
+  proxy.on('connect', (req, socket) => {
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port), host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.pipe(socket).pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+  });
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const closedPort = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+
+  const settings = testConfig(baseUrl, {
+    general: { useProxy: true, maxRetries: 0 },
+    harpie: { baseUrl, requestTimeout: 1000 },
+    retry: { circuitBreaker: { failureThreshold: 1, cooldownMs: 60000 } }
+  });
+  const url = '/api/hooks/get-basic-dashboard/';
+
+  try {
+    const viaDeadProxy = createClient({ config: buildConfig(settings), logger });
+    const deadProxy = { address: ADDRESS, proxy: new HttpsProxyAgent(`http://127.0.0.1:${closedPort}`) };
+    await assert.rejects(viaDeadProxy.get(url, {}, deadProxy), ProxyError);
+    assert.strictEqual(viaDeadProxy.breaker.getState().state, 'closed');
+
+    const viaProxy = createClient({ config: buildConfig(settings), logger });
+    const liveProxy = { address: ADDRESS, proxy: new HttpsProxyAgent(`http://127.0.0.1:${proxy.address().port}`) };
+    mock.script('dashboard', { hang: true });
+    await assert.rejects(
+      viaProxy.get(url, {}, liveProxy),
+      (error) => error instanceof NetworkError && !(error instanceof ProxyError) && error.code === 'ECONNABORTED'
+    );
+    assert.strictEqual(viaProxy.breaker.getState().state, 'open');
+  } finally {
+    proxy.closeAllConnections();
+    await new Promise(resolve => proxy.close(resolve));
+  }
+});
+
+test('failures are thrown as typed errors naming the endpoint, attempt and wallet', async () => {
+  mock.script('leaderboard', { status: 429 }, { status: 429 }, { status: 429 });
+
+  await assert.rejects(
+    client.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS }, {}, { address: ADDRESS }),
+    (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.strictEqual(error.category, 'rate-limit');
+      assert.strictEqual(error.endpoint, 'get-leaderboard-info');
+      assert.strictEqual(error.attempt, 3);
+      assert.strictEqual(error.wallet, ADDRESS);
+      return true;
+    }
+  );
+});
+
+test('a session carries cookies from one request to the next', async () => {
+  const session = client.createSession({ address: ADDRESS });
+  try {
+    await session.post('/api/hooks/get-tracking-id/', { address: ADDRESS });
+    await session.post('/api/hooks/get-basic-dashboard/', { dashboardId: ADDRESS });
+    await session.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS });
+  } finally {
+    session.close();
+  }
+
+  assert.strictEqual(mock.requests[0].headers.cookie, undefined);
+  assert.strictEqual(mock.requests[1].headers.cookie, `harpie_session=${ADDRESS.toLowerCase()}`);
+  assert.strictEqual(mock.requests[2].headers.cookie, `harpie_session=${ADDRESS.toLowerCase()}`);
+  assert.strictEqual(session.jar.size, 1);
+});
+
+test('a session starts from saved cookies', async () => {
+  const session = client.createSession({ address: ADDRESS }, {
+    cookies: [{ name: 'sid', value: 'saved', domain: '127.0.0.1', hostOnly: true, path: '/', expires: null, secure: false }]
+  });
+  await session.post('/api/hooks/get-leaderboard-info/', { address: ADDRESS });
+  session.close();
+
+  assert.strictEqual(mock.requests[0].headers.cookie, 'sid=saved');
+});
@@ -0,0 +1,139 @@
+require('./helpers/setup');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { config, loadConfig, buildConfig, validateConfig, resolvePath, getProfile, getConfigWarnings, getEnvName } = require('../lib/config');
+
+const dirs = [];
+
+after(() => {
+  dirs.forEach(dir => fs.removeSync(dir));
+  loadConfig();
+});
+
+/**
+ * Write a config file to a temporary directory
+ * @param {Object} content - Config file contents
+ * @returns {string} Path of the file
+ */
+function writeConfig(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-config-'));
+  dirs.push(dir);
+  const filePath = path.join(dir, 'config.json');
+  fs.writeJsonSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Load a config file and return the errors it was rejected with
+ * @param {Object} content - Config file contents
+ * @param {Object} [options={}] - Extra loadConfig() options
+ * @returns {Array<string>} Errors
+ */
+function loadErrors(content, options = {}) {
+  try {
+    loadConfig({ filePath: writeConfig(content), env: {}, ...options });
+  } catch (error) {
+    return error.errors;
+  }
+  assert.fail('expected the config to be rejected');
+}
+
+test('lists every invalid setting with its path', () => {
+  assert.deepStrictEqual(validateConfig(buildConfig({})), []);
+
+  const errors = loadErrors({
+    general: { useProxy: 'yes', maxRetries: 1.5, delayBetweenWalets: 10 },
+    harpie: { baseUrl: 'harpie.io' },
+    logging: { level: 'verbose' },
+    schedule: { resetHourUtc: 24 }
+  });
+
+  assert.deepStrictEqual(errors, [
+    'general.delayBetweenWalets: unknown setting (did you mean "general.delayBetweenWallets"?)',
+    'general.useProxy: expected a boolean, got string "yes"',
+    'general.maxRetries: expected a whole number, got 1.5',
+    'harpie.baseUrl: "harpie.io" does not match /^https?:\\/\\//',
+    'schedule.resetHourUtc: must be at most 23, got 24',
+    'logging.level: must be one of trace, debug, info, warning, error, got "verbose"'
+  ]);
+});
+
+test('HARPIE_* environment variables override the file', () => {
+  assert.strictEqual(getEnvName(['general', 'useProxy']), 'HARPIE_GENERAL_USE_PROXY');
+
+  loadConfig({
+    filePath: writeConfig({ general: { useProxy: true, maxRetries: 5 } }),
+    env: {
+      HARPIE_GENERAL_USE_PROXY: 'off',
+      HARPIE_GENERAL_MAX_RETRIES: '2',
+      HARPIE_HARPIE_CHAIN_IDS: '[1, 137]',
+      HARPIE_LOGGING_LEVEL: 'debug'
+    }
+  });
+
+  assert.strictEqual(config.general.useProxy, false);
+  assert.strictEqual(config.general.maxRetries, 2);
+  assert.deepStrictEqual(config.harpie.chainIds, [1, 137]);
+  assert.strictEqual(config.logging.level, 'debug');
+
+  assert.deepStrictEqual(loadErrors({}, { env: { HARPIE_GENERAL_USE_PROXY: 'maybe', HARPIE_HARPIE_CHAIN_IDS: '1,137' } }), [
+    'HARPIE_GENERAL_USE_PROXY: expected true or false, got "maybe"',
+    'HARPIE_HARPIE_CHAIN_IDS: expected JSON, got "1,137"'
+  ]);
+});
+
+test('a profile overrides the file and the environment overrides the profile', () => {
+  const filePath = writeConfig({
+    general: { delayBetweenWallets: 30000 },
+    profiles: {
+      fast: { general: { delayBetweenWallets: 0, maxRetries: 1 } },
+      broken: { general: { maxRetries: -1 } }
+    }
+  });
+
+  assert.throws(() => loadConfig({ filePath, env: {}, profile: 'fats' }), /Unknown profile "fats" \(did you mean "fast"\?\)/);
+  assert.throws(() => loadConfig({ filePath, env: {}, profile: 'fast' }), (error) => {
+    assert.deepStrictEqual(error.errors, ['profiles.broken.general.maxRetries: must be at least 0, got -1']);
+    return true;
+  });
+
+  const valid = writeConfig({ profiles: { fast: { general: { delayBetweenWallets: 0, maxRetries: 1 } } } });
+  loadConfig({ filePath: valid, env: { HARPIE_PROFILE: 'fast', HARPIE_GENERAL_MAX_RETRIES: '3' } });
+
+  assert.strictEqual(getProfile(), 'fast');
+  assert.strictEqual(config.general.delayBetweenWallets, 0);
+  assert.strictEqual(config.general.maxRetries, 3);
+});
+
+test('relative paths resolve from the config file\'s directory, or the profile\'s next to it', () => {
+  const filePath = writeConfig({ paths: { state: 'state' }, profiles: { staging: {} } });
+  const dir = path.dirname(filePath);
+
+  loadConfig({ filePath, env: {} });
+  assert.strictEqual(resolvePath('state'), path.join(dir, 'state'));
+  assert.strictEqual(resolvePath('privateKeys'), path.join(dir, 'pk.txt'));
+
+  loadConfig({ filePath, env: {}, profile: 'staging' });
+  assert.strictEqual(resolvePath('state'), path.join(dir, 'profiles', 'staging', 'state'));
+
+  assert.strictEqual(resolvePath('state', buildConfig({ paths: { state: '/var/lib/harpie' } })), path.resolve('/var/lib/harpie'));
+});
+
+test('an old config.json with settings that are no longer used still loads', () => {
+  loadConfig({
+    filePath: writeConfig({
+      general: { useProxy: true, delayBetweenWallets: 30000, afterCompletionDelay: 90000000, delayHours: 25 },
+      profiles: { old: { general: { delayHours: 24 } } }
+    }),
+    env: {}
+  });
+
+  assert.strictEqual(config.general.afterCompletionDelay, undefined);
+  assert.strictEqual(config.general.delayHours, undefined);
+  assert.deepStrictEqual(getConfigWarnings().map(w => w.split(' ')[0]), ['general.afterCompletionDelay', 'general.delayHours']);
+  assert.match(getConfigWarnings()[0], /no longer used and is ignored/);
+  assert.doesNotThrow(() => buildConfig({ general: { delayHours: 25 } }));
+});
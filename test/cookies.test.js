@@ -0,0 +1,63 @@
+require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createCookieJar } = require('../lib/cookies');
+const { createSessionStore } = require('../lib/sessions');
+
+const ADDRESS = '0x00000000000000000000000000000000000000A1';
+
+test('sends cookies back to the host and path that set them', () => {
+  const jar = createCookieJar();
+  jar.setCookies(['sid=1; Path=/', 'scoped=2; Path=/api/hooks', 'shared=3; Domain=.harpie.io'], 'https://www.harpie.io/api/hooks/x');
+
+  assert.strictEqual(jar.getCookieHeader('https://www.harpie.io/api/hooks/get-tracking-id/'), 'scoped=2; sid=1; shared=3');
+  assert.strictEqual(jar.getCookieHeader('https://www.harpie.io/api/addresses/0x1/queue-health/'), 'sid=1; shared=3');
+  assert.strictEqual(jar.getCookieHeader('https://api.harpie.io/'), 'shared=3');
+  assert.strictEqual(jar.getCookieHeader('https://harpie.io.example.com/'), '');
+});
+
+test('rejects cookies for a domain the response host does not belong to', () => {
+  const jar = createCookieJar();
+  jar.setCookies([
+    'other=1; Domain=example.com',
+    'child=2; Domain=api.harpie.io',
+    'suffix=3; Domain=arpie.io',
+    'ok=4; Domain=harpie.io'
+  ], 'https://harpie.io/');
+  jar.setCookies('ip=5; Domain=0.0.1', 'http://127.0.0.1/');
+
+  assert.deepStrictEqual(jar.toJSON().map(c => c.name), ['ok']);
+  assert.strictEqual(jar.getCookieHeader('https://www.example.com/'), '');
+});
+
+test('replaces, expires and deletes cookies', () => {
+  let now = 0;
+  const jar = createCookieJar([], () => now);
+  jar.setCookies(['a=1', 'b=1; Max-Age=10', 'secure=1; Secure'], 'https://harpie.io/');
+  jar.setCookies('a=2', 'https://harpie.io/');
+
+  assert.strictEqual(jar.getCookieHeader('https://harpie.io/'), 'a=2; b=1; secure=1');
+  assert.strictEqual(jar.getCookieHeader('http://harpie.io/'), 'a=2; b=1');
+
+  now = 11000;
+  assert.strictEqual(jar.getCookieHeader('http://harpie.io/'), 'a=2');
+
+  jar.setCookies('a=; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'https://harpie.io/');
+  assert.strictEqual(jar.size, 1);
+});
+
+test('persists session cookies between runs', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-sessions-')), 'sessions.json');
+  const jar = createCookieJar();
+  jar.setCookies('sid=abc; Path=/', 'https://harpie.io/');
+
+  createSessionStore(file).save(ADDRESS, jar.toJSON());
+  const restored = createCookieJar(createSessionStore(file).load(ADDRESS.toLowerCase()));
+
+  assert.strictEqual(restored.getCookieHeader('https://harpie.io/'), 'sid=abc');
+  assert.deepStrictEqual(createSessionStore(null).load(ADDRESS), []);
+  fs.removeSync(path.dirname(file));
+});
@@ -0,0 +1,32 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { config, buildConfig } = require('../lib/config');
+const { createShutdown } = require('../lib/shutdown');
+const { main } = require('../index');
+
+test('the daemon keeps scheduling after an error in one of its rounds', async () => {
+  const saved = config.schedule.maxSleepMinutes;
+  // Sleep for a few milliseconds between rounds instead of minutes
+  config.schedule.maxSleepMinutes = 0.0005;
+  const shutdown = createShutdown({ config: buildConfig(), logger: createTestLogger() });
+  let calls = 0;
+
+  const bot = {
+    listWallets: async () => {
+      calls++;
+      if (calls === 1) throw new Error('Invalid wallet manifest (wallets.json)');
+      shutdown.request('test');
+      return [];
+    },
+    runAll: async () => null
+  };
+  const scheduler = { getDueAddresses: () => [], getPlan: () => [] };
+
+  try {
+    assert.strictEqual(await main(bot, scheduler, {}, shutdown), false);
+    assert.strictEqual(calls, 2);
+  } finally {
+    config.schedule.maxSleepMinutes = saved;
+  }
+});
@@ -0,0 +1,87 @@
+const { createTestLogger, testConfig } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createMockHarpie } = require('./helpers/mockHarpie');
+const { buildConfig } = require('../lib/config');
+const { createBot } = require('../lib/bot');
+const { createStore } = require('../lib/store');
+const { createMetrics } = require('../lib/metrics');
+const { createServer } = require('../lib/server');
+const { createDashboard, renderPointsChart, escapeHtml } = require('../lib/dashboard');
+
+const ADDRESS = '0x3333333333333333333333333333333333333333';
+
+let mock;
+let baseUrl;
+
+before(async () => {
+  mock = createMockHarpie({ points: 1000, scanReward: 100 });
+  baseUrl = await mock.start();
+});
+
+after(() => mock.stop());
+
+test('escapeHtml escapes markup', () => {
+  assert.strictEqual(escapeHtml('<b>"x" & \'y\'</b>'), '&lt;b&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/b&gt;');
+});
+
+test('renderPointsChart draws a polyline through every sample', () => {
+  const svg = renderPointsChart([
+    { time: '2026-01-01T00:00:00Z', points: 1000 },
+    { time: '2026-01-02T00:00:00Z', points: 1100 },
+    { time: '2026-01-03T00:00:00Z', points: 1300 }
+  ]);
+
+  assert.match(svg, /^<svg/);
+  assert.strictEqual(svg.match(/<polyline[^>]*points="([^"]+)"/)[1].split(' ').length, 3);
+  assert.match(svg, />1,300</);
+  assert.match(renderPointsChart([{ time: '2026-01-01T00:00:00Z', points: 1 }]), /Not enough history/);
+});
+
+test('serves the wallet list and a wallet detail page', async () => {
+  const store = createStore(null);
+  const bot = createBot({
+    config: testConfig(baseUrl),
+    wallets: [ADDRESS],
+    logger: createTestLogger(),
+    store,
+    metrics: createMetrics()
+  });
+
+  await bot.runAll();
+  mock.wallet(ADDRESS).hasDoneDailyScan = false;
+  await bot.runAll();
+
+  const server = createServer({
+    config: buildConfig({ server: { port: 0 } }),
+    logger: createTestLogger(),
+    metrics: createMetrics()
+  });
+  createDashboard({ bot, store }).register(server);
+  const url = await server.start();
+
+  try {
+    const index = await axios.get(`${url}/`);
+    assert.match(index.headers['content-type'], /^text\/html/);
+    assert.ok(index.data.includes(`/wallet?address=${ADDRESS}`));
+    assert.ok(index.data.includes('1,200'));
+    assert.ok(index.data.includes('outcome-success'));
+
+    const detail = await axios.get(`${url}/wallet?address=${ADDRESS}`);
+    assert.match(detail.data, /<svg[^>]*aria-label="Points over time"/);
+    assert.match(detail.data, /80%/);
+    assert.match(detail.data, /No alerts in the latest scan/);
+    const recentRuns = detail.data.split('<h2>Recent runs</h2>')[1];
+    assert.strictEqual((recentRuns.match(/<tr>\n  <td>\d/g) || []).length, 2);
+
+    const unknown = await axios.get(`${url}/wallet?address=${'0x' + '4'.repeat(40)}`, { validateStatus: () => true });
+    assert.strictEqual(unknown.status, 404);
+
+    const invalid = await axios.get(`${url}/wallet?address=<script>`, { validateStatus: () => true });
+    assert.strictEqual(invalid.status, 404);
+    assert.ok(!invalid.data.includes('<script>'));
+  } finally {
+    await server.stop();
+  }
+});
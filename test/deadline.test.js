@@ -0,0 +1,59 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DeadlineError, isCancellation, createDeadline } = require('../lib/deadline');
+const { sleep, withRetry } = require('../lib/utils');
+const { classifyError } = require('../lib/retry');
+
+test('aborts the signal with a DeadlineError once the budget runs out', async () => {
+  const deadline = createDeadline(20, { label: 'Wallet' });
+
+  await assert.rejects(sleep(1000, deadline.signal), (error) => {
+    assert.ok(error instanceof DeadlineError);
+    assert.strictEqual(error.category, 'timeout');
+    assert.strictEqual(error.timeoutMs, 20);
+    assert.match(error.message, /^Wallet ran out of time/);
+    return true;
+  });
+  assert.ok(isCancellation(deadline.signal.reason));
+  assert.strictEqual(classifyError(deadline.signal.reason).retryable, false);
+});
+
+test('follows the parent budget, and a budget of 0 never runs out on its own', async () => {
+  const run = createDeadline(0, { label: 'Run' });
+  const wallet = createDeadline(0, { parent: run.signal, label: 'Wallet' });
+
+  await sleep(30, wallet.signal);
+  assert.strictEqual(wallet.signal.aborted, false);
+
+  const reason = new DeadlineError('Run ran out of time after 1s');
+  run.abort(reason);
+  assert.strictEqual(wallet.signal.reason, reason);
+  assert.strictEqual(createDeadline(1000, { parent: run.signal }).signal.reason, reason);
+});
+
+test('clear() stops the timer and detaches from the parent', async () => {
+  const parent = createDeadline(0);
+  const deadline = createDeadline(20, { parent: parent.signal });
+  deadline.clear();
+
+  parent.abort(new Error('stop'));
+  await sleep(40);
+  assert.strictEqual(deadline.signal.aborted, false);
+});
+
+test('withRetry stops retrying once the signal aborts', async () => {
+  const deadline = createDeadline(0);
+  let calls = 0;
+  const reason = new DeadlineError('Wallet ran out of time after 0.1s');
+  const logger = createTestLogger();
+
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    deadline.abort(reason);
+    throw new Error('socket hang up');
+  }, 3, 10, null, logger, { signal: deadline.signal }), (error) => error === reason);
+
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(logger.entries.length, 0);
+});
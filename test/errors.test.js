@@ -0,0 +1,97 @@
+require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  NetworkError,
+  ProxyError,
+  RateLimitError,
+  AuthForbiddenError,
+  ServerError,
+  ApiContractError,
+  getEndpointName,
+  toApiError
+} = require('../api/errors');
+const { classifyError } = require('../lib/retry');
+
+const ADDRESS = '0x00000000000000000000000000000000000000a1';
+const CONTEXT = { url: `/api/addresses/${ADDRESS}/queue-health/`, attempt: 2, wallet: ADDRESS };
+
+/**
+ * Build an error shaped like the ones axios throws
+ * @param {Object} fields - Fields such as code or response
+ * @returns {Error} The error
+ */
+const axiosError = (fields) => Object.assign(new Error('Request failed'), { isAxiosError: true }, fields);
+
+test('names endpoints after the last path segment', () => {
+  assert.strictEqual(getEndpointName('/api/hooks/get-leaderboard-info/'), 'get-leaderboard-info');
+  assert.strictEqual(getEndpointName(`/api/addresses/${ADDRESS}/queue-health/?x=1`), 'queue-health');
+});
+
+test('maps HTTP statuses to error classes', () => {
+  const cases = [
+    [429, RateLimitError, 'rate-limit'],
+    [403, AuthForbiddenError, 'forbidden'],
+    [401, AuthForbiddenError, 'forbidden'],
+    [502, ServerError, 'server'],
+    [404, ApiContractError, 'contract'],
+    [407, ProxyError, 'proxy']
+  ];
+
+  for (const [status, ErrorClass, category] of cases) {
+    const error = toApiError(axiosError({ response: { status, headers: {} } }), CONTEXT);
+    assert.ok(error instanceof ErrorClass, `HTTP ${status}`);
+    assert.strictEqual(error.category, category);
+    assert.strictEqual(error.status, status);
+  }
+});
+
+test('keeps the endpoint, attempt, wallet and cause', () => {
+  const cause = axiosError({ response: { status: 500, headers: {} } });
+  const error = toApiError(cause, CONTEXT);
+
+  assert.strictEqual(error.name, 'ServerError');
+  assert.strictEqual(error.message, 'Server error (500)');
+  assert.strictEqual(error.endpoint, 'queue-health');
+  assert.strictEqual(error.attempt, 2);
+  assert.strictEqual(error.wallet, ADDRESS);
+  assert.strictEqual(error.cause, cause);
+});
+
+test('blames the proxy for network errors only when one was used', () => {
+  const direct = toApiError(axiosError({ code: 'ECONNRESET' }), CONTEXT);
+  const proxied = toApiError(axiosError({ code: 'ECONNRESET' }), { ...CONTEXT, viaProxy: true });
+
+  assert.ok(direct instanceof NetworkError && !(direct instanceof ProxyError));
+  assert.strictEqual(direct.message, 'Connection reset');
+  assert.ok(proxied instanceof ProxyError);
+  assert.strictEqual(proxied.code, 'ECONNRESET');
+});
+
+test('blames the API, not the proxy, for failures after the proxy opened the tunnel', () => {
+  const proxied = { ...CONTEXT, viaProxy: true };
+  const timedOut = toApiError(axiosError({ code: 'ECONNABORTED', request: { socket: {} } }), proxied);
+  const unreachable = toApiError(axiosError({ message: 'Socks5 proxy rejected connection - HostUnreachable' }), proxied);
+  const refused = toApiError(axiosError({ code: 'ECONNREFUSED', request: { socket: null } }), proxied);
+
+  assert.ok(timedOut instanceof NetworkError && !(timedOut instanceof ProxyError));
+  assert.strictEqual(timedOut.message, 'Request timeout');
+  assert.ok(unreachable instanceof NetworkError && !(unreachable instanceof ProxyError));
+  assert.strictEqual(unreachable.code, 'EHOSTUNREACH');
+  assert.strictEqual(unreachable.message, 'Host unreachable');
+  assert.ok(refused instanceof ProxyError);
+
+  assert.strictEqual(classifyError(timedOut).upstream, true);
+  assert.strictEqual(classifyError(unreachable).upstream, true);
+  assert.strictEqual(classifyError(refused).upstream, false);
+});
+
+test('reads Retry-After into rate limit errors', () => {
+  const error = toApiError(axiosError({ response: { status: 429, headers: { 'retry-after': '7' } } }), CONTEXT);
+  assert.strictEqual(error.retryAfterMs, 7000);
+});
+
+test('leaves errors that did not come from a request alone', () => {
+  const bug = new TypeError('x is not a function');
+  assert.strictEqual(toApiError(bug, CONTEXT), bug);
+});
@@ -0,0 +1,139 @@
+const { createTestLogger, testConfig } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createMockHarpie } = require('./helpers/mockHarpie');
+const { createBot } = require('../lib/bot');
+const { createStore } = require('../lib/store');
+const { createMetrics } = require('../lib/metrics');
+const { parseAlerts, getAlertTarget, diffAlerts, findHealthDrops, getStatsHistory } = require('../lib/health');
+
+const ADDRESS = '0x5555555555555555555555555555555555555555';
+
+let mock;
+let baseUrl;
+
+before(async () => {
+  mock = createMockHarpie();
+  baseUrl = await mock.start();
+});
+
+after(() => mock.stop());
+
+test('parseAlerts flattens grouped alerts and keeps their details', () => {
+  const alerts = parseAlerts({
+    approvals: [{ id: 'a1', title: 'Unlimited approval', severity: 'high', spender: '0xabc' }],
+    phishing: { name: 'Interacted with a flagged contract' },
+    empty: null
+  });
+
+  assert.deepStrictEqual(alerts.map(a => [a.key, a.title, a.severity]), [
+    ['approvals:a1', 'Unlimited approval', 'high'],
+    [alerts[1].key, 'Interacted with a flagged contract', null]
+  ]);
+  assert.match(alerts[1].key, /^phishing:[0-9a-f]{16}$/);
+  assert.strictEqual(alerts[0].details.spender, '0xabc');
+  assert.deepStrictEqual(parseAlerts({}), []);
+  assert.deepStrictEqual(parseAlerts(null), []);
+});
+
+test('alerts without an ID get the same key on every scan', () => {
+  const first = parseAlerts({ phishing: [{ b: 2, a: 1 }] });
+  const second = parseAlerts({ phishing: [{ a: 1, b: 2 }] });
+
+  assert.strictEqual(first[0].key, second[0].key);
+});
+
+test('diffAlerts keeps only alerts missing from the previous scan', () => {
+  const previous = parseAlerts({ approvals: [{ id: 1 }] });
+  const current = parseAlerts({ approvals: [{ id: 1 }, { id: 2 }] });
+
+  assert.deepStrictEqual(diffAlerts(current, previous).map(a => a.key), ['approvals:2']);
+  assert.strictEqual(diffAlerts(current, null).length, 2);
+});
+
+test('findHealthDrops flags stats that fell by at least the threshold', () => {
+  const drops = findHealthDrops(
+    { percentImmune: 60, percentVerified: 55, activityScore: 40 },
+    { percentImmune: 80, percentVerified: 60, activityScore: 30 },
+    10
+  );
+
+  assert.deepStrictEqual(drops, [{ stat: 'percentImmune', from: 80, to: 60 }]);
+  assert.deepStrictEqual(findHealthDrops({ percentImmune: 0 }, null, 10), []);
+});
+
+test('stores alerts and stats per scan and reports only what changed', async () => {
+  const store = createStore(null);
+  const logger = createTestLogger();
+  const bot = createBot({
+    config: testConfig(baseUrl),
+    wallets: [ADDRESS],
+    logger,
+    store,
+    metrics: createMetrics()
+  });
+
+  /**
+   * Run a scan that returns the given stats and alerts
+   * @param {Object} stats - Health stats
+   * @param {Object} alerts - Grouped alerts
+   * @returns {Promise<Object>} Wallet outcome
+   */
+  const scanWith = (stats, alerts) => {
+    mock.wallet(ADDRESS).hasDoneDailyScan = false;
+    mock.script('queueHealth', ({ state }) => {
+      state.hasDoneDailyScan = true;
+      state.personalPoints += 100;
+      return { body: { stats, alerts } };
+    });
+    return bot.runWallet(ADDRESS);
+  };
+
+  const first = await scanWith({ percentImmune: 80, percentVerified: 60, activityScore: 40 }, { approvals: [{ id: 1, title: 'Old approval' }] });
+  assert.deepStrictEqual(first.newAlerts, ['approvals:1']);
+
+  const second = await scanWith({ percentImmune: 50, percentVerified: 60, activityScore: 40 }, { approvals: [{ id: 1, title: 'Old approval' }, { id: 2, title: 'New approval' }] });
+  assert.strictEqual(second.alertCount, 2);
+  assert.deepStrictEqual(second.newAlerts, ['approvals:2']);
+  assert.deepStrictEqual(second.healthDrops, [{ stat: 'percentImmune', from: 80, to: 50 }]);
+  assert.ok(logger.has('warning', 'New scan alert: New approval'));
+  assert.ok(logger.has('warning', 'Health dropped: percentImmune 80 -> 50'));
+
+  const history = getStatsHistory(store.getWalletHistory(ADDRESS));
+  assert.deepStrictEqual(history.map(h => [h.percentImmune, h.alertCount, h.newAlertCount]), [[80, 1, 1], [50, 2, 1]]);
+  assert.strictEqual(store.getWalletHistory(ADDRESS)[1].alerts[1].details.title, 'New approval');
+});
+
+test('getAlertTarget names the affected contract or approval', () => {
+  const [approval, contract, none] = parseAlerts({
+    approvals: [{ id: 1, spender: '0xspender' }],
+    contracts: [{ id: 2, contract: { name: 'Fake Airdrop', address: '0xfake' } }],
+    other: [{ id: 3 }]
+  });
+
+  assert.strictEqual(getAlertTarget(approval), '0xspender');
+  assert.strictEqual(getAlertTarget(contract), '0xfake');
+  assert.strictEqual(getAlertTarget(none), null);
+});
+
+test('healthCheck scans without running the points workflow or recording anything', async () => {
+  const address = '0x7777777777777777777777777777777777777777';
+  const store = createStore(null);
+  const bot = createBot({ config: testConfig(baseUrl), wallets: [address], logger: createTestLogger(), store, metrics: createMetrics() });
+  const leaderboardBefore = mock.count('leaderboard');
+  mock.script('queueHealth', {
+    body: {
+      stats: { percentImmune: 70, percentVerified: 90, activityScore: 12 },
+      alerts: { approvals: [{ id: 'x', title: 'Unlimited USDC approval', spender: '0xspender' }] }
+    }
+  });
+
+  const result = await bot.healthCheck(address);
+
+  assert.strictEqual(result.address, address);
+  assert.deepStrictEqual(result.stats, { percentImmune: 70, percentVerified: 90, activityScore: 12 });
+  assert.deepStrictEqual(result.alerts.map(a => [a.category, a.title, a.target]), [['approvals', 'Unlimited USDC approval', '0xspender']]);
+  assert.deepStrictEqual(result.newAlerts, ['approvals:x']);
+  assert.strictEqual(mock.count('leaderboard'), leaderboardBefore);
+  assert.strictEqual(store.getWalletRecords().length, 0);
+});
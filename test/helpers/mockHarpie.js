@@ -0,0 +1,170 @@
+const http = require('http');
+
+// Route names used when scripting responses
+const ROUTES = {
+  leaderboard: /^\/api\/hooks\/get-leaderboard-info\/?$/,
+  trackingId: /^\/api\/hooks\/get-tracking-id\/?$/,
+  dashboard: /^\/api\/hooks\/get-basic-dashboard\/?$/,
+  queueHealth: /^\/api\/addresses\/([^/]+)\/queue-health\/?$/
+};
+
+/**
+ * Create a local stand-in for the Harpie API.
+ *
+ * By default it behaves like the real backend: the leaderboard reports each
+ * wallet's points, a queue-health scan credits points and marks the daily
+ * scan as done, and the tracking ID call sets a session cookie. Tests can queue one-off responses per route with `script()`.
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.points=1000] - Starting points for every wallet
+ * @param {number} [options.scanReward=100] - Points credited by a scan
+ * @returns {Object} Mock server
+ */
+function createMockHarpie({ points = 1000, scanReward = 100 } = {}) {
+  const wallets = new Map();
+  const scripts = Object.fromEntries(Object.keys(ROUTES).map(route => [route, []]));
+  const requests = [];
+  let server = null;
+
+  /**
+   * Get (or create) the backend state for a wallet on a chain
+   * @param {string} address - The wallet address
+   * @param {number} [chainId=1] - The chain ID
+   * @returns {Object} Wallet state ({ personalPoints, hasDoneDailyScan, walletScanStreak })
+   */
+  function wallet(address, chainId = 1) {
+    const key = `${address.toLowerCase()}:${chainId}`;
+    if (!wallets.has(key)) {
+      wallets.set(key, { personalPoints: points, hasDoneDailyScan: false, walletScanStreak: 0 });
+    }
+    return wallets.get(key);
+  }
+
+  /**
+   * Default responses, mirroring the real backend
+   */
+  const defaults = {
+    leaderboard: ({ state }) => ({ body: { ...state, personalPointEvents: [] } }),
+    trackingId: ({ body }) => ({
+      headers: { 'set-cookie': `harpie_session=${body.address.toLowerCase()}; Path=/; HttpOnly` },
+      body: { trackingId: `tracking-${body.address.toLowerCase()}` }
+    }),
+    dashboard: () => ({ body: { ok: true } }),
+    queueHealth: ({ state }) => {
+      if (!state.hasDoneDailyScan) {
+        state.personalPoints += scanReward;
+        state.walletScanStreak += 1;
+        state.hasDoneDailyScan = true;
+      }
+      return {
+        body: {
+          stats: { percentImmune: 80, percentVerified: 60, activityScore: 40 },
+          alerts: {}
+        }
+      };
+    }
+  };
+
+  /**
+   * Queue responses for the next requests to a route. Each entry is either a
+   * response object ({ status, body, headers, reset }) or a function that
+   * receives ({ body, address, state }) and returns one. `reset: true` drops
+   * the connection without answering, like a flaky proxy, and `hang: true`
+   * never answers, like a stuck backend.
+   * @param {string} route - Route name (leaderboard, trackingId, dashboard, queueHealth)
+   * @param {...(Object|Function)} responses - Responses, used once each in order
+   */
+  function script(route, ...responses) {
+    if (!scripts[route]) throw new Error(`Unknown route: ${route}`);
+    scripts[route].push(...responses);
+  }
+
+  /**
+   * Handle one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  function handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = req.url.split('?')[0];
+      const route = Object.keys(ROUTES).find(name => ROUTES[name].test(url));
+      const body = raw ? JSON.parse(raw) : {};
+      const address = route === 'queueHealth'
+        ? url.match(ROUTES.queueHealth)[1]
+        : body.address || body.dashboardId;
+
+      requests.push({ route, url, body, headers: req.headers });
+
+      if (!route) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+        return;
+      }
+
+      const context = { body, address, state: address ? wallet(address, body.chainId) : null };
+      let response = scripts[route].length > 0 ? scripts[route].shift() : defaults[route];
+      if (typeof response === 'function') {
+        response = response(context);
+      }
+
+      if (response.reset) {
+        req.socket.destroy();
+        return;
+      }
+      if (response.hang) return;
+
+      res.writeHead(response.status || 200, { 'content-type': 'application/json', ...response.headers });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  }
+
+  return {
+    wallet,
+    script,
+    requests,
+
+    /**
+     * Default response for a route, so scripted responses can build on it
+     * @param {string} route - Route name
+     * @param {Object} context - Request context ({ body, address, state })
+     * @returns {Object} Response
+     */
+    respondDefault: (route, context) => defaults[route](context),
+
+    /**
+     * Count requests made to a route
+     * @param {string} route - Route name
+     * @returns {number} Number of requests
+     */
+    count: (route) => requests.filter(r => r.route === route).length,
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} Base URL of the mock
+     */
+    start() {
+      return new Promise((resolve) => {
+        server = http.createServer(handle);
+        server.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMockHarpie
+};
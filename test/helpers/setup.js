@@ -0,0 +1,60 @@
+// Keep the shared logger quiet and out of logs/ while tests run.
+// Must be required before any module that loads the config.
+process.env.HARPIE_GENERAL_LOG_TO_FILE = 'false';
+process.env.HARPIE_GENERAL_LOG_TO_CONSOLE = 'false';
+
+/**
+ * Create a logger that records messages instead of printing them
+ * @returns {Object} Logger with an `entries` array of { type, message, address, fields }
+ *   and the wallet labels it was given under `labels`
+ */
+function createTestLogger() {
+  const entries = [];
+  const labels = new Map();
+  const log = (type) => (message, address, fields) => entries.push({ type, message, address, fields });
+
+  return {
+    entries,
+    labels,
+    setWalletLabel: (address, label) => (label ? labels.set(address.toLowerCase(), label) : labels.delete(address.toLowerCase())),
+    trace: log('trace'),
+    debug: log('debug'),
+    info: log('info'),
+    success: log('success'),
+    warning: log('warning'),
+    error: log('error'),
+    points: log('points'),
+    has: (type, text) => entries.some(e => e.type === type && e.message.includes(text))
+  };
+}
+
+/**
+ * Build config overrides for talking to the mock server with short delays
+ * @param {string} baseUrl - Mock server URL
+ * @param {Object} [overrides={}] - Extra settings, merged per section
+ * @returns {Object} Config overrides for createBot() or buildConfig()
+ */
+function testConfig(baseUrl, overrides = {}) {
+  const base = {
+    general: {
+      useProxy: false,
+      delayBetweenWallets: 0,
+      retryDelay: 10,
+      maxRetries: 2,
+      logToFile: false,
+      logToConsole: false
+    },
+    harpie: { baseUrl, requestTimeout: 2000 },
+    scan: { verification: { initialDelayMs: 10, maxDelayMs: 50, deadlineMs: 300 } }
+  };
+
+  for (const [section, values] of Object.entries(overrides)) {
+    base[section] = { ...base[section], ...values };
+  }
+  return base;
+}
+
+module.exports = {
+  createTestLogger,
+  testConfig
+};
@@ -0,0 +1,132 @@
+require('./helpers/setup');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { buildConfig } = require('../lib/config');
+const keystore = require('../lib/keystore');
+const logger = require('../lib/logger');
+const { importPrivateKeyFile } = require('../lib/wallet');
+
+const PASSPHRASE = 'correct horse battery staple';
+const KEYS = [
+  '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318',
+  '0x646f1ce2fdad0e6deeeb5c7e8e5543bdde65e86029e2fd9fc169899c440a7913'
+];
+
+let dir;
+let settings;
+
+/**
+ * Encrypt a key the way another tool would, cheaply, with its own passphrase
+ * @param {string} privateKey - The private key
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<string>} Path of the keystore file
+ */
+async function writeForeignKeystore(privateKey, passphrase) {
+  const wallet = new ethers.Wallet(privateKey);
+  const filePath = path.join(dir, 'keystores', `${wallet.address.toLowerCase()}.json`);
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeFileSync(filePath, await wallet.encrypt(passphrase, { scrypt: { N: 1 << 10 } }));
+  return filePath;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-keystore-'));
+  settings = buildConfig({
+    general: { logToFile: false },
+    paths: {
+      privateKeys: path.join(dir, 'pk.txt'),
+      keystores: path.join(dir, 'keystores'),
+      addresses: path.join(dir, 'addresses.txt')
+    }
+  });
+  process.env[settings.keystore.passphraseEnv] = PASSPHRASE;
+});
+
+afterEach(() => {
+  delete process.env[settings.keystore.passphraseEnv];
+  fs.removeSync(dir);
+});
+
+test('import moves every key into a keystore that loads back, then wipes pk.txt', async () => {
+  fs.writeFileSync(settings.paths.privateKeys, `${KEYS.join('\n')}\n`);
+
+  assert.strictEqual(await importPrivateKeyFile(settings), true);
+  assert.strictEqual(fs.existsSync(settings.paths.privateKeys), false);
+  assert.strictEqual(keystore.listKeystoreFiles(settings).length, 2);
+
+  const wallets = await keystore.loadKeystoreWallets(settings);
+  const byAddress = (a, b) => a[0].localeCompare(b[0]);
+  assert.deepStrictEqual(
+    wallets.map(w => [w.address, w.privateKey, w.source]).sort(byAddress),
+    KEYS.map(key => [new ethers.Wallet(key).address, key, 'keystore']).sort(byAddress)
+  );
+});
+
+test('import names the configured key file and lists manifest entries that still use key references', async (t) => {
+  settings.paths.privateKeys = path.join(dir, 'keys.txt');
+  settings.paths.manifest = path.join(dir, 'wallets.yaml');
+  fs.writeFileSync(settings.paths.privateKeys, `${KEYS.join('\n')}\n`);
+  fs.writeFileSync(settings.paths.manifest, 'wallets:\n  - key: pk.txt#2\n    label: farm\n  - key: pk.txt#3\n');
+  const warnings = t.mock.method(logger, 'warning', () => {});
+  const successes = t.mock.method(logger, 'success', () => {});
+
+  assert.strictEqual(await importPrivateKeyFile(settings), true);
+  assert.strictEqual(successes.mock.calls.at(-1).arguments[0], 'Imported 2 keys and wiped keys.txt');
+  assert.deepStrictEqual(warnings.mock.calls.map(call => call.arguments[0]), [
+    `Manifest entry "farm" refers to key pk.txt#2; replace it with "address: ${new ethers.Wallet(KEYS[1]).address}"`,
+    'Manifest entry pk.txt#3 refers to key pk.txt#3, which no longer exists'
+  ]);
+});
+
+test('import keeps pk.txt when an existing keystore does not unlock with the passphrase', async () => {
+  const contents = `${KEYS.join('\n')}\n`;
+  fs.writeFileSync(settings.paths.privateKeys, contents);
+  const foreign = await writeForeignKeystore(KEYS[0], 'another passphrase');
+  const foreignJson = fs.readFileSync(foreign, 'utf8');
+
+  assert.strictEqual(await importPrivateKeyFile(settings), false);
+  assert.strictEqual(fs.readFileSync(settings.paths.privateKeys, 'utf8'), contents);
+  assert.strictEqual(fs.readFileSync(foreign, 'utf8'), foreignJson);
+});
+
+test('writing a key again keeps its keystore once it unlocks', async () => {
+  const existing = await writeForeignKeystore(KEYS[1], PASSPHRASE);
+  const json = fs.readFileSync(existing, 'utf8');
+
+  assert.strictEqual(await keystore.writeKeystore(KEYS[1], PASSPHRASE, settings), existing);
+  assert.strictEqual(fs.readFileSync(existing, 'utf8'), json);
+  await assert.rejects(keystore.writeKeystore(KEYS[1], 'wrong passphrase', settings), /does not unlock with this passphrase/);
+});
+
+test('loading skips keystores that do not unlock and keeps the others', async () => {
+  await writeForeignKeystore(KEYS[0], 'another passphrase');
+  await writeForeignKeystore(KEYS[1], PASSPHRASE);
+
+  const wallets = await keystore.loadKeystoreWallets(settings);
+  assert.deepStrictEqual(wallets.map(w => w.address), [new ethers.Wallet(KEYS[1]).address]);
+});
+
+test('loading again reuses unlocked keystores until their file changes', async (t) => {
+  const file = await writeForeignKeystore(KEYS[0], PASSPHRASE);
+  const decrypt = t.mock.method(ethers.Wallet, 'fromEncryptedJson');
+
+  const first = await keystore.loadKeystoreWallets(settings);
+  const second = await keystore.loadKeystoreWallets(settings);
+  assert.strictEqual(decrypt.mock.callCount(), 1);
+  assert.deepStrictEqual(second.map(w => w.privateKey), first.map(w => w.privateKey));
+
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(file, later, later);
+  await keystore.loadKeystoreWallets(settings);
+  assert.strictEqual(decrypt.mock.callCount(), 2);
+});
+
+test('loading without keystores does not ask for a passphrase', async () => {
+  delete process.env[settings.keystore.passphraseEnv];
+
+  assert.deepStrictEqual(await keystore.loadKeystoreWallets(settings), []);
+});
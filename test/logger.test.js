@@ -0,0 +1,117 @@
+require('./helpers/setup');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { config } = require('../lib/config');
+const logger = require('../lib/logger');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+let logDir;
+let saved;
+
+beforeEach(() => {
+  logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-logs-'));
+  saved = JSON.parse(JSON.stringify({ general: config.general, logging: config.logging, paths: config.paths }));
+
+  config.paths.logs = logDir;
+  config.general.logToFile = true;
+  config.general.logToConsole = false;
+  config.logging.level = 'info';
+  config.logging.fileLevel = 'debug';
+  config.logging.fileFormat = 'json';
+});
+
+afterEach(() => {
+  Object.assign(config, saved);
+  fs.removeSync(logDir);
+});
+
+/**
+ * Read the JSON lines of the active log file
+ * @returns {Array<Object>} Parsed log entries
+ */
+const readEntries = () => fs.readFileSync(path.join(logDir, 'harpie-bot.jsonl'), 'utf8')
+  .trim().split('\n').map(line => JSON.parse(line));
+
+test('file output is JSON lines with wallet and structured fields', () => {
+  logger.error('Request timeout', ADDRESS, { step: 'http', durationMs: 1200, errorCode: 'ECONNABORTED' });
+
+  const [entry] = readEntries();
+  assert.strictEqual(entry.level, 'error');
+  assert.strictEqual(entry.message, 'Request timeout');
+  assert.strictEqual(entry.wallet, ADDRESS);
+  assert.strictEqual(entry.step, 'http');
+  assert.strictEqual(entry.durationMs, 1200);
+  assert.strictEqual(entry.errorCode, 'ECONNABORTED');
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('log lines name wallets by their manifest label', () => {
+  logger.setWalletLabel(ADDRESS, 'treasury-1');
+  config.logging.fileFormat = 'text';
+  logger.info('Starting process for wallet', ADDRESS);
+  logger.setWalletLabel(ADDRESS, null);
+
+  const text = fs.readFileSync(path.join(logDir, 'harpie-bot.log'), 'utf8');
+  assert.ok(text.includes('- treasury-1 (0x1111...1111)] INFO Starting process for wallet'));
+  assert.strictEqual(logger.formatWallet(ADDRESS), '0x1111...1111');
+});
+
+test('messages below the file level are not written', () => {
+  config.logging.fileLevel = 'info';
+  logger.trace('trace message');
+  logger.debug('debug message');
+  logger.info('info message');
+
+  assert.deepStrictEqual(readEntries().map(e => e.message), ['info message']);
+});
+
+test('repeated messages always reach the file', () => {
+  logger.info('Same message', ADDRESS);
+  logger.info('Same message', ADDRESS);
+
+  assert.strictEqual(readEntries().length, 2);
+});
+
+test('console dedupe hides repeats only when enabled and never for errors', (t) => {
+  const printed = [];
+  t.mock.method(console, 'log', (line) => printed.push(line));
+  config.general.logToFile = false;
+  config.general.logToConsole = true;
+
+  config.logging.dedupe = { enabled: true, window: 5 };
+  logger.info('Dedupe me', ADDRESS);
+  logger.info('Dedupe me', ADDRESS);
+  logger.error('Keep me', ADDRESS);
+  logger.error('Keep me', ADDRESS);
+  assert.strictEqual(printed.length, 3);
+
+  config.logging.dedupe = { enabled: false, window: 5 };
+  logger.info('Dedupe me too', ADDRESS);
+  logger.info('Dedupe me too', ADDRESS);
+  assert.strictEqual(printed.length, 5);
+});
+
+test('the log file is rotated, compressed and pruned', () => {
+  config.logging.rotation = { maxSizeMb: 0.0001, maxAgeHours: 24, retentionDays: 1, compress: true };
+
+  // A rotated file older than the retention period
+  const stale = path.join(logDir, 'harpie-bot-20000101-000000.jsonl.gz');
+  fs.writeFileSync(stale, '');
+  fs.utimesSync(stale, new Date('2000-01-02'), new Date('2000-01-02'));
+
+  logger.info('First message that fills the file past its size limit', ADDRESS);
+  logger.info('Second message', ADDRESS);
+
+  const rotated = fs.readdirSync(logDir).filter(f => /^harpie-bot-\d{8}-\d{6}\.jsonl\.gz$/.test(f));
+  assert.strictEqual(rotated.length, 1);
+  assert.ok(!fs.existsSync(stale));
+
+  const archived = zlib.gunzipSync(fs.readFileSync(path.join(logDir, rotated[0]))).toString();
+  assert.match(archived, /First message/);
+  assert.deepStrictEqual(readEntries().map(e => e.message), ['Second message']);
+});
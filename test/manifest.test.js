@@ -0,0 +1,157 @@
+require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readManifest, validateManifest } = require('../lib/manifest');
+const { createWallets, applyManifest, filterWallets } = require('../lib/wallet');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const KEY_ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+const WATCH_ADDRESS = '0x0000000000000000000000000000000000000001';
+
+/**
+ * Write a manifest to a temporary directory and read it back
+ * @param {string} name - File name, the extension picks the format
+ * @param {string} content - File contents
+ * @returns {Array<Object>} Manifest entries
+ */
+function readFrom(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-manifest-'));
+  try {
+    fs.writeFileSync(path.join(dir, name), content);
+    return readManifest(path.join(dir, name));
+  } finally {
+    fs.removeSync(dir);
+  }
+}
+
+test('reads YAML manifests with unquoted addresses', () => {
+  const yaml = [
+    '# Wallets',
+    'wallets:',
+    `  - address: ${WATCH_ADDRESS}  # cold storage`,
+    '    label: "Treasury #1"',
+    '    groups: [treasury, cold]',
+    '    chainIds:',
+    '      - 1',
+    '      - 137',
+    '    scan:',
+    '      enabled: false',
+    '  - key: pk.txt#1',
+    '    enabled: true',
+    '    label: \'farm\''
+  ].join('\n');
+
+  assert.deepStrictEqual(readFrom('wallets.yml', yaml).map(({ address, keyIndex, label, groups, chainIds, scan }) => ({ address, keyIndex, label, groups, chainIds, scan })), [
+    { address: WATCH_ADDRESS, keyIndex: null, label: 'Treasury #1', groups: ['treasury', 'cold'], chainIds: [1, 137], scan: { enabled: false } },
+    { address: null, keyIndex: 1, label: 'farm', groups: [], chainIds: null, scan: null }
+  ]);
+});
+
+test('rejects invalid YAML, naming the line', () => {
+  assert.throws(() => readFrom('wallets.yaml', 'wallets:\n  - label: a\n      groups: [b]'), /wallets\.yaml could not be read: .*line 2/);
+  assert.throws(() => readFrom('wallets.yaml', 'wallets: []\nwallets: []'), /Map keys must be unique at line 2/);
+});
+
+test('reads JSON and YAML manifests into the same entries', () => {
+  const fromJson = readFrom('wallets.json', JSON.stringify({ wallets: [{ address: WATCH_ADDRESS.toLowerCase(), label: 'cold', groups: ['treasury'] }] }));
+  const fromYaml = readFrom('wallets.yaml', `- address: ${WATCH_ADDRESS.toLowerCase()}\n  label: cold\n  groups: [treasury]\n`);
+
+  assert.deepStrictEqual(fromJson, fromYaml);
+  assert.deepStrictEqual(fromJson, [{
+    address: WATCH_ADDRESS,
+    keyIndex: null,
+    label: 'cold',
+    groups: ['treasury'],
+    enabled: true,
+    chainIds: null,
+    scan: null,
+    groupChainIds: null
+  }]);
+  assert.strictEqual(readManifest(path.join(os.tmpdir(), 'no-such-manifest.json')), null);
+});
+
+test('lists every problem of an invalid manifest', () => {
+  const { errors } = validateManifest([
+    { address: '0x123', labels: 'typo' },
+    { key: 'pk.txt#0', enabled: 'no' },
+    { address: WATCH_ADDRESS, key: 'pk.txt#1' },
+    { address: WATCH_ADDRESS, chainIds: [], scan: { forceRescan: 'yes', skip: true } },
+    { key: 'pk.txt#2', label: 'a' },
+    { key: 'pk.txt#3', label: 'A' }
+  ]);
+
+  assert.deepStrictEqual(errors, [
+    'wallets[0].labels: unknown field',
+    'wallets[0].address: "0x123" is not a valid address',
+    'wallets[1].key: expected a reference like "pk.txt#1", got string "pk.txt#0"',
+    'wallets[1].enabled: expected true or false, got string "no"',
+    'wallets[2]: needs either an address or a key reference',
+    'wallets[3].chainIds: expected a list of chain IDs, got an array',
+    'wallets[3].scan.forceRescan: expected true or false, got string "yes"',
+    'wallets[3].scan.skip: unknown field, expected one of enabled, forceRescan',
+    'wallets[5]: label "a" is already used by wallets[4]'
+  ]);
+  assert.throws(() => readFrom('wallets.json', '{"wallets": {}}'), /Invalid wallet manifest \(wallets.json\)/);
+});
+
+test('gives each entry the chains of its first group that sets them', () => {
+  const { entries, errors } = validateManifest({
+    groups: { farm: { chainIds: [137, 10] }, Cold: { chainIds: [1] }, tagged: {} },
+    wallets: [
+      { address: WATCH_ADDRESS, groups: ['tagged', 'cold', 'farm'] },
+      { key: 'pk.txt#1', groups: ['farm'], chainIds: [8453] },
+      { key: 'pk.txt#2', groups: ['unknown'] }
+    ]
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries.map(e => e.groupChainIds), [[1], [137, 10], null]);
+  assert.deepStrictEqual(entries[1].chainIds, [8453]);
+
+  assert.deepStrictEqual(validateManifest({
+    group: {},
+    groups: { farm: { chainIds: [] }, cold: { chains: [1] }, hot: [1] },
+    wallets: []
+  }).errors, [
+    'group: unknown field, expected one of wallets, groups',
+    'groups.farm.chainIds: expected a list of chain IDs, got an array',
+    'groups.cold.chains: unknown field, expected one of chainIds',
+    'groups.hot: expected an object, got an array'
+  ]);
+});
+
+test('applies manifest settings to keyed wallets and adds listed addresses as watch-only', () => {
+  const wallets = createWallets([PRIVATE_KEY]);
+  const { entries } = validateManifest([
+    { key: 'pk.txt#1', label: 'farm-1', groups: ['farm'], chainIds: [137], scan: { forceRescan: true } },
+    { address: WATCH_ADDRESS, label: 'cold', groups: ['treasury'], enabled: false }
+  ]);
+
+  const [keyed, watched] = applyManifest(wallets, entries);
+
+  assert.strictEqual(keyed.address, KEY_ADDRESS);
+  assert.strictEqual(keyed.label, 'farm-1');
+  assert.deepStrictEqual(keyed.chainIds, [137]);
+  assert.deepStrictEqual(keyed.scan, { forceRescan: true });
+  assert.strictEqual(watched.address, WATCH_ADDRESS);
+  assert.strictEqual(watched.watchOnly, true);
+  assert.strictEqual(watched.enabled, false);
+  assert.strictEqual(wallets[0].label, undefined);
+});
+
+test('filters wallets by group and label, and skips disabled ones unless named', () => {
+  const wallets = [
+    { address: KEY_ADDRESS, label: 'farm-1', groups: ['farm'], enabled: true },
+    { address: WATCH_ADDRESS, label: 'cold', groups: ['treasury'], enabled: false },
+    { address: '0x0000000000000000000000000000000000000002' }
+  ];
+  const addresses = (filter) => filterWallets(wallets, filter).map(w => w.label || w.address);
+
+  assert.deepStrictEqual(addresses({}), ['farm-1', '0x0000000000000000000000000000000000000002']);
+  assert.deepStrictEqual(addresses({ groups: ['Farm'] }), ['farm-1']);
+  assert.deepStrictEqual(addresses({ include: ['cold'] }), ['cold']);
+  assert.deepStrictEqual(addresses({ exclude: ['FARM-1'] }), ['0x0000000000000000000000000000000000000002']);
+});
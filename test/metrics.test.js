@@ -0,0 +1,134 @@
+const { createTestLogger, testConfig } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createMockHarpie } = require('./helpers/mockHarpie');
+const { buildConfig } = require('../lib/config');
+const { createMetrics, normalizeEndpoint } = require('../lib/metrics');
+const { createServer } = require('../lib/server');
+const { createBot } = require('../lib/bot');
+const { createStore } = require('../lib/store');
+
+const ADDRESS = '0x2222222222222222222222222222222222222222';
+
+let mock;
+let baseUrl;
+
+before(async () => {
+  mock = createMockHarpie();
+  baseUrl = await mock.start();
+});
+
+after(() => mock.stop());
+
+test('normalizeEndpoint replaces wallet addresses and drops query strings', () => {
+  assert.strictEqual(normalizeEndpoint(`/api/addresses/${ADDRESS}/queue-health/?x=1`), '/api/addresses/:address/queue-health/');
+});
+
+test('renders counters, gauges and cumulative histograms', () => {
+  const metrics = createMetrics();
+  metrics.observeRequest('/api/hooks/get-leaderboard-info/', 200, 300);
+  metrics.observeRequest('/api/hooks/get-leaderboard-info/', 200, 3000);
+  metrics.observeRequest('/api/hooks/get-leaderboard-info/', 'ECONNRESET', 50);
+  metrics.recordRetry('/api/hooks/get-leaderboard-info/');
+  metrics.recordWallet({ address: ADDRESS, personalPoints: 1500, walletScanStreak: 7, scanOutcome: 'success' });
+  metrics.recordRun({ failedCount: 0 }, new Date('2026-01-01T00:00:00Z'));
+
+  const text = metrics.render();
+  const endpoint = 'endpoint="/api/hooks/get-leaderboard-info/"';
+
+  assert.match(text, /# TYPE harpie_http_request_duration_seconds histogram/);
+  assert.ok(text.includes(`harpie_http_request_duration_seconds_bucket{${endpoint},le="0.5"} 2`));
+  assert.ok(text.includes(`harpie_http_request_duration_seconds_bucket{${endpoint},le="2.5"} 2`));
+  assert.ok(text.includes(`harpie_http_request_duration_seconds_bucket{${endpoint},le="+Inf"} 3`));
+  assert.ok(text.includes(`harpie_http_request_duration_seconds_count{${endpoint}} 3`));
+  assert.ok(text.includes(`harpie_http_requests_total{${endpoint},status="200"} 2`));
+  assert.ok(text.includes(`harpie_http_requests_total{${endpoint},status="ECONNRESET"} 1`));
+  assert.ok(text.includes(`harpie_http_retries_total{${endpoint}} 1`));
+  assert.ok(text.includes(`harpie_wallet_points{wallet="${ADDRESS}"} 1500`));
+  assert.ok(text.includes(`harpie_wallet_scan_streak{wallet="${ADDRESS}"} 7`));
+  assert.ok(text.includes('harpie_last_successful_run_timestamp_seconds 1767225600'));
+});
+
+test('records the crediting latency of verified scans on every chain', () => {
+  const metrics = createMetrics();
+  metrics.recordWallet({ address: ADDRESS, scanOutcome: 'success', verification: { status: 'verified', latencyMs: 4000 } });
+  metrics.recordWallet({
+    address: ADDRESS,
+    scanOutcome: 'pending',
+    chains: [
+      { chainId: 1, verification: { status: 'verified', latencyMs: 45000 } },
+      { chainId: 137, verification: { status: 'pending', latencyMs: null } }
+    ]
+  });
+
+  const text = metrics.render();
+  assert.ok(text.includes('harpie_scan_credit_latency_seconds_bucket{le="5"} 1'));
+  assert.ok(text.includes('harpie_scan_credit_latency_seconds_bucket{le="60"} 2'));
+  assert.ok(text.includes('harpie_scan_credit_latency_seconds_count 2'));
+});
+
+test('a run with failed wallets does not count as successful', () => {
+  const metrics = createMetrics();
+  metrics.recordRun({ failedCount: 1 });
+
+  assert.match(metrics.render(), /harpie_last_run_timestamp_seconds \d+/);
+  assert.doesNotMatch(metrics.render(), /harpie_last_successful_run_timestamp_seconds \d+/);
+});
+
+test('a run cut off by its time budget does not count as successful', () => {
+  const metrics = createMetrics();
+  metrics.recordRun({ successCount: 2, failedCount: 0, total: 5, timedOut: true, notProcessed: 3 });
+
+  assert.match(metrics.render(), /harpie_last_run_timestamp_seconds \d+/);
+  assert.doesNotMatch(metrics.render(), /harpie_last_successful_run_timestamp_seconds \d+/);
+  assert.strictEqual(metrics.getHealth(5).lastSuccessfulRunAt, null);
+});
+
+test('serves /metrics and reports a stalled bot on /healthz', async () => {
+  const metrics = createMetrics();
+  const config = buildConfig({ server: { enabled: true, port: 0, staleAfterMinutes: 5 } });
+  const server = createServer({ config, logger: createTestLogger(), metrics });
+  const url = await server.start();
+
+  try {
+    const health = await axios.get(`${url}/healthz`);
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual(health.data.status, 'ok');
+
+    metrics.heartbeat(new Date(Date.now() - 10 * 60 * 1000));
+    const stalled = await axios.get(`${url}/healthz`, { validateStatus: () => true });
+    assert.strictEqual(stalled.status, 503);
+    assert.strictEqual(stalled.data.status, 'stalled');
+
+    const scrape = await axios.get(`${url}/metrics`);
+    assert.match(scrape.headers['content-type'], /^text\/plain/);
+    assert.match(scrape.data, /# TYPE harpie_wallet_points gauge/);
+
+    const missing = await axios.get(`${url}/nope`, { validateStatus: () => true });
+    assert.strictEqual(missing.status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the bot records request latency, retries and wallet gauges', async () => {
+  const metrics = createMetrics();
+  mock.script('leaderboard', { status: 500, body: {} });
+
+  const bot = createBot({
+    config: testConfig(baseUrl),
+    wallets: [ADDRESS],
+    logger: createTestLogger(),
+    store: createStore(null),
+    metrics
+  });
+  await bot.runAll();
+
+  const text = metrics.render();
+  assert.match(text, /harpie_http_requests_total\{endpoint="\/api\/hooks\/get-leaderboard-info\/",status="500"\} 1/);
+  assert.match(text, /harpie_http_retries_total\{endpoint="\/api\/hooks\/get-leaderboard-info\/"\} 1/);
+  assert.match(text, /harpie_http_request_duration_seconds_count\{endpoint="\/api\/addresses\/:address\/queue-health\/"\} 1/);
+  assert.ok(text.includes(`harpie_wallet_points{wallet="${ADDRESS}"} 1100`));
+  assert.match(text, /harpie_last_successful_run_timestamp_seconds \d+/);
+});
@@ -0,0 +1,187 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildConfig } = require('../lib/config');
+const { createNotifier, renderTemplate } = require('../lib/notifier');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Create a notifier that records posts instead of sending them
+ * @param {Object} [notifications={}] - Notification settings, merged over enabled defaults
+ * @param {Function} [post] - Post function to use instead of the recording one
+ * @returns {Object} Notifier, recorded posts and logger
+ */
+function setup(notifications = {}, post) {
+  const posts = [];
+  const logger = createTestLogger();
+  const config = buildConfig({
+    notifications: {
+      enabled: true,
+      webhook: { url: 'https://hooks.example.com/harpie' },
+      discord: { webhookUrl: 'https://discord.example.com/api/webhooks/1/secret' },
+      telegram: { botToken: '123:secret', chatId: '42' },
+      ...notifications
+    }
+  });
+  const notifier = createNotifier({
+    config,
+    logger,
+    post: post || (async (url, body) => { posts.push({ url, body }); })
+  });
+  return { notifier, posts, logger };
+}
+
+/**
+ * Build a wallet outcome
+ * @param {Object} [fields={}] - Fields to override
+ * @returns {Object} Wallet outcome
+ */
+const outcome = (fields = {}) => ({
+  address: ADDRESS,
+  success: true,
+  personalPoints: 1100,
+  walletScanStreak: 5,
+  hasDoneDailyScan: true,
+  scanOutcome: 'success',
+  alertCount: 0,
+  error: null,
+  ...fields
+});
+
+test('renderTemplate fills placeholders and blanks unknown ones', () => {
+  assert.strictEqual(renderTemplate('{{a}} and {{b}}{{missing}}', { a: 1, b: 'two' }), '1 and two');
+});
+
+test('run summaries go to every channel in its own format', async () => {
+  const { notifier, posts } = setup();
+  const previous = new Map([[ADDRESS, { address: ADDRESS, personalPoints: 1000 }]]);
+
+  const delivered = await notifier.notifyRun({
+    runId: 'run-1',
+    successCount: 1,
+    failedCount: 0,
+    total: 1,
+    outcomes: [outcome()]
+  }, previous);
+
+  assert.strictEqual(delivered, 3);
+  const [webhook, discord, telegram] = posts;
+
+  assert.strictEqual(webhook.body.event, 'run.finished');
+  assert.deepStrictEqual(webhook.body.wallets[0], {
+    address: ADDRESS, outcome: 'success', points: 1100, pointsDelta: 100, streak: 5, error: null, errorCategory: null
+  });
+  assert.match(discord.body.content, /1\/1 succeeded/);
+  assert.match(discord.body.content, /0x1111\.\.\.1111: success \| points 1,100 \(\+100\) \| streak 5/);
+  assert.strictEqual(telegram.url, 'https://api.telegram.org/bot123:secret/sendMessage');
+  assert.strictEqual(telegram.body.chat_id, '42');
+});
+
+test('custom templates are used', async () => {
+  const { notifier, posts } = setup({
+    webhook: { url: '' },
+    telegram: { botToken: '' },
+    templates: { summary: 'Done {{failedCount}} failed', wallet: '', alert: '' }
+  });
+
+  await notifier.notifyRun({ runId: 'run-1', successCount: 0, failedCount: 1, total: 1, outcomes: [outcome()] });
+
+  assert.deepStrictEqual(posts.map(p => p.body), [{ content: 'Done 1 failed' }]);
+});
+
+test('the partial summary of an interrupted run says how many wallets are left', async () => {
+  const { notifier, posts } = setup({
+    discord: { webhookUrl: '' },
+    telegram: { botToken: '' },
+    templates: { summary: 'Done {{successCount}}/{{total}}', wallet: '', alert: '' }
+  });
+
+  await notifier.notifyRun({ runId: 'run-1', successCount: 1, failedCount: 0, total: 3, interrupted: true, notProcessed: 2, outcomes: [outcome()] });
+
+  const [{ body }] = posts;
+  assert.strictEqual(body.event, 'run.interrupted');
+  assert.strictEqual(body.notProcessed, 2);
+  assert.strictEqual(body.text, 'Done 1/3\nRun interrupted by a shutdown, 2 wallet(s) left for the next run');
+});
+
+test('nothing is sent when notifications are disabled', async () => {
+  const { notifier, posts } = setup({ enabled: false });
+
+  await notifier.notifyRun({ runId: 'run-1', successCount: 1, failedCount: 0, total: 1, outcomes: [outcome()] });
+  await notifier.checkAlerts(outcome({ walletScanStreak: 0 }), [outcome()]);
+
+  assert.strictEqual(posts.length, 0);
+});
+
+test('a failing channel is logged without the URL and does not stop the others', async () => {
+  const sent = [];
+  const { notifier, logger } = setup({}, async (url) => {
+    if (url.includes('discord')) {
+      throw Object.assign(new Error('Request failed'), { response: { status: 404 } });
+    }
+    sent.push(url);
+  });
+
+  const delivered = await notifier.send('hello', { event: 'test' });
+
+  assert.strictEqual(delivered, 2);
+  assert.strictEqual(sent.length, 2);
+  assert.ok(logger.has('warning', 'Failed to send discord notification (404)'));
+  assert.ok(!logger.entries.some(e => e.message.includes('secret')));
+});
+
+test('a lost streak raises an alert', async () => {
+  const { notifier, posts } = setup({ webhook: { url: '' }, telegram: { botToken: '' } });
+
+  const alerts = await notifier.checkAlerts(outcome({ walletScanStreak: 1 }), [outcome({ walletScanStreak: 5 })]);
+
+  assert.deepStrictEqual(alerts.map(a => a.type), ['streak-lost']);
+  assert.match(posts[0].body.content, /Scan streak lost \(5 -> 1\)/);
+});
+
+test('consecutive failures alert once when the threshold is reached', () => {
+  const { notifier } = setup({ alerts: { consecutiveFailures: 3 } });
+  const failed = outcome({ scanOutcome: 'failed', error: 'Request timeout' });
+
+  const types = (history) => notifier.getAlerts(failed, history).map(a => a.type);
+
+  assert.deepStrictEqual(types([outcome(), failed]), []);
+  assert.deepStrictEqual(types([outcome(), failed, failed]), ['consecutive-failures']);
+  assert.deepStrictEqual(types([failed, failed, failed]), []);
+});
+
+test('wallets that keep timing out raise the consecutive failures alert', () => {
+  const { notifier } = setup({ alerts: { consecutiveFailures: 3 } });
+  const timedOut = outcome({ success: false, scanOutcome: 'timeout', error: 'Wallet time budget exceeded' });
+  const failed = outcome({ scanOutcome: 'failed' });
+
+  const types = (history) => notifier.getAlerts(timedOut, history).map(a => a.type);
+
+  assert.deepStrictEqual(types([outcome(), timedOut, timedOut]), ['consecutive-failures']);
+  assert.deepStrictEqual(types([outcome(), failed, timedOut]), ['consecutive-failures']);
+  assert.deepStrictEqual(types([outcome(), outcome({ scanOutcome: 'interrupted' }), timedOut]), []);
+});
+
+test('only new scan alerts raise an alert', () => {
+  const { notifier } = setup();
+  const alerts = [
+    { key: 'approvals:1', title: 'Unlimited approval' },
+    { key: 'approvals:2', title: 'Risky contract' }
+  ];
+
+  const [alert] = notifier.getAlerts(outcome({ alerts, alertCount: 2, newAlerts: ['approvals:2'] }), []);
+  assert.strictEqual(alert.type, 'scan-alerts');
+  assert.strictEqual(alert.message, 'Wallet scan reported 1 new alert(s): Risky contract');
+
+  assert.deepStrictEqual(notifier.getAlerts(outcome({ alerts, alertCount: 2, newAlerts: [] }), []), []);
+});
+
+test('a health drop raises an alert', () => {
+  const { notifier } = setup();
+
+  const [alert] = notifier.getAlerts(outcome({ healthDrops: [{ stat: 'percentImmune', from: 80, to: 50 }] }), []);
+
+  assert.strictEqual(alert.type, 'health-drop');
+  assert.strictEqual(alert.message, 'Wallet health dropped: percentImmune 80 -> 50');
+});
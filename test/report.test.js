@@ -0,0 +1,97 @@
+require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildReport, toCsv } = require('../lib/report');
+
+const STEADY = '0x1111111111111111111111111111111111111111';
+const NEWCOMER = '0x2222222222222222222222222222222222222222';
+const NOW = new Date('2024-04-01T12:00:00Z');
+
+/**
+ * Build a stored wallet record
+ * @param {string} address - Wallet address
+ * @param {string} finishedAt - When the wallet finished, ISO time
+ * @param {Object} [fields={}] - Fields to override
+ * @returns {Object} Wallet record
+ */
+const record = (address, finishedAt, fields = {}) => ({
+  type: 'wallet',
+  address,
+  startedAt: finishedAt,
+  finishedAt,
+  recordedAt: finishedAt,
+  scanOutcome: 'success',
+  hasDoneDailyScan: true,
+  ...fields
+});
+
+const RECORDS = [
+  record(STEADY, '2024-02-20T07:00:00Z', { personalPoints: 100, walletScanStreak: 1 }),
+  record(STEADY, '2024-03-02T07:00:00Z', { personalPoints: 400, walletScanStreak: 2 }),
+  record(STEADY, '2024-03-25T07:00:00Z', { personalPoints: 800, walletScanStreak: 1 }),
+  record(NEWCOMER, '2024-03-29T07:00:00Z', { personalPoints: 10, walletScanStreak: 1, label: 'new' }),
+  record(STEADY, '2024-03-30T07:00:00Z', { scanOutcome: 'failed', hasDoneDailyScan: false, error: 'Request timeout' }),
+  record(STEADY, '2024-03-31T07:00:00Z', { personalPoints: 950, walletScanStreak: 2 }),
+  record(STEADY, '2024-04-01T07:00:00Z', { personalPoints: 1000, walletScanStreak: 3, label: 'main' }),
+  record(NEWCOMER, '2024-04-01T08:00:00Z', { scanOutcome: 'failed', hasDoneDailyScan: false, label: 'new' })
+];
+
+test('reports points, deltas over 1, 7 and 30 days and the latest streak per wallet', () => {
+  const [steady] = buildReport(RECORDS, NOW);
+
+  assert.deepStrictEqual(steady, {
+    address: STEADY,
+    label: 'main',
+    points: 1000,
+    streak: 3,
+    missedDays: 27,
+    lastOutcome: 'success',
+    lastRunAt: '2024-04-01T07:00:00Z',
+    delta1d: 50,
+    delta7d: 200,
+    delta30d: 600
+  });
+});
+
+test('keeps the last known points and streak of a wallet whose latest run failed', () => {
+  const newcomer = buildReport(RECORDS, NOW).find(row => row.address === NEWCOMER);
+
+  assert.strictEqual(newcomer.points, 10);
+  assert.strictEqual(newcomer.streak, 1);
+  assert.strictEqual(newcomer.lastOutcome, 'failed');
+  // No record old enough to compare against
+  assert.strictEqual(newcomer.delta1d, 0);
+  assert.strictEqual(newcomer.delta7d, null);
+  assert.strictEqual(newcomer.delta30d, null);
+});
+
+test('counts missed days from the first record, within the last 30 days and without today', () => {
+  const rows = buildReport(RECORDS, NOW);
+  const missed = Object.fromEntries(rows.map(row => [row.address, row.missedDays]));
+
+  // 2 March to 31 March, scanned on the 2nd, 25th and 31st; the failed run on the 30th does not count
+  assert.strictEqual(missed[STEADY], 27);
+  // 29 March to 31 March, scanned on the 29th only
+  assert.strictEqual(missed[NEWCOMER], 2);
+
+  const sameDay = buildReport([record(STEADY, '2024-04-01T07:00:00Z', { personalPoints: 1 })], NOW);
+  assert.strictEqual(sameDay[0].missedDays, 0);
+});
+
+test('reports nothing without records', () => {
+  assert.deepStrictEqual(buildReport([], NOW), []);
+});
+
+test('toCsv writes a header and quotes values with commas, quotes or line breaks', () => {
+  const csv = toCsv([
+    { address: STEADY, label: 'farm, "main"', points: 1000, delta1d: -5, delta7d: null, streak: 0, lastOutcome: 'success' },
+    { address: NEWCOMER, label: 'two\nlines', points: null }
+  ]);
+
+  assert.strictEqual(csv, [
+    'address,label,points,delta1d,delta7d,delta30d,streak,missedDays,lastOutcome,lastRunAt',
+    `${STEADY},"farm, ""main""",1000,-5,,,0,,success,`,
+    `${NEWCOMER},"two\nlines",,,,,,,,`,
+    ''
+  ].join('\n'));
+});
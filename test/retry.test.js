@@ -0,0 +1,128 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildConfig } = require('../lib/config');
+const { classifyError, getRetryAfter, getBackoffDelay, createCircuitBreaker } = require('../lib/retry');
+const { withRetry } = require('../lib/utils');
+
+/**
+ * Build an error shaped like the ones axios throws
+ * @param {Object} fields - Fields such as code or response
+ * @returns {Error} The error
+ */
+const axiosError = (fields) => Object.assign(new Error('Request failed'), fields);
+
+/**
+ * Build an error for an HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} [headers={}] - Response headers
+ * @returns {Error} The error
+ */
+const httpError = (status, headers = {}) => axiosError({ response: { status, headers } });
+
+test('classifies client errors as fatal and transient errors as retryable', () => {
+  for (const status of [400, 401, 403, 404, 422, 501]) {
+    assert.strictEqual(classifyError(httpError(status)).retryable, false, `HTTP ${status}`);
+  }
+  for (const status of [408, 429, 500, 502, 503, 504]) {
+    assert.strictEqual(classifyError(httpError(status)).retryable, true, `HTTP ${status}`);
+  }
+  assert.strictEqual(classifyError(axiosError({ code: 'ECONNRESET' })).retryable, true);
+  assert.strictEqual(classifyError(axiosError({ code: 'ERR_CANCELED' })).retryable, false);
+});
+
+test('only failures of the API itself count towards the circuit breaker', () => {
+  assert.strictEqual(classifyError(httpError(503)).upstream, true);
+  assert.strictEqual(classifyError(axiosError({ code: 'ECONNREFUSED' })).upstream, true);
+  assert.strictEqual(classifyError(axiosError({ code: 'ECONNRESET' })).upstream, false);
+  assert.strictEqual(classifyError(httpError(429)).upstream, false);
+  assert.strictEqual(classifyError(httpError(404)).upstream, false);
+});
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+
+  assert.strictEqual(getRetryAfter(httpError(429, { 'retry-after': '3' }), now), 3000);
+  assert.strictEqual(getRetryAfter(httpError(503, { 'retry-after': 'Wed, 01 Jan 2025 00:00:10 GMT' }), now), 10000);
+  assert.strictEqual(getRetryAfter(httpError(429), now), null);
+  assert.strictEqual(getRetryAfter(httpError(429, { 'retry-after': 'soon' }), now), null);
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0.5 };
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, policy, () => 0)), [1000, 2000, 4000, 5000]);
+  assert.strictEqual(getBackoffDelay(2, policy, () => 1), 1000);
+});
+
+test('withRetry does not retry fatal errors', async () => {
+  const logger = createTestLogger();
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry(async () => { calls++; throw httpError(404); }, 3, 1, null, logger),
+    (error) => error.response.status === 404
+  );
+  assert.strictEqual(calls, 1);
+  assert.ok(logger.has('warning', 'Not retrying'));
+});
+
+test('withRetry waits at least as long as Retry-After', async () => {
+  const logger = createTestLogger();
+  let calls = 0;
+  const started = Date.now();
+
+  await withRetry(async () => {
+    if (calls++ === 0) throw httpError(429, { 'retry-after': '0.2' });
+    return 'ok';
+  }, 2, 1, null, logger);
+
+  assert.ok(Date.now() - started >= 190);
+  assert.ok(logger.has('warning', 'Retrying in 0.2s'));
+});
+
+test('withRetry gives up when Retry-After is longer than allowed', async () => {
+  const logger = createTestLogger();
+  let calls = 0;
+
+  await assert.rejects(withRetry(async () => { calls++; throw httpError(429, { 'retry-after': '3600' }); }, 2, 1, null, logger));
+  assert.strictEqual(calls, 1);
+  assert.ok(logger.has('warning', 'too long'));
+});
+
+test('the circuit breaker opens after repeated API failures and pauses every caller', async () => {
+  let now = 0;
+  const config = buildConfig({ retry: { circuitBreaker: { failureThreshold: 2, cooldownMs: 50 } } });
+  const breaker = createCircuitBreaker({ config, now: () => now });
+
+  assert.strictEqual(breaker.recordFailure(httpError(503)), false);
+  assert.strictEqual(breaker.recordFailure(httpError(404)), false);
+  assert.strictEqual(breaker.recordFailure(httpError(503)), true);
+  assert.strictEqual(breaker.getPause(), 50);
+
+  // After the cooldown one probe goes through; a failing probe opens it again
+  now = 50;
+  assert.strictEqual(breaker.getPause(), 0);
+  assert.strictEqual(breaker.recordFailure(httpError(502)), true);
+  assert.strictEqual(breaker.getPause(), 50);
+
+  now = 100;
+  breaker.getPause();
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.getState().state, 'closed');
+});
+
+test('withRetry pauses while the circuit breaker is open', async () => {
+  const logger = createTestLogger();
+  const config = buildConfig({ retry: { circuitBreaker: { failureThreshold: 1, cooldownMs: 100 } } });
+  const breaker = createCircuitBreaker({ config });
+  breaker.recordFailure(httpError(503));
+  const started = Date.now();
+
+  const result = await withRetry(async () => 'ok', 2, 1, null, logger, { breaker });
+
+  assert.strictEqual(result, 'ok');
+  assert.ok(Date.now() - started >= 90);
+  assert.ok(logger.has('warning', 'pausing requests'));
+  assert.strictEqual(breaker.getState().state, 'closed');
+});
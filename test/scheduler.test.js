@@ -0,0 +1,111 @@
+require('./helpers/setup');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { config, buildConfig } = require('../lib/config');
+const { createScheduler, getWindowStart, getNextReset } = require('../lib/scheduler');
+const { createStore } = require('../lib/store');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const MINUTE = 60 * 1000;
+
+let dir;
+let filePath;
+let saved;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-schedule-'));
+  filePath = path.join(dir, 'schedule.json');
+  saved = { ...config.schedule };
+  Object.assign(config.schedule, { resetHourUtc: 0, offsetMinutes: 15, jitterMinutes: 60, retryDelayMinutes: 60 });
+});
+
+afterEach(() => {
+  config.schedule = saved;
+  fs.removeSync(dir);
+});
+
+test('finds the daily window around a point in time', () => {
+  config.schedule.resetHourUtc = 6;
+
+  assert.strictEqual(getWindowStart(new Date('2024-03-10T05:59:00Z')).toISOString(), '2024-03-09T06:00:00.000Z');
+  assert.strictEqual(getWindowStart(new Date('2024-03-10T06:00:00Z')).toISOString(), '2024-03-10T06:00:00.000Z');
+  assert.strictEqual(getNextReset(new Date('2024-03-10T05:59:00Z')).toISOString(), '2024-03-10T06:00:00.000Z');
+  assert.strictEqual(getNextReset(new Date('2024-03-10T23:00:00Z')).toISOString(), '2024-03-11T06:00:00.000Z');
+});
+
+test('plans a finished wallet after the next reset, with offset and jitter', () => {
+  const scheduler = createScheduler(filePath);
+  const now = new Date('2024-03-10T12:00:00Z');
+
+  const nextRunAt = scheduler.recordOutcome({ address: WALLET, scanOutcome: 'success' }, now);
+
+  const earliest = new Date('2024-03-11T00:15:00Z');
+  assert.ok(nextRunAt >= earliest && nextRunAt <= new Date(earliest.getTime() + 60 * MINUTE), nextRunAt.toISOString());
+  assert.deepStrictEqual(scheduler.getDueAddresses([WALLET], now), []);
+});
+
+test('retries a failed wallet after the retry delay, but never after the reset', () => {
+  const scheduler = createScheduler(filePath);
+
+  const retry = scheduler.recordOutcome({ address: WALLET, scanOutcome: 'error' }, new Date('2024-03-10T12:00:00Z'));
+  assert.strictEqual(retry.toISOString(), '2024-03-10T13:00:00.000Z');
+
+  const capped = scheduler.recordOutcome({ address: WALLET, scanOutcome: 'timeout' }, new Date('2024-03-10T23:30:00Z'));
+  assert.strictEqual(capped.toISOString(), '2024-03-11T00:00:00.000Z');
+});
+
+test('seeds wallets it has not seen from the state store', () => {
+  const store = createStore(null);
+  const runId = store.startRun(1);
+  const done = '0x2222222222222222222222222222222222222222';
+  store.recordWallet(runId, { address: done, scanOutcome: 'success', finishedAt: '2024-03-10T08:00:00.000Z' });
+  const scheduler = createScheduler(filePath, store);
+
+  // Done today: due right after the next reset; never ran: due now
+  const now = new Date('2024-03-10T12:00:00Z');
+  assert.strictEqual(scheduler.getNextRunAt(done, now).toISOString(), '2024-03-11T00:15:00.000Z');
+  assert.deepStrictEqual(scheduler.getDueAddresses([done, WALLET], now), [WALLET]);
+  assert.deepStrictEqual(scheduler.getDueAddresses([done, WALLET], new Date('2024-03-11T00:15:00Z')), [done, WALLET]);
+});
+
+test('reading the schedule is free of side effects', () => {
+  const scheduler = createScheduler(filePath, createStore(null));
+
+  scheduler.getPlan([WALLET]);
+  scheduler.getNextRunAt(WALLET);
+
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
+
+test('persists the schedule in schedule.json across restarts', () => {
+  const now = new Date('2024-03-10T12:00:00Z');
+  const nextRunAt = createScheduler(filePath).recordOutcome({ address: WALLET, scanOutcome: 'success' }, now);
+
+  const record = fs.readJsonSync(filePath).wallets[WALLET];
+  assert.strictEqual(record.lastSuccessAt, now.toISOString());
+  assert.strictEqual(record.nextRunAt, nextRunAt.toISOString());
+
+  const restarted = createScheduler(filePath);
+  assert.strictEqual(restarted.getNextRunAt(WALLET, now).toISOString(), nextRunAt.toISOString());
+  assert.deepStrictEqual(restarted.getPlan([WALLET], now).map(row => row.lastSuccessAt), [now.toISOString()]);
+});
+
+test('takes the schedule from the config it is given', () => {
+  const settings = buildConfig({ schedule: { resetHourUtc: 6, offsetMinutes: 30, jitterMinutes: 0, retryDelayMinutes: 10 } });
+  const scheduler = createScheduler(filePath, null, settings);
+  const now = new Date('2024-03-10T12:00:00Z');
+
+  assert.strictEqual(scheduler.recordOutcome({ address: WALLET, scanOutcome: 'success' }, now).toISOString(), '2024-03-11T06:30:00.000Z');
+  assert.strictEqual(scheduler.recordOutcome({ address: WALLET, scanOutcome: 'failed' }, now).toISOString(), '2024-03-10T12:10:00.000Z');
+  assert.strictEqual(getNextReset(now, settings).toISOString(), '2024-03-11T06:00:00.000Z');
+});
+
+test('rebuilds an unreadable schedule instead of failing', () => {
+  fs.writeFileSync(filePath, '{ not json');
+
+  const scheduler = createScheduler(filePath);
+  assert.deepStrictEqual(scheduler.getDueAddresses([WALLET]), [WALLET]);
+});
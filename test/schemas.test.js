@@ -0,0 +1,64 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateResponse, checkResponse, redactSample } = require('../api/schemas');
+const { ApiContractError } = require('../api/errors');
+
+const ADDRESS = '0x00000000000000000000000000000000000000a1';
+
+test('accepts responses that match, including extra fields', () => {
+  assert.deepStrictEqual(validateResponse('get-leaderboard-info', {
+    personalPoints: 1000,
+    hasDoneDailyScan: false,
+    walletScanStreak: 3,
+    personalPointEvents: ['Daily scan +100'],
+    rank: 42
+  }), []);
+  assert.deepStrictEqual(validateResponse('queue-health', { stats: null, alerts: [] }), []);
+  assert.deepStrictEqual(validateResponse('get-basic-dashboard', {}), []);
+});
+
+test('lists every field that does not match', () => {
+  assert.deepStrictEqual(validateResponse('get-leaderboard-info', { personalPoints: '1000', walletScanStreak: 1.5 }), [
+    'personalPoints: expected number, got string',
+    'hasDoneDailyScan: expected boolean, got nothing',
+    'walletScanStreak: expected a whole number, got 1.5'
+  ]);
+  assert.deepStrictEqual(validateResponse('get-tracking-id', ''), ['response: expected object, got string']);
+  assert.deepStrictEqual(validateResponse('queue-health', { stats: { percentImmune: '80%' } }), [
+    'stats.percentImmune: expected number, got string'
+  ]);
+});
+
+test('redacts secrets and addresses in samples', () => {
+  const sample = redactSample({
+    trackingId: 'abc123',
+    address: ADDRESS,
+    events: ['a', 'b', 'c', 'd', 'e'],
+    note: 'x'.repeat(100)
+  });
+
+  assert.strictEqual(sample.trackingId, '[redacted]');
+  assert.strictEqual(sample.address, '0x0000...');
+  assert.deepStrictEqual(sample.events, ['a', 'b', 'c', '(2 more)']);
+  assert.strictEqual(sample.note.length, 43);
+});
+
+test('reports a changed contract with a redacted sample', () => {
+  const logger = createTestLogger();
+
+  assert.throws(
+    () => checkResponse('get-tracking-id', { id: 'secret-token', owner: ADDRESS }, ADDRESS, logger),
+    (error) => {
+      assert.ok(error instanceof ApiContractError);
+      assert.strictEqual(error.endpoint, 'get-tracking-id');
+      assert.deepStrictEqual(error.problems, ['trackingId: expected string, got nothing']);
+      return true;
+    }
+  );
+
+  const [entry] = logger.entries;
+  assert.match(entry.message, /^API contract changed for get-tracking-id: trackingId: expected string, got nothing\. Sample response: /);
+  assert.ok(entry.message.includes('"owner":"0x0000..."'));
+  assert.ok(!entry.message.includes(ADDRESS));
+});
@@ -0,0 +1,45 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildConfig } = require('../lib/config');
+const { createShutdown } = require('../lib/shutdown');
+const { isCancellation } = require('../lib/deadline');
+const { sleep } = require('../lib/utils');
+
+/**
+ * Create a shutdown controller with a short grace period
+ * @param {number} shutdownGraceMs - Grace period
+ * @returns {Object} Shutdown controller and logger
+ */
+function setup(shutdownGraceMs) {
+  const logger = createTestLogger();
+  const shutdown = createShutdown({ config: buildConfig({ timeouts: { shutdownGraceMs } }), logger });
+  return { shutdown, logger };
+}
+
+test('stops new work at once and cancels the work in flight after the grace period', async () => {
+  const { shutdown, logger } = setup(30);
+
+  shutdown.request('SIGTERM');
+  assert.strictEqual(shutdown.requested, true);
+  assert.strictEqual(shutdown.stopSignal.aborted, true);
+  assert.strictEqual(shutdown.signal.aborted, false);
+  assert.ok(logger.has('warning', 'Received SIGTERM, shutting down'));
+
+  await assert.rejects(sleep(1000, shutdown.signal), (error) => {
+    assert.ok(isCancellation(error));
+    assert.strictEqual(error.category, 'interrupted');
+    return true;
+  });
+  assert.ok(logger.has('warning', 'grace period is over'));
+});
+
+test('a second request cancels the work in flight right away', () => {
+  const { shutdown, logger } = setup(60000);
+
+  shutdown.request('SIGINT');
+  shutdown.request('SIGINT');
+
+  assert.strictEqual(shutdown.signal.aborted, true);
+  assert.ok(logger.has('warning', 'Received SIGINT again'));
+});
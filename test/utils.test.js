@@ -0,0 +1,76 @@
+const { createTestLogger } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withRetry, formatNumber, isValidNumber, sanitize } = require('../lib/utils');
+
+/**
+ * Build an error shaped like the ones axios throws
+ * @param {Object} fields - Fields such as code or response
+ * @returns {Error} The error
+ */
+const axiosError = (fields) => Object.assign(new Error('Request failed'), fields);
+
+test('withRetry returns the result without retrying on success', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => { calls++; return 'ok'; }, 3, 1);
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 1);
+});
+
+test('withRetry retries until the function succeeds', async () => {
+  const logger = createTestLogger();
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw axiosError({ code: 'ECONNRESET' });
+    return 'ok';
+  }, 3, 1, '0xabc', logger);
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 3);
+  assert.ok(logger.has('warning', 'Connection reset'));
+});
+
+test('withRetry throws the last error after maxRetries + 1 attempts', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw axiosError({ message: `failure ${calls}` });
+    }, 1, 1, null, createTestLogger()),
+    /failure 2/
+  );
+  assert.strictEqual(calls, 2);
+});
+
+test('withRetry reports rate limits', async () => {
+  const logger = createTestLogger();
+  let calls = 0;
+  await withRetry(async () => {
+    calls++;
+    if (calls === 1) throw axiosError({ response: { status: 429 } });
+    return 'ok';
+  }, 2, 1, null, logger);
+
+  assert.ok(logger.has('warning', 'Rate limited (429)'));
+});
+
+test('formatNumber adds thousands separators', () => {
+  assert.strictEqual(formatNumber(1234567), '1,234,567');
+  assert.strictEqual(formatNumber(12), '12');
+});
+
+test('isValidNumber accepts numbers and numeric strings only', () => {
+  assert.strictEqual(isValidNumber(5), true);
+  assert.strictEqual(isValidNumber('5.5'), true);
+  assert.strictEqual(isValidNumber(NaN), false);
+  assert.strictEqual(isValidNumber('abc'), false);
+  assert.strictEqual(isValidNumber(null), false);
+});
+
+test('sanitize hides URLs and API paths', () => {
+  assert.strictEqual(sanitize('failed at https://harpie.io/api/x'), 'failed at [URL]');
+  assert.strictEqual(sanitize('POST /api/hooks/get-tracking-id/'), 'POST [API]');
+  assert.strictEqual(sanitize(''), '');
+});
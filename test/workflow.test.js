@@ -0,0 +1,496 @@
+const { createTestLogger, testConfig } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createMockHarpie } = require('./helpers/mockHarpie');
+const { createBot } = require('../lib/bot');
+const { createStore } = require('../lib/store');
+const { createNotifier } = require('../lib/notifier');
+const { createSessionStore } = require('../lib/sessions');
+const { buildConfig } = require('../lib/config');
+const { createShutdown } = require('../lib/shutdown');
+const { createScheduler } = require('../lib/scheduler');
+const { createMetrics } = require('../lib/metrics');
+const sharedLogger = require('../lib/logger');
+
+let mock;
+let baseUrl;
+let nextWallet = 1;
+
+before(async () => {
+  mock = createMockHarpie({ points: 1000, scanReward: 100 });
+  baseUrl = await mock.start();
+});
+
+after(() => mock.stop());
+
+/**
+ * Get a fresh wallet address so tests don't share backend state
+ * @returns {string} Checksummed address
+ */
+const freshAddress = () => ethers.utils.getAddress(`0x${(nextWallet++).toString(16).padStart(40, 'a')}`);
+
+/**
+ * Create a bot against the mock with an in-memory store
+ * @param {Array<string>} wallets - Wallet addresses
+ * @returns {Object} Bot, store and logger
+ */
+function setup(wallets) {
+  const logger = createTestLogger();
+  const store = createStore(null);
+  const bot = createBot({ config: testConfig(baseUrl), wallets, logger, store });
+  return { bot, store, logger };
+}
+
+test('skips the scan when the daily scan is already done', async () => {
+  const address = freshAddress();
+  mock.wallet(address).hasDoneDailyScan = true;
+  const before = mock.count('queueHealth');
+
+  const { bot } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'skipped');
+  assert.strictEqual(outcome.success, true);
+  assert.strictEqual(mock.count('queueHealth'), before);
+});
+
+test('scans and records the credited points', async () => {
+  const address = freshAddress();
+  const { bot, store } = setup([address]);
+
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.strictEqual(outcome.personalPoints, 1100);
+  assert.strictEqual(outcome.walletScanStreak, 1);
+  assert.strictEqual(outcome.hasDoneDailyScan, true);
+  assert.strictEqual(store.getWalletHistory(address).length, 1);
+});
+
+test('counts the scan as successful when it errors but points still increase', async () => {
+  const address = freshAddress();
+  const creditThenFail = ({ state }) => {
+    state.personalPoints += 100;
+    return { status: 500, body: {} };
+  };
+  mock.script('queueHealth', creditThenFail, { status: 500 }, { status: 500 });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.strictEqual(outcome.personalPoints, 1100);
+  assert.ok(logger.has('warning', 'checking if points were still awarded'));
+  assert.ok(logger.has('success', 'Points increased'));
+});
+
+test('counts the scan as successful when hasDoneDailyScan flips to true', async () => {
+  const address = freshAddress();
+  mock.script('queueHealth', ({ state }) => {
+    state.hasDoneDailyScan = true;
+    return { body: { stats: {}, alerts: {} } };
+  });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.strictEqual(outcome.personalPoints, 1000);
+  assert.ok(logger.has('success', 'Daily scan verified as completed'));
+});
+
+test('reports an accepted scan that is not credited by the deadline as pending', async () => {
+  const address = freshAddress();
+  mock.script('queueHealth', { body: { stats: {}, alerts: {} } });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'pending');
+  assert.strictEqual(outcome.success, true);
+  assert.strictEqual(outcome.hasDoneDailyScan, false);
+  assert.strictEqual(outcome.verification.status, 'pending');
+  assert.strictEqual(outcome.verification.latencyMs, null);
+  assert.ok(outcome.verification.checks > 1);
+  assert.ok(logger.has('warning', 'still pending'));
+});
+
+test('reports a failed scan that credited no points', async () => {
+  const address = freshAddress();
+  mock.script('queueHealth', { status: 500 }, { status: 500 }, { status: 500 });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'no-points');
+  assert.strictEqual(outcome.verification.status, 'failed');
+  assert.ok(logger.has('warning', 'no points were received'));
+});
+
+test('polls until the backend credits the scan and records the latency', async () => {
+  const address = freshAddress();
+  const uncredited = ({ state }) => ({ body: { ...state, hasDoneDailyScan: false, personalPoints: 1000, personalPointEvents: [] } });
+  // The first leaderboard call is the check before the scan, then two polls see nothing yet
+  mock.script('leaderboard', uncredited, uncredited, uncredited);
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.strictEqual(outcome.personalPoints, 1100);
+  assert.strictEqual(outcome.verification.status, 'verified');
+  assert.strictEqual(outcome.verification.checks, 3);
+  assert.ok(outcome.verification.latencyMs >= 60, `latency ${outcome.verification.latencyMs}ms`);
+  assert.ok(logger.has('success', 'Daily scan verified as completed after'));
+});
+
+test('retries a rate limited leaderboard check', async () => {
+  const address = freshAddress();
+  mock.script('leaderboard', { status: 429, body: {} });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.ok(logger.has('warning', 'Rate limited (429)'));
+});
+
+test('recovers from a connection reset by the proxy', async () => {
+  const address = freshAddress();
+  mock.script('trackingId', { reset: true });
+
+  const { bot } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'success');
+  assert.strictEqual(outcome.personalPoints, 1100);
+});
+
+test('marks the wallet as failed when the leaderboard stays unreachable', async () => {
+  const address = freshAddress();
+  mock.script('leaderboard', { reset: true }, { reset: true }, { reset: true });
+
+  const { bot } = setup([address]);
+  const summary = await bot.runAll();
+
+  assert.strictEqual(summary.total, 1);
+  assert.strictEqual(summary.failedCount, 1);
+  assert.strictEqual(summary.outcomes[0].scanOutcome, 'error');
+});
+
+test('resumes an interrupted run without redoing finished wallets', async () => {
+  const done = freshAddress();
+  const pending = freshAddress();
+  const { bot, store } = setup([done, pending]);
+
+  // Simulate a crash after the first wallet was recorded
+  const runId = store.startRun(2);
+  store.recordWallet(runId, { address: done, success: true, scanOutcome: 'success' });
+  const before = mock.count('leaderboard');
+
+  const summary = await bot.runAll();
+
+  assert.strictEqual(summary.runId, runId);
+  assert.strictEqual(summary.total, 1);
+  assert.deepStrictEqual(summary.outcomes.map(o => o.address), [pending]);
+  assert.ok(mock.count('leaderboard') > before);
+  assert.strictEqual(store.getIncompleteRun(), null);
+});
+
+test('posts scan alerts and the run summary through the notifier', async () => {
+  const address = freshAddress();
+  mock.script('queueHealth', ({ state }) => {
+    state.hasDoneDailyScan = true;
+    return { body: { stats: {}, alerts: { approvals: [{ id: 1 }] } } };
+  });
+
+  const posts = [];
+  const logger = createTestLogger();
+  const config = testConfig(baseUrl, {
+    notifications: { enabled: true, webhook: { url: 'https://hooks.example.com/harpie' } }
+  });
+  const notifier = createNotifier({
+    config: buildConfig(config),
+    logger,
+    post: async (url, body) => { posts.push(body); }
+  });
+  const bot = createBot({ config, wallets: [address], logger, store: createStore(null), notifier });
+
+  await bot.runAll();
+
+  assert.deepStrictEqual(posts.map(p => p.event), ['alert', 'run.finished']);
+  assert.strictEqual(posts[0].type, 'scan-alerts');
+  assert.strictEqual(posts[1].wallets[0].outcome, 'success');
+});
+
+test('scans every configured chain and reports the worst outcome', async () => {
+  const address = freshAddress();
+  mock.wallet(address, 137).personalPoints = 50;
+  mock.script('queueHealth',
+    ({ body, state }) => mock.respondDefault('queueHealth', { body, state }),
+    { body: { stats: {}, alerts: { approvals: [{ id: 7 }] } } });
+
+  const logger = createTestLogger();
+  const store = createStore(null);
+  const config = testConfig(baseUrl, { harpie: { baseUrl, requestTimeout: 2000, chainIds: [1, 137] } });
+  const bot = createBot({ config, wallets: [address], logger, store });
+
+  const outcome = await bot.runWallet(address);
+
+  assert.deepStrictEqual(outcome.chains.map(c => [c.chainId, c.scanOutcome]), [[1, 'success'], [137, 'pending']]);
+  assert.strictEqual(outcome.scanOutcome, 'pending');
+  assert.strictEqual(outcome.personalPoints, 1100);
+  assert.strictEqual(outcome.chains[1].personalPoints, 50);
+  assert.strictEqual(outcome.hasDoneDailyScan, false);
+  assert.deepStrictEqual(outcome.chains[1].newAlerts, ['approvals:7']);
+  assert.ok(logger.has('warning', '[chain 137]'));
+
+  // Alerts are diffed against the previous scan of the same chain
+  mock.script('queueHealth', { body: { stats: {}, alerts: { approvals: [{ id: 7 }] } } });
+  const again = await bot.runWallet(address);
+  assert.deepStrictEqual(again.chains[1].newAlerts, []);
+});
+
+test('uses per-wallet chains over the global list', async () => {
+  const address = freshAddress();
+  const config = testConfig(baseUrl, {
+    harpie: { baseUrl, requestTimeout: 2000, chainIds: [1, 137], walletChains: { [address.toLowerCase()]: [10] } }
+  });
+  const bot = createBot({ config, wallets: [address], logger: createTestLogger(), store: createStore(null) });
+
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.chains, undefined);
+  assert.strictEqual(outcome.chainId, 10);
+  assert.strictEqual(mock.requests[mock.requests.length - 1].body.chainId, 10);
+});
+
+test('uses manifest group chains below the wallet\'s own chains and over the global list', async () => {
+  const grouped = freshAddress();
+  const configured = freshAddress();
+  const config = testConfig(baseUrl, {
+    harpie: { baseUrl, requestTimeout: 2000, chainIds: [1], walletChains: { [configured.toLowerCase()]: [10] } }
+  });
+  const bot = createBot({
+    config,
+    wallets: [
+      { address: grouped, groups: ['l2'], groupChainIds: [8453] },
+      { address: configured, groups: ['l2'], groupChainIds: [8453] }
+    ],
+    logger: createTestLogger(),
+    store: createStore(null)
+  });
+
+  assert.strictEqual((await bot.runWallet(grouped)).chainId, 8453);
+  assert.strictEqual(mock.requests[mock.requests.length - 1].body.chainId, 8453);
+  assert.strictEqual((await bot.runWallet(configured)).chainId, 10);
+});
+
+test('applies the manifest settings of a wallet and skips disabled wallets', async () => {
+  const labelled = freshAddress();
+  const disabled = freshAddress();
+  const before = mock.count('queueHealth');
+  const { bot, store } = setup([
+    { address: labelled, label: 'farm-1', groups: ['farm'], scan: { enabled: false } },
+    { address: disabled, label: 'cold', enabled: false }
+  ]);
+
+  const summary = await bot.runAll({ groups: ['farm'] });
+
+  assert.strictEqual(summary.total, 1);
+  const [outcome] = summary.outcomes;
+  assert.strictEqual(outcome.label, 'farm-1');
+  assert.deepStrictEqual(outcome.groups, ['farm']);
+  assert.strictEqual(outcome.scanOutcome, 'disabled');
+  assert.strictEqual(mock.count('queueHealth'), before);
+  assert.strictEqual(store.getWalletHistory(disabled).length, 0);
+});
+
+test('gives wallet labels to the bot\'s own logger, not the shared one', async () => {
+  const address = freshAddress();
+  const { bot, logger } = setup([{ address, label: 'farm-2' }]);
+
+  await bot.listWallets();
+
+  assert.strictEqual(logger.labels.get(address.toLowerCase()), 'farm-2');
+  assert.strictEqual(sharedLogger.formatWallet(address), sharedLogger.formatAddress(address));
+});
+
+test('reads wallets and keeps state in the paths of the bot\'s own config', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-paths-'));
+  const address = freshAddress();
+  fs.writeFileSync(path.join(dir, 'addresses.txt'), `${address}\n`);
+  fs.writeJsonSync(path.join(dir, 'wallets.json'), [{ address, label: 'own-config' }]);
+  const paths = {
+    privateKeys: path.join(dir, 'pk.txt'),
+    keystores: path.join(dir, 'keystores'),
+    addresses: path.join(dir, 'addresses.txt'),
+    manifest: path.join(dir, 'wallets.json'),
+    proxies: path.join(dir, 'proxy.txt'),
+    state: path.join(dir, 'state')
+  };
+
+  try {
+    const bot = createBot({
+      config: testConfig(baseUrl, { paths, session: { persistCookies: true } }),
+      logger: createTestLogger()
+    });
+
+    const wallets = await bot.listWallets();
+    assert.deepStrictEqual(wallets.map(w => [w.address, w.label]), [[address, 'own-config']]);
+
+    await bot.runWallet(address);
+    const records = fs.readFileSync(path.join(dir, 'state', 'runs.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(records.some(record => record.type === 'wallet' && record.address === address));
+    assert.ok(fs.readJsonSync(path.join(dir, 'state', 'sessions.json')).wallets[address.toLowerCase()]);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('the status lists every configured wallet with its next run, including ones that never ran', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harpie-status-'));
+  const ran = freshAddress();
+  const added = freshAddress();
+  const store = createStore(null);
+  const scheduler = createScheduler(path.join(dir, 'schedule.json'), store);
+  const wallets = [{ address: ran, label: 'old' }];
+  const bot = createBot({ config: testConfig(baseUrl), wallets: async () => wallets, logger: createTestLogger(), store, scheduler });
+
+  try {
+    await bot.runWallet(ran);
+    wallets.push({ address: added, label: 'new', groups: ['fresh'] });
+
+    const before = new Date();
+    const status = await bot.getStatus();
+
+    assert.deepStrictEqual(status.map(s => [s.address, s.label, s.scanOutcome]), [[ran, 'old', 'success'], [added, 'new', undefined]]);
+    assert.deepStrictEqual(status[1].groups, ['fresh']);
+    assert.ok(status[0].nextRunAt > before);
+    assert.ok(status[1].nextRunAt <= new Date());
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('fails the wallet with a contract error when the leaderboard changes shape', async () => {
+  const address = freshAddress();
+  mock.script('leaderboard', { body: { points: 1000, dailyScanDone: false } });
+
+  const { bot, logger } = setup([address]);
+  const outcome = await bot.runWallet(address);
+
+  assert.strictEqual(outcome.scanOutcome, 'error');
+  assert.strictEqual(outcome.errorCategory, 'contract');
+  assert.match(outcome.error, /API contract changed for get-leaderboard-info/);
+  assert.ok(logger.has('error', 'Sample response: {"points":1000,"dailyScanDone":false}'));
+});
+
+test('keeps one session with cookies for the whole wallet workflow', async () => {
+  const address = freshAddress();
+  const sessionStore = createSessionStore(null);
+  const bot = createBot({ config: testConfig(baseUrl), wallets: [address], logger: createTestLogger(), store: createStore(null), sessionStore });
+  const first = mock.requests.length;
+
+  await bot.runWallet(address);
+
+  const requests = mock.requests.slice(first);
+  const cookie = `harpie_session=${address.toLowerCase()}`;
+  assert.deepStrictEqual(requests.map(r => r.route), ['leaderboard', 'trackingId', 'dashboard', 'queueHealth', 'leaderboard']);
+  assert.ok(requests.slice(2).every(r => r.headers.cookie === cookie));
+  assert.deepStrictEqual(sessionStore.load(address).map(c => c.name), ['harpie_session']);
+
+  // The next run starts with the saved cookie
+  const next = mock.requests.length;
+  await bot.checkWallet(address);
+  assert.strictEqual(mock.requests[next].headers.cookie, cookie);
+});
+
+test('cancels a stuck wallet once its time budget runs out and moves on', async () => {
+  const stuck = freshAddress();
+  const next = freshAddress();
+  mock.script('leaderboard', { hang: true });
+
+  const logger = createTestLogger();
+  const config = testConfig(baseUrl, { timeouts: { walletMs: 200 } });
+  const bot = createBot({ config, wallets: [stuck, next], logger, store: createStore(null) });
+
+  const startedAt = Date.now();
+  const summary = await bot.runAll();
+
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.deepStrictEqual(summary.outcomes.map(o => [o.address, o.scanOutcome]), [[stuck, 'timeout'], [next, 'success']]);
+  assert.strictEqual(summary.outcomes[0].success, false);
+  assert.strictEqual(summary.outcomes[0].errorCategory, 'timeout');
+  assert.match(summary.outcomes[0].error, /Wallet ran out of time/);
+  assert.strictEqual(summary.failedCount, 1);
+  assert.ok(logger.has('error', 'Leaderboard check cancelled'));
+});
+
+test('stops the run once its time budget runs out', async () => {
+  const stuck = freshAddress();
+  const skipped = freshAddress();
+  mock.script('leaderboard', { hang: true });
+
+  const logger = createTestLogger();
+  const store = createStore(null);
+  const config = testConfig(baseUrl, { timeouts: { walletMs: 0, runMs: 200 } });
+  const metrics = createMetrics();
+  const bot = createBot({ config, wallets: [stuck, skipped], logger, store, metrics });
+
+  const summary = await bot.runAll();
+
+  assert.deepStrictEqual(summary.outcomes.map(o => o.scanOutcome), ['timeout']);
+  assert.strictEqual(summary.timedOut, true);
+  assert.strictEqual(summary.notProcessed, 1);
+  assert.strictEqual(store.getWalletHistory(skipped).length, 0);
+  assert.ok(logger.has('warning', 'Run ran out of time after 0.2s, 1 wallet(s) not processed'));
+  assert.notStrictEqual(metrics.getHealth(5).lastRunAt, null);
+  assert.strictEqual(metrics.getHealth(5).lastSuccessfulRunAt, null);
+});
+
+test('a shutdown lets the current wallet finish and leaves the rest of the run for later', async () => {
+  const first = freshAddress();
+  const second = freshAddress();
+  const shutdown = createShutdown({ config: buildConfig({ timeouts: { shutdownGraceMs: 60000 } }), logger: createTestLogger() });
+  mock.script('queueHealth', (context) => {
+    shutdown.request('SIGTERM');
+    return mock.respondDefault('queueHealth', context);
+  });
+
+  const { bot, store } = setup([first, second]);
+  const summary = await bot.runAll({}, { stopSignal: shutdown.stopSignal, signal: shutdown.signal });
+
+  assert.deepStrictEqual(summary.outcomes.map(o => [o.address, o.scanOutcome]), [[first, 'success']]);
+  assert.strictEqual(summary.interrupted, true);
+  assert.strictEqual(summary.notProcessed, 1);
+
+  // The run stays open, so the next one resumes with the wallet it did not get to
+  const resumed = await bot.runAll();
+  assert.strictEqual(resumed.runId, summary.runId);
+  assert.deepStrictEqual(resumed.outcomes.map(o => o.address), [second]);
+  assert.strictEqual(store.getIncompleteRun(), null);
+});
+
+test('a shutdown cancels a wallet that does not finish within the grace period', async () => {
+  const stuck = freshAddress();
+  const shutdown = createShutdown({ config: buildConfig({ timeouts: { shutdownGraceMs: 50 } }), logger: createTestLogger() });
+  mock.script('leaderboard', { hang: true });
+
+  const { bot, store, logger } = setup([stuck]);
+  const running = bot.runAll({}, { stopSignal: shutdown.stopSignal, signal: shutdown.signal });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  shutdown.request('SIGINT');
+  const summary = await running;
+
+  assert.deepStrictEqual(summary.outcomes, []);
+  assert.strictEqual(summary.interrupted, true);
+  assert.strictEqual(summary.notProcessed, 1);
+  assert.strictEqual(store.getWalletHistory(stuck).length, 0);
+  assert.strictEqual(store.getIncompleteRun().runId, summary.runId);
+  assert.ok(logger.has('warning', 'Wallet cancelled by the shutdown'));
+});